@@ -0,0 +1,289 @@
+'use strict';
+
+
+const errors = require('./borga-errors');
+const csv = require('./borga-csv');
+const fs = require('fs');
+const path = require('path');
+
+const NUMBER_OF_POPULAR_GAMES = 20;
+const DEFAULT_SEARCH_LIMIT = 30;
+
+const CSV_LIST_SEPARATOR = '|';
+const CSV_NUMBER_COLUMNS = [
+	'year_published', 'min_players', 'max_players', 'min_playtime', 'max_playtime', 'min_age', 'rank', 'amazon_rank'
+];
+
+
+/**
+ * Game catalog provider backed by a local JSON or CSV file, with the same interface as board-games-data.js.
+ *
+ * A JSON catalog has the shape of the Board Game Atlas responses:
+ * { "games": [ gameInfo ], "mechanics": [ { id, name } ], "categories": [ { id, name } ] },
+ * where the mechanics and categories of each game are lists of { id }.
+ *
+ * A CSV catalog has a header row and one game per row. The columns designers, mechanics and categories
+ * hold names separated by '|'.
+ * @param {String} catalogPath path to the catalog file
+ */
+module.exports = function (catalogPath) {
+
+	const catalog = loadCatalog(catalogPath);
+
+
+	// ------------------------- Catalog Loading -------------------------
+
+	/**
+	 * Loads the catalog file, choosing the parser by the file extension.
+	 * @param {String} catalogPath
+	 * @throws FAIL if the file can't be read or parsed
+	 * @returns object with the games array and the mechanics and categories id:name maps
+	 */
+	function loadCatalog(catalogPath) {
+		try {
+			const content = fs.readFileSync(catalogPath, 'utf8');
+
+			return path.extname(catalogPath).toLowerCase() == '.csv'
+				? parseCsvCatalog(content)
+				: parseJsonCatalog(content);
+		}
+		catch (err) {
+			throw errors.FAIL({ catalog: catalogPath, error: err.message });
+		}
+	}
+
+
+	/**
+	 * Parses a JSON catalog.
+	 * @param {String} content
+	 * @returns object with the games array and the mechanics and categories id:name maps
+	 */
+	function parseJsonCatalog(content) {
+		const json = JSON.parse(content);
+
+		return {
+			games: json.games || [],
+			mechanics: Object.fromEntries((json.mechanics || []).map(mechanic => [mechanic.id, mechanic.name])),
+			categories: Object.fromEntries((json.categories || []).map(category => [category.id, category.name]))
+		};
+	}
+
+
+	/**
+	 * Parses a CSV catalog. Mechanics and categories are identified by their names.
+	 * @param {String} content
+	 * @returns object with the games array and the mechanics and categories id:name maps
+	 */
+	function parseCsvCatalog(content) {
+		const [header, ...rows] = csv.parseCsv(content);
+		const mechanics = {};
+		const categories = {};
+
+		const games = rows
+			.filter(row => row.some(field => field != ''))
+			.map(row => {
+				const game = Object.fromEntries(header.map((column, i) => [column.trim(), row[i] || '']));
+
+				CSV_NUMBER_COLUMNS.forEach(column => {
+					game[column] = game[column] ? Number(game[column]) : undefined;
+				});
+				game.designers = splitList(game.designers);
+				game.mechanics = splitList(game.mechanics).map(name => {
+					mechanics[name] = name;
+					return { id: name };
+				});
+				game.categories = splitList(game.categories).map(name => {
+					categories[name] = name;
+					return { id: name };
+				});
+
+				return game;
+			});
+
+		return { games, mechanics, categories };
+	}
+
+
+	/**
+	 * Splits a CSV list field.
+	 * @param {String} field
+	 * @returns array with the trimmed non empty values
+	 */
+	function splitList(field) {
+		return (field || '').split(CSV_LIST_SEPARATOR).map(value => value.trim()).filter(value => value != '');
+	}
+
+
+	// ------------------------- Games -------------------------
+
+	/**
+	 * Sorts games by a field.
+	 * Rank is compared inverted, so the best ranked games come first when not ascending.
+	 * @param {Array} games
+	 * @param {String} order_by
+	 * @param {Boolean|String} ascending
+	 * @returns the sorted array
+	 */
+	function sortGames(games, order_by, ascending) {
+		if (!order_by) return games;
+
+		const direction = (ascending === true || ascending === 'true') ? 1 : -1;
+		const value = game => {
+			const field = game[order_by];
+			if (order_by == 'rank') return -(field || Infinity);
+			if (order_by == 'price') return Number(field);
+			return typeof field == 'string' ? field.toLowerCase() : field;
+		};
+
+		return games.sort((game1, game2) => {
+			const value1 = value(game1);
+			const value2 = value(game2);
+			if (value1 == value2) return 0;
+			return (value1 > value2 ? 1 : -1) * direction;
+		});
+	}
+
+
+	/**
+	 * Checks if a game matches the search filters, with the same meaning as the Board Game Atlas ones
+	 * (see getFiltersQuery in board-games-data.js).
+	 * @param {Object} game
+	 * @param {Object} filters
+	 * @returns true if the game matches all the given filters
+	 */
+	function matchesFilters(game, filters) {
+		const has = filter => filters[filter] !== undefined && filters[filter] !== '';
+		const equalsIgnoreCase = (value1, value2) => String(value1).toLowerCase() == String(value2).toLowerCase();
+
+		return (!has('players') || (game.min_players <= filters.players && game.max_players >= filters.players))
+			&& (!has('playtime') || game.max_playtime <= filters.playtime)
+			&& (!has('age') || game.min_age <= filters.age)
+			&& (!has('year_published') || game.year_published == filters.year_published)
+			&& (!has('publisher') || equalsIgnoreCase(game.publisher, filters.publisher))
+			&& (!has('designer') || (game.designers || []).some(designer => equalsIgnoreCase(designer, filters.designer)))
+			&& (!has('mechanic') || game.mechanics.some(mechanic => mechanic.id == filters.mechanic))
+			&& (!has('category') || game.categories.some(category => category.id == filters.category))
+			&& (!has('gt_price') || Number(game.price) > filters.gt_price)
+			&& (!has('lt_price') || Number(game.price) < filters.lt_price);
+	}
+
+
+	/**
+	 * Gets the most popular games by ranking.
+	 * @returns promise with an array containing the most popular games
+	 */
+	async function getPopularGames() {
+		const games = sortGames(catalog.games.filter(game => game.rank), 'rank', false);
+
+		return games.slice(0, NUMBER_OF_POPULAR_GAMES).map(makeGameObj);
+	}
+
+
+	/**
+	 * Gets an array of games by a given name and other optional filter params.
+	 * @param {String} gameName
+	 * @param {Number} limit
+	 * @param {String} order_by
+	 * @param {Boolean} ascending
+	 * @param {Object} filters search filters (see matchesFilters)
+	 * @param {Number} skip number of games to skip, used to get the next pages of results
+	 * @throws error NOT_FOUND if no game was found with the given query
+	 * @returns promise with an object with the total count of games found and the array of game objects of the page
+	 */
+	async function searchGamesByName(gameName, limit, order_by, ascending, filters = {}, skip = 0) {
+		const name = (gameName || '').toLowerCase();
+		const games = sortGames(
+			catalog.games.filter(game => game.name.toLowerCase().includes(name) && matchesFilters(game, filters)),
+			order_by,
+			ascending
+		);
+
+		if (games.length == 0)
+			throw errors.NOT_FOUND({ gameName });
+
+		const start = Number(skip) || 0;
+
+		return {
+			count: games.length,
+			games: games.slice(start, start + (Number(limit) || DEFAULT_SEARCH_LIMIT)).map(makeGameObj)
+		};
+	}
+
+
+	/**
+	 * Gets a game given an id.
+	 * @param {String} gameId
+	 * @throws error NOT_FOUND if no game was found with the given id
+	 * @returns promise with the game object
+	 */
+	async function searchGamesById(gameId) {
+		const game = catalog.games.find(game => game.id == gameId);
+
+		if (!game)
+			throw errors.NOT_FOUND({ gameId: gameId });
+
+		return makeGameObj(game);
+	}
+
+
+	/**
+	 * Gets the games with the given ids. Ids that don't match any game are ignored.
+	 * @param {Array} gameIds
+	 * @returns promise with an array of the found game objects, in the order of the given ids
+	 */
+	async function searchGamesByIds(gameIds) {
+		return [...new Set(gameIds)]
+			.map(gameId => catalog.games.find(game => game.id == gameId))
+			.filter(game => game)
+			.map(makeGameObj);
+	}
+
+
+	// ------------------------- Mechanics and Categories -------------------------
+
+	/**
+	 * Gets the id:name map for mechanics from the catalog.
+	 */
+	async function getGlobalMechanics() {
+		return catalog.mechanics;
+	}
+
+
+	/**
+	 * Gets the id:name map for categories from the catalog.
+	 */
+	async function getGlobalCategories() {
+		return catalog.categories;
+	}
+
+
+	/**
+	 * Builds an object containing the game information.
+	 * @param {Object} gameInfo
+	 * @returns object with game information
+	 */
+	function makeGameObj(gameInfo) {
+		return {
+			id: gameInfo.id,
+			name: gameInfo.name,
+			description: (gameInfo.description || '').replace(/(<\/?p>|<br \/>)/ig, '\n'),
+			url: gameInfo.url,
+			image_url: gameInfo.image_url,
+			publisher: gameInfo.publisher,
+			amazon_rank: gameInfo.amazon_rank,
+			price: gameInfo.price,
+			mechanics: (gameInfo.mechanics || []).map(mechanic => catalog.mechanics[mechanic.id]),
+			categories: (gameInfo.categories || []).map(category => catalog.categories[category.id])
+		};
+	}
+
+
+	return {
+		getPopularGames,
+		searchGamesByName,
+		searchGamesById,
+		searchGamesByIds,
+		getGlobalMechanics,
+		getGlobalCategories
+	};
+};
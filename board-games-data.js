@@ -4,6 +4,7 @@
 require('dotenv').config();
 
 const errors = require('./borga-errors');
+const config = require('./borga-config');
 const fetch = require('node-fetch');
 
 const BOARD_GAME_ATLAS_BASE_URI = 'https://api.boardgameatlas.com/api/search?client_id=' + process.env['ATLAS_CLIENT_ID'];
@@ -12,11 +13,22 @@ const BOARD_GAME_ATLAS_CATEGORIES_URI = 'https://api.boardgameatlas.com/api/game
 
 const HTTP_SERVER_ERROR = 5;
 const HTTP_CLIENT_ERROR = 4;
-
-const mechanics = {};
-const categories = {};
+const HTTP_TOO_MANY_REQUESTS = 429;
 
 const NUMBER_OF_POPULAR_GAMES = 20;
+const MAX_IDS_PER_REQUEST = 100;
+
+const CACHE_TTL = config.atlas_cache.ttl;
+const cache = require('./borga-cache')(config.atlas_cache.max_entries);
+
+// Requests in progress: "uri": promise. Avoids fetching the same uri concurrently while it is not cached yet.
+const pendingRequests = new Map();
+
+const FETCH_OPTIONS = config.atlas_fetch;
+const circuitBreaker = require('./borga-circuit-breaker')(
+	config.atlas_fetch.breaker.failure_threshold,
+	config.atlas_fetch.breaker.reset_timeout
+);
 
 
 /**
@@ -29,33 +41,158 @@ function getStatusClass(statusCode) {
 }
 
 
+/**
+ * Checks if a request that got the received status code should be retried.
+ * @param {Number} statusCode 
+ * @returns true for server errors and too many requests
+ */
+function isRetryableStatus(statusCode) {
+	return getStatusClass(statusCode) == HTTP_SERVER_ERROR || statusCode == HTTP_TOO_MANY_REQUESTS;
+}
+
+
+/**
+ * Gets the delay before retrying a request.
+ * Uses the Retry-After header value when valid (seconds or HTTP date), otherwise uses exponential backoff.
+ * @param {Number} attempt number of the failed attempt, starting at 0
+ * @param {String} retryAfter value of the Retry-After header, if any
+ * @param {Object} options fetch options with retry_delay and max_retry_delay
+ * @returns delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter, options) {
+	let delay = options.retry_delay * 2 ** attempt;
+
+	if (retryAfter) {
+		const seconds = Number(retryAfter);
+		const retryAfterDelay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+		if (!isNaN(retryAfterDelay))
+			delay = Math.max(retryAfterDelay, 0);
+	}
+
+	return Math.min(delay, options.max_retry_delay);
+}
+
+
+/**
+ * Waits the given time.
+ * @param {Number} ms 
+ * @returns promise resolved after the time has passed
+ */
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
 /**
  * Does a fetch request to the specified uri.
+ * Network errors, server errors and too many requests responses are retried with exponential backoff.
+ * While the circuit breaker is open, fails fast without doing the request.
  * @param {String} uri 
- * @throws EXT_SVC_FAIL if there was an external server side error
+ * @param {Object} options timeout, retries, retry_delay and max_retry_delay (defaults to the configured ones)
+ * @throws EXT_SVC_FAIL if there was an external server side error or the circuit is open
  * @throws NOT_FOUND if the solicited resource wasn't found (client error)
  * @throws FAIL if there was some other error
  * @returns promise with a json response
  */
-async function do_fetch(uri) {
-	const res = await fetch(uri).catch(err => { throw errors.EXT_SVC_FAIL(err); });
-
-	if (res.ok)
-		return res.json();
-	else {
-		return res.json()
-			.catch(err => err)
-			.then(info => {
-				switch (getStatusClass(res.status)) {
-					case HTTP_SERVER_ERROR:
+async function do_fetch(uri, options = FETCH_OPTIONS) {
+	if (!circuitBreaker.canRequest())
+		throw errors.EXT_SVC_FAIL({ circuit: circuitBreaker.getState() });
+
+	for (let attempt = 0; ; attempt++) {
+		const canRetry = attempt < options.retries;
+		let res;
+
+		try {
+			res = await fetch(uri, { timeout: options.timeout });
+		}
+		catch (err) {
+			if (canRetry) {
+				await sleep(getRetryDelay(attempt, null, options));
+				continue;
+			}
+			circuitBreaker.onFailure();
+			throw errors.EXT_SVC_FAIL(err);
+		}
+
+		if (isRetryableStatus(res.status) && canRetry) {
+			await sleep(getRetryDelay(attempt, res.headers.get('Retry-After'), options));
+			continue;
+		}
+
+		if (isRetryableStatus(res.status))
+			circuitBreaker.onFailure();
+		else
+			circuitBreaker.onSuccess();
+
+		if (res.ok)
+			return res.json();
+		else {
+			return res.json()
+				.catch(err => err)
+				.then(info => {
+					if (res.status == HTTP_TOO_MANY_REQUESTS)
 						throw errors.EXT_SVC_FAIL(info);
-					case HTTP_CLIENT_ERROR:
-						throw errors.NOT_FOUND(uri);
-					default:
-						throw errors.FAIL(info);
-				}
-			});
+
+					switch (getStatusClass(res.status)) {
+						case HTTP_SERVER_ERROR:
+							throw errors.EXT_SVC_FAIL(info);
+						case HTTP_CLIENT_ERROR:
+							throw errors.NOT_FOUND(uri);
+						default:
+							throw errors.FAIL(info);
+					}
+				});
+		}
+	}
+}
+
+
+/**
+ * Does a fetch request to the specified uri, using the cached response when there is a valid one.
+ * Successful responses are cached for the given time to live.
+ * If the external service fails (or the circuit is open), an expired cached response is served when there is one.
+ * @param {String} uri 
+ * @param {Number} ttl time to live of the response in milliseconds
+ * @returns promise with a json response
+ */
+async function cached_fetch(uri, ttl) {
+	const cached = cache.get(uri);
+	if (cached !== undefined)
+		return cached;
+
+	if (!pendingRequests.has(uri)) {
+		pendingRequests.set(uri, do_fetch(uri)
+			.then(res => {
+				cache.set(uri, res, ttl);
+				return res;
+			})
+			.catch(err => {
+				const stale = err.name == 'EXT_SVC_FAIL' ? cache.getStale(uri) : undefined;
+				if (stale === undefined) throw err;
+				return stale;
+			})
+			.finally(() => pendingRequests.delete(uri))
+		);
 	}
+
+	return pendingRequests.get(uri);
+}
+
+
+/**
+ * Gets the statistics of the Board Game Atlas responses cache.
+ * @returns object with the number of entries and the hit, miss and eviction counters
+ */
+function getCacheStats() {
+	return cache.stats();
+}
+
+
+/**
+ * Removes all the Board Game Atlas responses from the cache.
+ */
+function clearCache() {
+	cache.clear();
 }
 
 
@@ -66,30 +203,69 @@ async function do_fetch(uri) {
 async function getPopularGames() {
 	const game_uri = BOARD_GAME_ATLAS_BASE_URI + `&limit=${NUMBER_OF_POPULAR_GAMES}&order_by=rank`;
 
-	const res = await do_fetch(game_uri);
+	const res = await cached_fetch(game_uri, CACHE_TTL.popular);
 
 	return Promise.all(Object.values(res.games.map(async (game) => await makeGameObj(game))));
 }
 
 
+/**
+ * Builds the Board Game Atlas query string for the search filters:
+ * - players: games that can be played by this number of players;
+ * - playtime: games that can be played in at most this number of minutes;
+ * - age: games suitable for players of this age;
+ * - year_published, publisher, designer, mechanic (id) and category (id): games that match the value;
+ * - gt_price and lt_price: games with a price greater/less than the value.
+ * @param {Object} filters 
+ * @returns query string with the Board Game Atlas params, starting with '&'
+ */
+function getFiltersQuery(filters) {
+	const params = {
+		lt_min_players: filters.players && Number(filters.players) + 1,
+		gt_max_players: filters.players && Number(filters.players) - 1,
+		lt_max_playtime: filters.playtime && Number(filters.playtime) + 1,
+		lt_min_age: filters.age && Number(filters.age) + 1,
+		year_published: filters.year_published,
+		publisher: filters.publisher,
+		designer: filters.designer,
+		mechanics: filters.mechanic,
+		categories: filters.category,
+		gt_price: filters.gt_price,
+		lt_price: filters.lt_price
+	};
+
+	return Object.entries(params)
+		.filter(([, value]) => value !== undefined && value !== '')
+		.map(([param, value]) => `&${param}=${encodeURIComponent(value)}`)
+		.join('');
+}
+
+
 /**
  * Gets an array of games by a given name and other optional filter params.
  * @param {String} gameName
  * @param {Number} limit
  * @param {String} order_by
  * @param {Boolean} ascending
+ * @param {Object} filters search filters (see getFiltersQuery)
+ * @param {Number} skip number of games to skip, used to get the next pages of results
  * @throws error NOT_FOUND if no game was found with the given query
- * @returns promise with an array of game objects
+ * @returns promise with an object with the total count of games found and the array of game objects of the page
  */
-async function searchGamesByName(gameName, limit, order_by, ascending) {
-	const game_uri = BOARD_GAME_ATLAS_BASE_URI + `&name=${gameName}&limit=${limit}&order_by=${order_by}&ascending=${ascending}`;
+async function searchGamesByName(gameName, limit, order_by, ascending, filters = {}, skip = 0) {
+	const game_uri = BOARD_GAME_ATLAS_BASE_URI +
+		`&name=${encodeURIComponent(gameName)}&limit=${limit}&skip=${skip}&order_by=${order_by}&ascending=${ascending}` +
+		getFiltersQuery(filters);
 
-	const res = await do_fetch(game_uri);
+	const res = await cached_fetch(game_uri, CACHE_TTL.search);
 
-	if (res.games.length == 0 || res.count == 0)
+	if (!res.count)
 		throw errors.NOT_FOUND({ gameName });
 
-	return Promise.all(Object.values(res.games.map(async (game) => await makeGameObj(game))));
+	return {
+		count: res.count,
+		games: await Promise.all(res.games.map(async (game) => await makeGameObj(game)))
+	};
 }
 
 
@@ -100,9 +276,9 @@ async function searchGamesByName(gameName, limit, order_by, ascending) {
  * @returns promise with the game object
  */
 async function searchGamesById(gameId) {
-	const game_uri = BOARD_GAME_ATLAS_BASE_URI + `&ids=${gameId}`;
+	const game_uri = BOARD_GAME_ATLAS_BASE_URI + `&ids=${encodeURIComponent(gameId)}`;
 
-	const res = await do_fetch(game_uri);
+	const res = await cached_fetch(game_uri, CACHE_TTL.ids);
 
 	if (res.games.length == 0 || res.count == 0)
 		throw errors.NOT_FOUND({ gameId: gameId });
@@ -111,6 +287,33 @@ async function searchGamesById(gameId) {
 }
 
 
+/**
+ * Gets the games with the given ids, doing one request for each chunk of MAX_IDS_PER_REQUEST ids.
+ * Ids that don't match any game are ignored.
+ * @param {Array} gameIds
+ * @returns promise with an array of the found game objects, in the order of the given ids
+ */
+async function searchGamesByIds(gameIds) {
+	const ids = [...new Set(gameIds)];
+
+	const chunks = [];
+	for (let i = 0; i < ids.length; i += MAX_IDS_PER_REQUEST)
+		chunks.push(ids.slice(i, i + MAX_IDS_PER_REQUEST));
+
+	const responses = await Promise.all(chunks.map(chunk =>
+		cached_fetch(BOARD_GAME_ATLAS_BASE_URI + `&ids=${chunk.map(encodeURIComponent).join(',')}&limit=${chunk.length}`, CACHE_TTL.ids)
+	));
+
+	const gamesById = {};
+	responses.forEach(res => res.games.forEach(game => gamesById[game.id] = game));
+
+	return Promise.all(ids
+		.filter(id => gamesById[id])
+		.map(async (id) => await makeGameObj(gamesById[id]))
+	);
+}
+
+
 // ------------------------- Mechanics and Categories -------------------------
 
 /**
@@ -139,30 +342,16 @@ async function getGameCategories(game) {
  * Gets the id:name map for mechanics from Board Game Atlas.
  */
 async function getGlobalMechanics() {
-	if (Object.keys(mechanics).length == 0) {
-		const mechanicsRes = await do_fetch(BOARD_GAME_ATLAS_MECHANICS_URI);
-		for (const i in mechanicsRes.mechanics) {
-			const mechanic = mechanicsRes.mechanics[i];
-			mechanics[mechanic.id] = mechanic.name;
-		}
-	}
-
-	return mechanics;
+	const mechanicsRes = await cached_fetch(BOARD_GAME_ATLAS_MECHANICS_URI, CACHE_TTL.mechanics);
+	return Object.fromEntries(mechanicsRes.mechanics.map(mechanic => [mechanic.id, mechanic.name]));
 }
 
 /**
  * Gets the id:name map for categories from Board Game Atlas.
  */
 async function getGlobalCategories() {
-	if (Object.keys(categories).length == 0) {
-		const categoriesRes = await do_fetch(BOARD_GAME_ATLAS_CATEGORIES_URI);
-		for (const i in categoriesRes.categories) {
-			const category = categoriesRes.categories[i];
-			categories[category.id] = category.name;
-		}
-	}
-
-	return categories;
+	const categoriesRes = await cached_fetch(BOARD_GAME_ATLAS_CATEGORIES_URI, CACHE_TTL.categories);
+	return Object.fromEntries(categoriesRes.categories.map(category => [category.id, category.name]));
 }
 
 
@@ -190,6 +379,11 @@ module.exports = {
 	getPopularGames,
 	searchGamesByName,
 	searchGamesById,
+	searchGamesByIds,
+	getGlobalMechanics,
+	getGlobalCategories,
+	getCacheStats,
+	clearCache,
 	getStatusClass,
 	makeGameObj,
 	do_fetch
@@ -0,0 +1,52 @@
+'use strict';
+
+
+const errors = require('./borga-errors');
+
+
+/**
+ * Functions every game catalog provider must export.
+ */
+const PROVIDER_INTERFACE = [
+	'getPopularGames',
+	'searchGamesByName',
+	'searchGamesById',
+	'searchGamesByIds',
+	'getGlobalMechanics',
+	'getGlobalCategories'
+];
+
+/**
+ * Map of the available providers: "providerName": builder function receiving the games spec.
+ */
+const providers = {
+	atlas: () => require('./board-games-data.js'),
+	local: (games_spec) => require('./board-games-data-local.js')(games_spec.catalog)
+};
+
+
+/**
+ * Builds the game catalog provider chosen in the games spec.
+ * @param {Object} games_spec object with the provider name and its options (e.g. the catalog path for the local provider)
+ * @throws FAIL if the provider is unknown or doesn't implement the provider interface
+ * @returns the provider module
+ */
+function buildProvider(games_spec) {
+	const builder = providers[games_spec.provider];
+	if (!builder)
+		throw errors.FAIL({ provider: games_spec.provider, available: Object.keys(providers) });
+
+	const provider = builder(games_spec);
+
+	const missing = PROVIDER_INTERFACE.filter(func => typeof provider[func] !== 'function');
+	if (missing.length > 0)
+		throw errors.FAIL({ provider: games_spec.provider, missing });
+
+	return provider;
+}
+
+
+module.exports = {
+	PROVIDER_INTERFACE,
+	buildProvider
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+
+/**
+ * Changes the role of a user directly in the configured data store, e.g. to create the first admin.
+ * Usage: node borga-admin.js set-role <userId> <user|admin>
+ *
+ * It doesn't work with the mem store, whose data only exists in the memory of the server.
+ * With the file store, the server must be stopped first: a running server keeps its own copy of the data
+ * and overwrites the file the next time it saves it.
+ */
+
+const config = require('./borga-config');
+const stores = require('./borga-data-stores');
+
+const ROLES = ["user", "admin"];
+
+
+/**
+ * Runs the command given in the arguments.
+ */
+async function run() {
+	const [command, userId, role] = process.argv.slice(2);
+
+	if (command != 'set-role' || !userId || !ROLES.includes(role)) {
+		console.log(`Usage: node borga-admin.js set-role <userId> <${ROLES.join('|')}>`);
+		process.exit(1);
+	}
+
+	if (config.data.store == 'mem') {
+		console.log("The mem store keeps the data only in the memory of the server, so it can't be changed from here. " +
+			"Use the db or file store.");
+		process.exit(1);
+	}
+
+	const data = stores.buildStore(config.data, { url: config.es_url, prefix: config.es_prefix }, config.guest);
+	const user = await data.updateUser(userId, { role });
+	console.log(`User ${user.userId} is now ${user.role}`);
+	if (config.data.store == 'file')
+		console.log("If the server is running, stop it and run this command again, or the change will be overwritten.");
+}
+
+
+run().catch(err => {
+	console.log(err);
+	process.exit(1);
+});
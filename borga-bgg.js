@@ -0,0 +1,73 @@
+'use strict';
+
+
+const ITEM_REGEX = /<item\b([^>]*)>([\s\S]*?)<\/item>/g;
+const ATTRIBUTE_REGEX = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+const NAME_REGEX = /<name\b[^>]*>([\s\S]*?)<\/name>/;
+const YEAR_REGEX = /<yearpublished\b[^>]*>\s*(\d+)\s*<\/yearpublished>/;
+const CDATA_REGEX = /^<!\[CDATA\[([\s\S]*)\]\]>$/;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+
+/**
+ * Replaces the XML entities and character references of a text.
+ * @param {String} text
+ * @returns the decoded text
+ */
+function decodeXml(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+		if (name[0] == '#')
+			return String.fromCodePoint(name[1] == 'x' || name[1] == 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+		return XML_ENTITIES.hasOwnProperty(name) ? XML_ENTITIES[name] : entity;
+	});
+}
+
+
+/**
+ * Gets the text content of an element, which may be in a CDATA section.
+ * @param {String} content
+ * @returns the trimmed text
+ */
+function getText(content) {
+	const trimmed = content.trim();
+	const cdata = trimmed.match(CDATA_REGEX);
+
+	return cdata ? cdata[1].trim() : decodeXml(trimmed);
+}
+
+
+/**
+ * Parses a BoardGameGeek collection export, an XML document like
+ * <items><item objectid="13" subtype="boardgame"><name>Catan</name><yearpublished>1995</yearpublished>...</item></items>.
+ * Items without a name are ignored.
+ * @param {String} xml
+ * @returns array with the BoardGameGeek id, name and year (null if unknown) of each item, or null if the text isn't a collection
+ */
+function parseCollection(xml) {
+	if (typeof xml != 'string' || !/<items\b/.test(xml)) return null;
+
+	const items = [];
+	for (const [, attributes, content] of xml.matchAll(ITEM_REGEX)) {
+		const name = content.match(NAME_REGEX);
+		if (!name || getText(name[1]) == '') continue;
+
+		const attributeValues = Object.fromEntries(
+			[...attributes.matchAll(ATTRIBUTE_REGEX)].map(([, attribute, value]) => [attribute, decodeXml(value)])
+		);
+		const year = content.match(YEAR_REGEX);
+
+		items.push({
+			bggId: attributeValues.objectid || null,
+			name: getText(name[1]),
+			year: year ? Number(year[1]) : null
+		});
+	}
+
+	return items;
+}
+
+
+module.exports = {
+	parseCollection
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+
+/**
+ * Builds an in-memory cache with a time to live per entry and a maximum number of entries.
+ * When full, the least recently used entry is evicted.
+ * @param {Number} maxEntries maximum number of entries kept in the cache
+ * @returns cache object
+ */
+module.exports = function (maxEntries) {
+
+	/**
+	 * Map of all entries: "key": { value, expiresAt }.
+	 * A Map keeps insertion order, so the first key is always the least recently used one.
+	 */
+	const entries = new Map();
+
+	let hits = 0;
+	let misses = 0;
+	let evictions = 0;
+	let staleHits = 0;
+
+
+	/**
+	 * Gets a value from the cache, marking it as the most recently used.
+	 * Expired entries count as a miss, but are kept until evicted so they can still be served as stale.
+	 * @param {String} key
+	 * @returns the cached value or undefined if there is no valid entry
+	 */
+	function get(key) {
+		const entry = entries.get(key);
+
+		if (!entry || entry.expiresAt <= Date.now()) {
+			misses++;
+			return undefined;
+		}
+
+		entries.delete(key);
+		entries.set(key, entry);
+		hits++;
+		return entry.value;
+	}
+
+
+	/**
+	 * Gets a value from the cache even if it has already expired.
+	 * Used when a fresh value can't be obtained (e.g. the external service is down).
+	 * @param {String} key
+	 * @returns the cached value or undefined if there is no entry
+	 */
+	function getStale(key) {
+		const entry = entries.get(key);
+		if (!entry) return undefined;
+
+		staleHits++;
+		return entry.value;
+	}
+
+
+	/**
+	 * Stores a value in the cache, evicting the least recently used entry if the cache is full.
+	 * @param {String} key
+	 * @param {*} value
+	 * @param {Number} ttl time to live in milliseconds
+	 */
+	function set(key, value, ttl) {
+		entries.delete(key);
+
+		while (entries.size >= maxEntries && entries.size > 0) {
+			entries.delete(entries.keys().next().value);
+			evictions++;
+		}
+
+		if (maxEntries > 0)
+			entries.set(key, { value, expiresAt: Date.now() + ttl });
+	}
+
+
+	/**
+	 * Removes all entries from the cache and resets the counters.
+	 */
+	function clear() {
+		entries.clear();
+		hits = 0;
+		misses = 0;
+		evictions = 0;
+		staleHits = 0;
+	}
+
+
+	/**
+	 * Gets the cache statistics.
+	 * @returns object with the number of entries, the maximum entries and the hit, miss, eviction and stale hit counters
+	 */
+	function stats() {
+		return {
+			entries: entries.size,
+			maxEntries,
+			hits,
+			misses,
+			evictions,
+			staleHits
+		};
+	}
+
+
+	return {
+		get,
+		getStale,
+		set,
+		clear,
+		stats
+	};
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+
+/**
+ * Builds a circuit breaker for requests to an external service.
+ * - closed: requests are allowed. After failureThreshold consecutive failures the circuit opens;
+ * - open: requests fail fast. After resetTimeout milliseconds the circuit becomes half-open;
+ * - half-open: one trial request is allowed. If it succeeds the circuit closes, otherwise it opens again.
+ * @param {Number} failureThreshold number of consecutive failures that opens the circuit
+ * @param {Number} resetTimeout time in milliseconds the circuit stays open
+ * @returns circuit breaker object
+ */
+module.exports = function (failureThreshold, resetTimeout) {
+
+	let state = CLOSED;
+	let failures = 0;
+	let openedAt = 0;
+	let trialInProgress = false;
+
+
+	/**
+	 * Checks if a request can be done, moving an open circuit to half-open once the reset timeout has passed.
+	 * @returns true if the request is allowed
+	 */
+	function canRequest() {
+		if (state == OPEN && Date.now() - openedAt >= resetTimeout) {
+			state = HALF_OPEN;
+			trialInProgress = false;
+		}
+
+		if (state == HALF_OPEN) {
+			if (trialInProgress) return false;
+			trialInProgress = true;
+			return true;
+		}
+
+		return state == CLOSED;
+	}
+
+
+	/**
+	 * Registers a successful request, closing the circuit.
+	 */
+	function onSuccess() {
+		state = CLOSED;
+		failures = 0;
+		trialInProgress = false;
+	}
+
+
+	/**
+	 * Registers a failed request, opening the circuit if the failure threshold was reached or if it was the trial request.
+	 */
+	function onFailure() {
+		failures++;
+		trialInProgress = false;
+
+		if (state == HALF_OPEN || failures >= failureThreshold) {
+			state = OPEN;
+			openedAt = Date.now();
+		}
+	}
+
+
+	/**
+	 * Gets the current circuit information.
+	 * @returns object with the state, the number of consecutive failures and the milliseconds left until a retry is allowed
+	 */
+	function getState() {
+		return {
+			state,
+			failures,
+			retryIn: state == OPEN ? Math.max(0, resetTimeout - (Date.now() - openedAt)) : 0
+		};
+	}
+
+
+	return {
+		canRequest,
+		onSuccess,
+		onFailure,
+		getState
+	};
+};
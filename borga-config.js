@@ -1,8 +1,51 @@
 'use strict';
 
 
+require('dotenv').config();
+
 module.exports = {
 	es_url: 'http://localhost:9200',
+	// Prefix of the Elasticsearch indices used by the application
+	es_prefix: process.env['ES_PREFIX'] || 'prod',
+	data: {
+		// Data store: 'mem' (lost on restart), 'db' (Elasticsearch) or 'file' (JSON file)
+		store: process.env['DATA_STORE'] || 'mem',
+		file: process.env['DATA_FILE'] || './data/borga-data.json'
+	},
+	// Messages to the users, such as password reset codes, are appended to this file in place of email.
+	// Without it, they are logged
+	outbox: process.env['OUTBOX_FILE'],
+	games: {
+		// Game catalog provider: 'atlas' (Board Game Atlas API) or 'local' (JSON/CSV catalog file)
+		provider: process.env['GAMES_PROVIDER'] || 'atlas',
+		catalog: process.env['GAMES_CATALOG'] || './data/board-games-catalog.json'
+	},
+	atlas_cache: {
+		max_entries: 500,
+		// Time to live, in milliseconds, of the cached responses of each Board Game Atlas endpoint
+		ttl: {
+			popular: 60 * 60 * 1000,
+			search: 5 * 60 * 1000,
+			ids: 24 * 60 * 60 * 1000,
+			mechanics: 24 * 60 * 60 * 1000,
+			categories: 24 * 60 * 60 * 1000
+		}
+	},
+	atlas_fetch: {
+		// Time, in milliseconds, to wait for a Board Game Atlas response
+		timeout: 5000,
+		// Retries of requests that failed with a network error, a server error or too many requests
+		retries: 2,
+		// Base delay, in milliseconds, of the exponential backoff, and its maximum (also caps Retry-After)
+		retry_delay: 250,
+		max_retry_delay: 5000,
+		breaker: {
+			// Consecutive failed requests that open the circuit
+			failure_threshold: 5,
+			// Time, in milliseconds, the circuit stays open before a trial request
+			reset_timeout: 30 * 1000
+		}
+	},
 	guest: {
 		id: 'guestid',
 		name: 'guest',
@@ -0,0 +1,77 @@
+'use strict';
+
+
+// Fields that spreadsheets would run as formulas, with or without the quotes (') that escape them
+const FORMULA_REGEX = /^'*[=+\-@]/;
+const ESCAPED_FORMULA_REGEX = /^'+[=+\-@]/;
+
+
+/**
+ * Parses CSV text into rows of fields. Supports quoted fields with commas, line breaks and escaped quotes ("").
+ * The quote (') that stringifyCsv adds to the fields that look like formulas is removed.
+ * @param {String} text
+ * @returns array of rows, each one an array of fields
+ */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char == '"' && text[i + 1] == '"') {
+				field += '"';
+				i++;
+			}
+			else if (char == '"') quoted = false;
+			else field += char;
+		}
+		else if (char == '"') quoted = true;
+		else if (char == ',') {
+			row.push(field);
+			field = '';
+		}
+		else if (char == '\n' || char == '\r') {
+			if (char == '\r' && text[i + 1] == '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		}
+		else field += char;
+	}
+
+	if (field != '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	return rows.map(fields => fields.map(field => ESCAPED_FORMULA_REGEX.test(field) ? field.slice(1) : field));
+}
+
+
+/**
+ * Writes rows of fields as CSV text, one line per row.
+ * Fields with commas, quotes or line breaks are quoted, with their quotes escaped ("").
+ * Fields starting with =, +, - or @ get a quote (') before them, so spreadsheets don't run them as formulas.
+ * @param {Array} rows array of rows, each one an array of fields. Null and undefined fields are written empty
+ * @returns the CSV text
+ */
+function stringifyCsv(rows) {
+	const toField = value => {
+		let field = value === null || value === undefined ? '' : String(value);
+		if (FORMULA_REGEX.test(field)) field = `'${field}`;
+		return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+	};
+
+	return rows.map(row => row.map(toField).join(',')).join('\n') + '\n';
+}
+
+
+module.exports = {
+	parseCsv,
+	stringifyCsv
+};
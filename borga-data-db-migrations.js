@@ -0,0 +1,589 @@
+'use strict';
+
+
+const errors = require('./borga-errors');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+
+// Number of documents updated at a time by the migrations that fill in new fields
+const BACKFILL_PAGE_SIZE = 500;
+
+const TEXT_WITH_KEYWORD = { type: 'text', fields: { keyword: { type: 'keyword', ignore_above: 256 } } };
+
+// Painless function that escapes a part of a document id, like borga-data-db.js does:
+// the parts are joined with "_", so "~" is written as "~~" and "_" as "~u"
+const ESCAPE_ID_PART = "String escapeIdPart(def part) { return part.toString().replace('~', '~~').replace('_', '~u'); } ";
+
+// Fields of the documents whose values, joined by "_", make their ids
+const DOC_ID_FIELDS = {
+	groups: ['owner', 'id'],
+	groupGames: ['owner', 'groupId', 'gameId'],
+	groupMembers: ['owner', 'groupId', 'userId'],
+	collections: ['userId', 'gameId']
+};
+
+/**
+ * Current mappings of each kind of index.
+ * All of them are strict, so a document with an unknown field (e.g. a typo) is rejected instead of creating a new field.
+ * Changes to these mappings must come with a migration that applies them to the existing indices.
+ */
+const MAPPINGS = {
+	users: {
+		dynamic: 'strict',
+		properties: {
+			userId: { type: 'keyword' },
+			userName: TEXT_WITH_KEYWORD,
+			passwordHash: { type: 'keyword', index: false },
+			role: { type: 'keyword' },
+			disabled: { type: 'boolean' }
+		}
+	},
+	tokens: {
+		dynamic: 'strict',
+		properties: {
+			id: { type: 'keyword' },
+			userId: { type: 'keyword' },
+			name: { type: 'keyword' },
+			createdAt: { type: 'date' },
+			expiresAt: { type: 'date' },
+			lastUsedAt: { type: 'date' },
+			revoked: { type: 'boolean' }
+		}
+	},
+	resetCodes: {
+		dynamic: 'strict',
+		properties: {
+			codeHash: { type: 'keyword', index: false },
+			expiresAt: { type: 'date' },
+			attempts: { type: 'integer' }
+		}
+	},
+	games: {
+		dynamic: 'strict',
+		properties: {
+			id: { type: 'keyword' },
+			name: TEXT_WITH_KEYWORD,
+			description: { type: 'text' },
+			url: { type: 'keyword', index: false },
+			image_url: { type: 'keyword', index: false },
+			publisher: TEXT_WITH_KEYWORD,
+			amazon_rank: { type: 'integer', ignore_malformed: true },
+			price: { type: 'scaled_float', scaling_factor: 100, ignore_malformed: true },
+			mechanics: { type: 'keyword' },
+			categories: { type: 'keyword' }
+		}
+	},
+	groups: {
+		dynamic: 'strict',
+		properties: {
+			id: { type: 'keyword' },
+			owner: { type: 'keyword' },
+			name: TEXT_WITH_KEYWORD,
+			description: { type: 'text' }
+		}
+	},
+	groupGames: {
+		dynamic: 'strict',
+		properties: {
+			owner: { type: 'keyword' },
+			groupId: { type: 'keyword' },
+			gameId: { type: 'keyword' },
+			name: TEXT_WITH_KEYWORD,
+			rating: { type: 'integer' },
+			notes: { type: 'text' },
+			dateAdded: { type: 'date' },
+			plays: {
+				properties: {
+					id: { type: 'keyword' },
+					date: { type: 'date' },
+					players: { type: 'keyword' },
+					winner: { type: 'keyword' },
+					duration: { type: 'integer' }
+				}
+			}
+		}
+	},
+	groupMembers: {
+		dynamic: 'strict',
+		properties: {
+			owner: { type: 'keyword' },
+			groupId: { type: 'keyword' },
+			userId: { type: 'keyword' },
+			role: { type: 'keyword' }
+		}
+	},
+	shareLinks: {
+		dynamic: 'strict',
+		properties: {
+			owner: { type: 'keyword' },
+			groupId: { type: 'keyword' },
+			createdAt: { type: 'date' }
+		}
+	},
+	collections: {
+		dynamic: 'strict',
+		properties: {
+			userId: { type: 'keyword' },
+			gameId: { type: 'keyword' },
+			name: TEXT_WITH_KEYWORD,
+			status: { type: 'keyword' },
+			updatedAt: { type: 'date' }
+		}
+	},
+	migrations: {
+		dynamic: 'strict',
+		properties: {
+			version: { type: 'integer' },
+			description: { type: 'text' },
+			appliedAt: { type: 'date' }
+		}
+	}
+};
+
+
+/**
+ * Creates the indices used by borga-data-db.js and evolves them with versioned migrations.
+ *
+ * The applied migrations are recorded in the "<prefix>_migrations" index. Every migration must be idempotent,
+ * since the bootstrap creates the missing indices with the current mappings before running the pending migrations.
+ * @param {String} es_url
+ * @param {String} idx_prefix
+ */
+module.exports = function (
+	es_url,
+	idx_prefix
+) {
+	const indices = {
+		users: `${idx_prefix}_users`,
+		tokens: `${idx_prefix}_tokens`,
+		resetCodes: `${idx_prefix}_reset_codes`,
+		games: `${idx_prefix}_games`,
+		groups: `${idx_prefix}_groups`,
+		groupGames: `${idx_prefix}_group_games`,
+		groupMembers: `${idx_prefix}_group_members`,
+		shareLinks: `${idx_prefix}_share_links`,
+		collections: `${idx_prefix}_collections`,
+		migrations: `${idx_prefix}_migrations`
+	};
+
+	// Before migration 2, the groups of each user and the games of each group had their own index,
+	// with the mappings given by index templates
+	const legacy = {
+		groups: { template: `${idx_prefix}_groups`, pattern: `${idx_prefix}_users_*_groups` },
+		groupGames: { template: `${idx_prefix}_group_games`, pattern: `${idx_prefix}_users_*_groups_*_games` },
+		groupGamesIndex: new RegExp(`^${idx_prefix}_users_(.+?)_groups_(.+)_games$`),
+		groupsIndex: new RegExp(`^${idx_prefix}_users_(.+)_groups$`)
+	};
+
+
+	/**
+	 * List of migrations, ordered by version.
+	 * Each one has a version, a description and the up function that applies it.
+	 */
+	const MIGRATIONS = [
+		{
+			version: 1,
+			description: 'Explicit mappings for users, tokens, games, groups and group games',
+			up: async () => {
+				for (const kind of ['users', 'tokens', 'games'])
+					await applyMappings(indices[kind], MAPPINGS[kind]);
+
+				for (const index of await listIndices(legacy.groups.pattern))
+					await applyMappings(index, MAPPINGS.groups, 'ctx._source.id = ctx._id');
+
+				for (const index of await listIndices(legacy.groupGames.pattern))
+					await applyMappings(index, MAPPINGS.groupGames);
+			}
+		},
+		{
+			version: 2,
+			description: 'Move the per-user groups and per-group games indices to the groups and group games indices',
+			up: async () => {
+				await createIndex(indices.groups, MAPPINGS.groups);
+				await createIndex(indices.groupGames, MAPPINGS.groupGames);
+
+				for (const index of await listIndices(legacy.groupGames.pattern)) {
+					const [, userId, groupId] = index.match(legacy.groupGamesIndex);
+
+					await moveIndex(index, indices.groupGames, { owner: userId, groupId },
+						ESCAPE_ID_PART + 'ctx._source.owner = params.owner; ctx._source.groupId = params.groupId; ' +
+						'ctx._source.gameId = ctx._id; ' +
+						'ctx._id = escapeIdPart(params.owner) + "_" + escapeIdPart(params.groupId) + "_" + escapeIdPart(ctx._id)'
+					);
+				}
+
+				for (const index of await listIndices(legacy.groups.pattern)) {
+					const [, userId] = index.match(legacy.groupsIndex);
+
+					await moveIndex(index, indices.groups, { owner: userId },
+						ESCAPE_ID_PART + 'ctx._source.owner = params.owner; ctx._source.id = ctx._id; ' +
+						'ctx._id = escapeIdPart(params.owner) + "_" + escapeIdPart(ctx._id)'
+					);
+				}
+
+				for (const template of [legacy.groups.template, legacy.groupGames.template]) {
+					const response = await esRequest('DELETE', `/_index_template/${template}`);
+					if (response.status != 200 && response.status != 404)
+						throw errors.FAIL({ template, error: response.body.error });
+				}
+			}
+		},
+		{
+			version: 3,
+			description: 'Token id, name, creation, expiration and last use dates and revocation',
+			up: async () => {
+				await addMappings(indices.tokens, MAPPINGS.tokens);
+
+				// Tokens created before have no id, and never expire
+				const createdAt = new Date().toISOString();
+				await backfill(indices.tokens, 'id', () => ({
+					id: crypto.randomUUID(),
+					name: 'default',
+					createdAt,
+					expiresAt: null,
+					lastUsedAt: null,
+					revoked: false
+				}));
+			}
+		},
+		{
+			version: 4,
+			description: 'Password reset codes',
+			up: async () => {
+				await createIndex(indices.resetCodes, MAPPINGS.resetCodes);
+			}
+		},
+		{
+			version: 5,
+			description: 'User id, role and disabled flag',
+			up: async () => {
+				await addMappings(indices.users, MAPPINGS.users);
+
+				// Users created before are regular and enabled. The userId is stored to sort the users listing
+				await backfill(indices.users, 'userId', hit => ({
+					userId: hit._id,
+					role: 'user',
+					disabled: false
+				}));
+			}
+		},
+		{
+			version: 6,
+			description: 'Group members',
+			up: async () => {
+				await createIndex(indices.groupMembers, MAPPINGS.groupMembers);
+			}
+		},
+		{
+			version: 7,
+			description: 'Group share links',
+			up: async () => {
+				await createIndex(indices.shareLinks, MAPPINGS.shareLinks);
+			}
+		},
+		{
+			version: 8,
+			description: 'Group game rating, notes, date added and plays',
+			up: async () => {
+				// Games added before keep no date added, and have no rating, notes or plays until they are set
+				await addMappings(indices.groupGames, MAPPINGS.groupGames);
+			}
+		},
+		{
+			version: 9,
+			description: 'User collections',
+			up: async () => {
+				await createIndex(indices.collections, MAPPINGS.collections);
+			}
+		},
+		{
+			version: 10,
+			description: 'Escape the "_" of the parts of the ids of groups, group games, group members and collections',
+			up: async () => {
+				for (const [kind, fields] of Object.entries(DOC_ID_FIELDS)) {
+					// Empty indices, like the ones just created by the bootstrap, have no ids to change
+					if (await countDocs(indices[kind]) == 0) continue;
+
+					await rebuildIndex(indices[kind], MAPPINGS[kind],
+						ESCAPE_ID_PART + 'ctx._id = ' + fields.map(field => `escapeIdPart(ctx._source.${field})`).join(' + "_" + ')
+					);
+				}
+			}
+		}
+	];
+
+
+	// ------------------------- Elasticsearch Requests -------------------------
+
+	/**
+	 * Does a request to Elasticsearch.
+	 * @param {String} method
+	 * @param {String} path path of the request, starting with '/'
+	 * @param {Object} body
+	 * @returns object with the status and the json body of the response (undefined for HEAD requests)
+	 * @throws FAIL if Elasticsearch can't be reached
+	 */
+	async function esRequest(method, path, body) {
+		try {
+			const response = await fetch(
+				`${es_url}${path}`,
+				{
+					method,
+					headers: { 'Content-Type': 'application/json' },
+					body: body && JSON.stringify(body)
+				}
+			);
+
+			return {
+				status: response.status,
+				body: method == 'HEAD' ? undefined : await response.json()
+			};
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Does a request to Elasticsearch that must succeed.
+	 * @param {String} method
+	 * @param {String} path
+	 * @param {Object} body
+	 * @returns the json body of the response
+	 * @throws FAIL if the response status isn't 2xx
+	 */
+	async function esCommand(method, path, body) {
+		const response = await esRequest(method, path, body);
+
+		if (response.status < 200 || response.status >= 300)
+			throw errors.FAIL({ request: `${method} ${path}`, error: response.body.error });
+
+		return response.body;
+	}
+
+
+	/**
+	 * Checks if an index exists.
+	 * @param {String} index
+	 * @returns true if the index exists
+	 */
+	async function indexExists(index) {
+		return (await esRequest('HEAD', `/${index}`)).status == 200;
+	}
+
+
+	/**
+	 * Lists the existing indices matching a pattern.
+	 * @param {String} pattern
+	 * @returns array with the names of the indices
+	 */
+	async function listIndices(pattern) {
+		const indices = await esCommand('GET', `/_cat/indices/${pattern}?format=json&h=index`);
+		return indices.map(index => index.index);
+	}
+
+
+	/**
+	 * Creates an index with the given mappings, if it doesn't exist yet.
+	 * @param {String} index
+	 * @param {Object} mappings
+	 */
+	async function createIndex(index, mappings) {
+		if (!await indexExists(index))
+			await esCommand('PUT', `/${index}`, { mappings });
+	}
+
+
+	/**
+	 * Applies mappings to an index. Since the mappings of existing fields can't be changed,
+	 * an index that isn't strict yet (i.e. was created with dynamic mappings) is reindexed:
+	 * its documents are copied to a temporary index, and back to the index recreated with the new mappings.
+	 * A missing index is created.
+	 * @param {String} index
+	 * @param {Object} mappings
+	 * @param {String} script optional painless script applied to each document while copying it
+	 */
+	async function applyMappings(index, mappings, script) {
+		if (!await indexExists(index))
+			return await createIndex(index, mappings);
+
+		const current = await esCommand('GET', `/${index}/_mapping`);
+		if (current[index].mappings.dynamic == 'strict')
+			return;
+
+		await rebuildIndex(index, mappings, script);
+	}
+
+
+	/**
+	 * Recreates an index with the given mappings, keeping its documents:
+	 * they are copied to a temporary index, and back to the recreated index.
+	 * @param {String} index
+	 * @param {Object} mappings
+	 * @param {String} script optional painless script applied to each document while copying it
+	 */
+	async function rebuildIndex(index, mappings, script) {
+		const tmpIndex = `${index}_migrating`;
+
+		await createIndex(tmpIndex, mappings);
+		await esCommand('POST', '/_reindex?refresh=true', {
+			source: { index },
+			dest: { index: tmpIndex },
+			script: script && { source: script }
+		});
+		await esCommand('DELETE', `/${index}`);
+		await createIndex(index, mappings);
+		await esCommand('POST', '/_reindex?refresh=true', {
+			source: { index: tmpIndex },
+			dest: { index }
+		});
+		await esCommand('DELETE', `/${tmpIndex}`);
+	}
+
+
+	/**
+	 * Counts the documents of an index.
+	 * @param {String} index
+	 * @returns the number of documents, 0 if the index doesn't exist
+	 */
+	async function countDocs(index) {
+		const response = await esRequest('GET', `/${index}/_count`);
+		if (response.status == 404)
+			return 0;
+		if (response.status != 200)
+			throw errors.FAIL({ index, error: response.body.error });
+
+		return response.body.count;
+	}
+
+
+	/**
+	 * Adds new fields to the mappings of an existing index. The mappings of the existing fields can't change.
+	 * @param {String} index
+	 * @param {Object} mappings
+	 */
+	async function addMappings(index, mappings) {
+		await esCommand('PUT', `/${index}/_mapping`, { properties: mappings.properties });
+	}
+
+
+	/**
+	 * Fills in new fields of the documents of an index that don't have them yet, a page at a time.
+	 * @param {String} index
+	 * @param {String} field field whose absence marks the documents to update
+	 * @param {Function} makeDoc function receiving a search hit and returning the fields to add to its document
+	 */
+	async function backfill(index, field, makeDoc) {
+		let answer;
+		do {
+			answer = await esCommand('POST', `/${index}/_search`, {
+				query: { bool: { must_not: { exists: { field } } } },
+				size: BACKFILL_PAGE_SIZE
+			});
+
+			for (const hit of answer.hits.hits)
+				await esCommand('POST', `/${index}/_update/${hit._id}`, { doc: makeDoc(hit) });
+
+			await esCommand('POST', `/${index}/_refresh`);
+		} while (answer.hits.hits.length == BACKFILL_PAGE_SIZE);
+	}
+
+
+	/**
+	 * Moves the documents of an index to another one, deleting the source index.
+	 * @param {String} index source index
+	 * @param {String} destIndex
+	 * @param {Object} params params of the script
+	 * @param {String} script painless script applied to each document while moving it
+	 */
+	async function moveIndex(index, destIndex, params, script) {
+		await esCommand('POST', '/_reindex?refresh=true', {
+			source: { index },
+			dest: { index: destIndex },
+			script: { source: script, params }
+		});
+		await esCommand('DELETE', `/${index}`);
+	}
+
+
+	// ------------------------- Bootstrap and Migrations -------------------------
+
+	/**
+	 * Gets the versions of the applied migrations.
+	 * @returns array with the applied versions
+	 */
+	async function getAppliedVersions() {
+		const answer = await esCommand('POST', `/${indices.migrations}/_search`, {
+			size: MIGRATIONS.length,
+			_source: ['version']
+		});
+
+		return answer.hits.hits.map(hit => hit._source.version);
+	}
+
+
+	/**
+	 * Gets the state of each migration.
+	 * @returns array with the version, description and applied flag of each migration
+	 */
+	async function getStatus() {
+		await createIndex(indices.migrations, MAPPINGS.migrations);
+		const applied = await getAppliedVersions();
+
+		return MIGRATIONS.map(migration => ({
+			version: migration.version,
+			description: migration.description,
+			applied: applied.includes(migration.version)
+		}));
+	}
+
+
+	/**
+	 * Runs the pending migrations, by version order, recording each one after it is applied.
+	 * @returns array with the versions of the applied migrations
+	 */
+	async function migrate() {
+		await createIndex(indices.migrations, MAPPINGS.migrations);
+		const applied = await getAppliedVersions();
+
+		const pending = MIGRATIONS
+			.filter(migration => !applied.includes(migration.version))
+			.sort((migration1, migration2) => migration1.version - migration2.version);
+
+		for (const migration of pending) {
+			await migration.up();
+
+			await esCommand('PUT', `/${indices.migrations}/_doc/${migration.version}?refresh=wait_for`, {
+				version: migration.version,
+				description: migration.description,
+				appliedAt: new Date().toISOString()
+			});
+			console.log(`Applied migration ${migration.version}: ${migration.description}`);
+		}
+
+		return pending.map(migration => migration.version);
+	}
+
+
+	/**
+	 * Prepares Elasticsearch to be used by borga-data-db.js:
+	 * creates the missing indices with the current mappings, then runs the pending migrations.
+	 * @returns array with the versions of the applied migrations
+	 */
+	async function bootstrap() {
+		for (const kind in indices)
+			await createIndex(indices[kind], MAPPINGS[kind]);
+
+		return await migrate();
+	}
+
+
+	return {
+		bootstrap,
+		migrate,
+		getStatus
+	};
+};
@@ -11,10 +11,54 @@ module.exports = function (
 	idx_prefix
 ) {
 	const tokensUri = `${es_url}/${idx_prefix}_tokens`;
+	const resetCodesUri = `${es_url}/${idx_prefix}_reset_codes`;
 	const usersUri = `${es_url}/${idx_prefix}_users`;
 	const gamesUri = `${es_url}/${idx_prefix}_games`;
-	const userGroupsUri = (userId) => `${usersUri}_${userId}_groups`;
-	const groupGamesUri = (userId, groupId) => `${userGroupsUri(userId)}_${groupId}_games`;
+	const groupsUri = `${es_url}/${idx_prefix}_groups`;
+	const groupGamesUri = `${es_url}/${idx_prefix}_group_games`;
+	const groupMembersUri = `${es_url}/${idx_prefix}_group_members`;
+	const shareLinksUri = `${es_url}/${idx_prefix}_share_links`;
+	const collectionsUri = `${es_url}/${idx_prefix}_collections`;
+
+	// Groups are identified by their owner and id, and group games also by the game id.
+	// The parts are joined with "_", so it's escaped in each part ("~" as "~~" and "_" as "~u"): otherwise
+	// the group "x_1" of the user "abcd" and the group "1" of the user "abcd_x" would have the same document id
+	const docIdPart = part => String(part).replace(/~/g, '~~').replace(/_/g, '~u');
+	const groupDocId = (userId, groupId) => `${docIdPart(userId)}_${docIdPart(groupId)}`;
+	const groupGameDocId = (userId, groupId, gameId) => `${groupDocId(userId, groupId)}_${docIdPart(gameId)}`;
+	const groupMemberDocId = (userId, groupId, memberId) => `${groupDocId(userId, groupId)}_${docIdPart(memberId)}`;
+	const collectionGameDocId = (userId, gameId) => `${docIdPart(userId)}_${docIdPart(gameId)}`;
+
+	// Checks that a document has the given values, e.g. { owner, id } for a group
+	const isDocOf = (source, values) => Object.entries(values).every(([field, value]) => source[field] === value);
+
+	// Maximum number of games of a group, limited by the maximum result window of a search
+	const MAX_GROUP_GAMES = 10000;
+
+	// Maximum number of games of the collection of a user, limited like the games of a group
+	const MAX_COLLECTION_GAMES = 10000;
+
+	// Maximum number of different games in the groups of a user counted by the stats, limited by the maximum number of buckets
+	const MAX_STATS_GAMES = 10000;
+
+	// Maximum number of tokens listed for a user
+	const MAX_USER_TOKENS = 1000;
+
+	// Maximum number of members of a group, and of groups shared with a user
+	const MAX_GROUP_MEMBERS = 1000;
+	const MAX_SHARED_GROUPS = 1000;
+	const DEFAULT_TOKEN_NAME = "default";
+
+	const GROUPS_PAGE_SIZE = 100;
+	const GROUPS_SORT = [
+		{ "name.keyword": { order: "asc", unmapped_type: "keyword" } },
+		{ id: { order: "asc", unmapped_type: "keyword" } }
+	];
+	// Sort of the games of a group and of the collection of a user
+	const GAMES_SORT = [
+		{ "name.keyword": { order: "asc", unmapped_type: "keyword" } },
+		{ gameId: { order: "asc", unmapped_type: "keyword" } }
+	];
 
 
 	// ------------------------- Tokens -------------------------
@@ -25,11 +69,23 @@ module.exports = function (
 	 * @returns the userId associated with the given token
 	 */
 	async function tokenToUserId(token) {
+		const tokenInfo = await getTokenInfo(token);
+		return tokenInfo && tokenInfo.userId;
+	}
+
+
+	/**
+	 * Gets the information of a token, including the user it belongs to.
+	 * The token is the id of its document, so it's found without searching.
+	 * @param {String} token 
+	 * @returns the token information, or null if the token doesn't exist
+	 */
+	async function getTokenInfo(token) {
 		try {
 			const response = await fetch(`${tokensUri}/_doc/${token}`);
 
 			if (response.status == 200)
-				return (await response.json())._source.userId;
+				return (await response.json())._source;
 		}
 		catch (err) {
 			console.log(err);
@@ -43,11 +99,22 @@ module.exports = function (
 	/**
 	 * Creates a token, randomly generated, associating it to a userId.
 	 * Uses crypto.randomUUID() for random token generation.
-	 * @param {String} token 
-	 * @returns the created token
+	 * @param {String} userId 
+	 * @param {String} name 
+	 * @param {String} expiresAt expiration date in ISO format, or null if the token doesn't expire
+	 * @returns object with the token and its information
 	 */
-	async function createToken(userId) {
+	async function createToken(userId, name, expiresAt) {
 		const token = crypto.randomUUID();
+		const tokenDoc = {
+			id: crypto.randomUUID(),
+			userId,
+			name,
+			createdAt: new Date().toISOString(),
+			expiresAt,
+			lastUsedAt: null,
+			revoked: false
+		};
 
 		try {
 			const response = await fetch(
@@ -55,45 +122,177 @@ module.exports = function (
 				{
 					method: 'PUT',
 					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(tokenDoc)
+				}
+			);
+
+			if (response.status != 201)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return { token, ...makeTokenInfo(tokenDoc) };
+	}
+
+
+	/**
+	 * Searches the tokens of the user.
+	 * @param {String} userId 
+	 * @param {String} tokenId if given, only the token with this id is searched
+	 * @returns array with the search hits, by creation date
+	 */
+	async function searchUserTokens(userId, tokenId) {
+		const filter = [{ term: { userId } }];
+		if (tokenId) filter.push({ term: { id: tokenId } });
+
+		try {
+			const response = await fetch(
+				`${tokensUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
 					body: JSON.stringify({
-						userId
+						query: { bool: { filter } },
+						sort: [{ createdAt: { order: "asc", unmapped_type: "date" } }],
+						size: MAX_USER_TOKENS
 					})
 				}
 			);
+			const answer = await response.json();
+
+			if (response.status == 404)
+				return [];
+			if (response.status != 200)
+				throw answer.error;
+
+			return answer.hits.hits;
 		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
 		}
+	}
+
+
+	/**
+	 * Lists the tokens of the user, by creation date. The tokens themselves aren't included.
+	 * @param {String} userId 
+	 * @returns array with the information of each token
+	 */
+	async function listTokens(userId) {
+		return (await searchUserTokens(userId)).map(hit => makeTokenInfo(hit._source));
+	}
+
+
+	/**
+	 * Revokes a token of the user.
+	 * @param {String} userId 
+	 * @param {String} tokenId 
+	 * @returns the information of the revoked token
+	 * @throws NOT_FOUND if the user has no token with the given id
+	 */
+	async function revokeToken(userId, tokenId) {
+		const [hit] = await searchUserTokens(userId, tokenId);
+		if (!hit) throw errors.NOT_FOUND({ tokenId });
+
+		await updateToken(hit._id, { revoked: true }, true);
 
-		return token;
+		return makeTokenInfo({ ...hit._source, revoked: true });
 	}
 
 
 	/**
-	 * Gets an user token.
+	 * Records the last time a token was used.
+	 * Doesn't wait for the change to be visible, since it's only informative.
+	 * @param {String} token 
+	 * @param {String} lastUsedAt date in ISO format
+	 */
+	async function touchToken(token, lastUsedAt) {
+		await updateToken(token, { lastUsedAt }, false);
+	}
+
+
+	/**
+	 * Revokes all the tokens of the user.
+	 * @param {String} userId 
+	 */
+	async function revokeAllTokens(userId) {
+		const hits = await searchUserTokens(userId);
+
+		for (const hit of hits.filter(hit => !hit._source.revoked))
+			await updateToken(hit._id, { revoked: true }, true);
+	}
+
+
+	/**
+	 * Deletes the tokens of the user with the given name that are revoked or have expired.
 	 * @param {String} userId 
-	 * @returns the user token
-	 * @throws NOT_FOUND if the token doesn't exist
+	 * @param {String} name 
+	 * @param {String} now current date in ISO format
 	 */
-	async function getToken(userId) {
+	async function deleteExpiredTokens(userId, name, now) {
+		const hits = (await searchUserTokens(userId)).filter(hit => hit._source.name == name &&
+			(hit._source.revoked || (hit._source.expiresAt && hit._source.expiresAt <= now)));
+
 		try {
-			const response = await fetch(`${tokensUri}/_search`);
-			const tokens = (await response.json()).hits.hits;
+			for (const hit of hits) {
+				const response = await fetch(`${tokensUri}/_doc/${hit._id}?refresh=wait_for`, { method: 'DELETE' });
 
-			for (const token of tokens) {
-				if (token._source.userId == userId)
-					return token._id;
+				if (response.status != 200 && response.status != 404)
+					throw (await response.json()).error;
 			}
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
 
-			if (response.status == 400)
+
+	/**
+	 * Changes some fields of a token document.
+	 * @param {String} token 
+	 * @param {Object} fields 
+	 * @param {Boolean} refresh if true, waits for the change to be visible to searches
+	 */
+	async function updateToken(token, fields, refresh) {
+		try {
+			const response = await fetch(
+				`${tokensUri}/_update/${token}${refresh ? '?refresh=wait_for' : ''}`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ doc: fields })
+				}
+			);
+
+			if (response.status != 200)
 				throw (await response.json()).error;
 		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
 		}
-		throw errors.NOT_FOUND({ 'token for user': userId });
+	}
+
+
+	/**
+	 * Builds the information of a token that can be shown to its user.
+	 * @param {Object} tokenDoc 
+	 * @returns object with the id, name, dates and revoked flag of the token
+	 */
+	function makeTokenInfo(tokenDoc) {
+		return {
+			id: tokenDoc.id,
+			name: tokenDoc.name,
+			createdAt: tokenDoc.createdAt,
+			expiresAt: tokenDoc.expiresAt,
+			lastUsedAt: tokenDoc.lastUsedAt,
+			revoked: tokenDoc.revoked
+		};
 	}
 
 
@@ -124,8 +323,11 @@ module.exports = function (
 					method: 'PUT',
 					headers: { 'Content-Type': 'application/json' },
 					body: JSON.stringify({
+						userId,
 						userName,
-						passwordHash
+						passwordHash,
+						role: "user",
+						disabled: false
 					})
 				}
 			);
@@ -133,7 +335,7 @@ module.exports = function (
 			if (response.status != 201)
 				throw (await response.json()).error;
 
-			const token = await createToken(userId);
+			const { token } = await createToken(userId, DEFAULT_TOKEN_NAME, null);
 
 			return { userId, token, userName };
 		}
@@ -168,178 +370,203 @@ module.exports = function (
 	}
 
 
-	// ------------------------- Groups Functions -------------------------
-
 	/**
-	 * Writes a new group to the user.
+	 * Replaces the password hash of a user.
 	 * @param {String} userId 
-	 * @param {String} groupId
-	 * @param {String} groupName 
-	 * @param {String} groupDescription 
-	 * @returns an object with the wrote group information
+	 * @param {String} passwordHash 
+	 * @throws NOT_FOUND if the user doesn't exist
 	 */
-	async function writeGroup(userId, groupId, groupName, groupDescription) {
-		await getUser(userId);
+	async function updatePasswordHash(userId, passwordHash) {
+		let response;
 
 		try {
-			const response = await fetch(
-				`${userGroupsUri(userId)}/_doc/${groupId}?refresh=wait_for`,
+			response = await fetch(
+				`${usersUri}/_update/${userId}?refresh=wait_for`,
 				{
-					method: 'PUT',
+					method: 'POST',
 					headers: { 'Content-Type': 'application/json' },
-					body: JSON.stringify({
-						name: groupName,
-						description: groupDescription
-					})
+					body: JSON.stringify({ doc: { passwordHash } })
 				}
 			);
 
-			if (response.status != 200 && response.status != 201)
+			if (response.status != 200 && response.status != 404)
 				throw (await response.json()).error;
-
-			return {
-				id: groupId,
-				name: groupName,
-				description: groupDescription
-			};
 		}
 		catch (err) {
+			console.log(err);
 			throw errors.FAIL(err);
 		}
-	}
-
-	// Creates a group
-	const createGroup = writeGroup;
-
-
-	/**
-	 * Edits a group by changing its name and description.
-	 * @param {String} userId 
-	 * @param {String} groupId
-	 * @param {String} newGroupName 
-	 * @param {String} newGroupDescription 
-	 * @returns an object with the edited group information
-	 */
-	async function editGroup(userId, groupId, newGroupName, newGroupDescription) {
-		const group = await getGroup(userId, groupId);
 
-		return await writeGroup(
-			userId,
-			groupId,
-			newGroupName ? newGroupName : group.name,
-			newGroupDescription ? newGroupDescription : group.description
-		);
+		if (response.status == 404)
+			throw errors.NOT_FOUND({ userId });
 	}
 
 
 	/**
-	 * Returns the group object of a group.
+	 * Changes the name of a user.
 	 * @param {String} userId 
-	 * @param {String} groupId 
-	 * @returns group object
-	 * @throws NOT_FOUND if the group doesn't exist
+	 * @param {String} userName 
+	 * @returns an object with the user information
+	 * @throws NOT_FOUND if the user doesn't exist
 	 */
-	async function getGroup(userId, groupId) {
-		await getUser(userId);
+	async function updateUserName(userId, userName) {
+		let response;
 
 		try {
-			const response = await fetch(`${userGroupsUri(userId)}/_doc/${groupId}`);
+			response = await fetch(
+				`${usersUri}/_update/${userId}?refresh=wait_for`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ doc: { userName } })
+				}
+			);
 
-			if (response.status == 200)
-				return (await response.json())._source;
+			if (response.status != 200 && response.status != 404)
+				throw (await response.json()).error;
 		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
 		}
-		throw errors.NOT_FOUND({ groupId });
+
+		if (response.status == 404)
+			throw errors.NOT_FOUND({ userId });
+
+		return { userId, userName };
 	}
 
 
 	/**
-	 * Lists all groups from a user.
+	 * Gets the information of a user that can be listed.
+	 * Users created before the roles existed are regular and enabled.
 	 * @param {String} userId 
-	 * @returns object containing all group objects associated with their id
+	 * @param {Object} userDoc 
+	 * @returns an object with the userId, name, role and disabled flag of the user
 	 */
-	async function listUserGroups(userId) {
-		await getUser(userId);
+	function makeUserInfo(userId, userDoc) {
+		return {
+			userId,
+			userName: userDoc.userName,
+			role: userDoc.role || "user",
+			disabled: userDoc.disabled || false
+		};
+	}
 
+
+	/**
+	 * Gets a page of all the users, sorted by userId.
+	 * @param {Number} limit maximum number of users
+	 * @param {Number} skip number of users to skip
+	 * @returns an object with the total count of users and the array of users of the page
+	 */
+	async function listUsers(limit, skip) {
 		try {
-			const response = await fetch(`${userGroupsUri(userId)}/_search`);
+			const response = await fetch(
+				`${usersUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: { match_all: {} },
+						sort: [{ userId: { order: "asc", unmapped_type: "keyword" } }],
+						from: skip,
+						size: limit,
+						track_total_hits: true,
+						_source: ['userName', 'role', 'disabled']
+					})
+				}
+			);
+			const answer = await response.json();
 
-			if (response.status == 200) {
-				const answer = await response.json();
-				return Object.fromEntries(answer.hits.hits.map(hit => [hit._id, hit._source]));
-			}
+			if (response.status == 404)
+				return { count: 0, users: [] };
+			if (response.status != 200)
+				throw answer.error;
+
+			return {
+				count: answer.hits.total.value,
+				users: answer.hits.hits.map(hit => makeUserInfo(hit._id, hit._source))
+			};
 		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
 		}
-
-		return {};
 	}
 
 
 	/**
-	 * Deletes the group with the specified groupId.
+	 * Changes the role of a user and/or disables or enables its account.
 	 * @param {String} userId 
-	 * @param {String} groupId 
-	 * @returns an object with the deleted group information
+	 * @param {Object} fields object with the new role and/or disabled flag
+	 * @returns an object with the user information
+	 * @throws NOT_FOUND if the user doesn't exist
 	 */
-	async function deleteGroup(userId, groupId) {
-		const group = await getGroup(userId, groupId);
+	async function updateUser(userId, fields) {
+		let response;
 
 		try {
-			const response1 = await fetch(
-				`${userGroupsUri(userId)}/_doc/${groupId}?refresh=wait_for`,
-				{
-					method: 'DELETE'
-				}
-			);
-
-			const response2 = await fetch(
-				`${groupGamesUri(userId, groupId)}`,
+			response = await fetch(
+				`${usersUri}/_update/${userId}?refresh=wait_for`,
 				{
-					method: 'DELETE'
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ doc: fields })
 				}
 			);
 
-			if (response1.status == 200)
-				return {
-					id: groupId,
-					name: group.name,
-					description: group.description
-				};
+			if (response.status != 200 && response.status != 404)
+				throw (await response.json()).error;
 		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
 		}
 
-		throw errors.NOT_FOUND({ groupId });
-	}
+		if (response.status == 404)
+			throw errors.NOT_FOUND({ userId });
 
+		return makeUserInfo(userId, await getUser(userId));
+	}
 
-	// ------------------------- Games Functions -------------------------
 
 	/**
-	 * Gets the details of a group, including a list of game ids.
-	 * @param {Object} userId 
-	 * @param {Object} groupId 
-	 * @returns an object containing the details of a group
+	 * Deletes a user, along with its groups (and their games, members and share links), collection, memberships, tokens and pending password reset.
+	 * The user document is deleted last, so a deletion that fails halfway can be repeated.
+	 * Since migration 2 there are no per-user indices: all the documents of the user are in the shared indices.
+	 * @param {String} userId 
+	 * @returns an object with the deleted user information
+	 * @throws NOT_FOUND if the user doesn't exist
 	 */
-	async function getGroupDetails(userId, groupId) {
-		const group = await getGroup(userId, groupId);
-
-		let games = {};
+	async function deleteUser(userId) {
+		const user = await getUser(userId);
 
 		try {
-			const response = await fetch(`${groupGamesUri(userId, groupId)}/_search`);
-
-			if (response.status == 200) {
-				const answer = await response.json();
-				games = Object.fromEntries(answer.hits.hits.map(hit => [hit._id, hit._source.name]));
+			const requests = [
+				[`${groupGamesUri}/_delete_by_query?refresh=true`, { query: { term: { owner: userId } } }],
+				[`${groupsUri}/_delete_by_query?refresh=true`, { query: { term: { owner: userId } } }],
+				[
+					`${groupMembersUri}/_delete_by_query?refresh=true`,
+					{ query: { bool: { should: [{ term: { owner: userId } }, { term: { userId } }] } } }
+				],
+				[`${shareLinksUri}/_delete_by_query?refresh=true`, { query: { term: { owner: userId } } }],
+				[`${collectionsUri}/_delete_by_query?refresh=true`, { query: { term: { userId } } }],
+				[`${tokensUri}/_delete_by_query?refresh=true`, { query: { term: { userId } } }]
+			];
+
+			for (const [uri, body] of requests) {
+				const response = await fetch(
+					uri,
+					{
+						method: 'POST',
+						headers: { 'Content-Type': 'application/json' },
+						body: JSON.stringify(body)
+					}
+				);
+
+				if (response.status != 200 && response.status != 404)
+					throw (await response.json()).error;
 			}
 		}
 		catch (err) {
@@ -347,76 +574,836 @@ module.exports = function (
 			throw errors.FAIL(err);
 		}
 
-		return {
-			id: groupId,
-			name: group.name,
-			description: group.description,
-			games
-		};
+		await deleteResetCode(userId);
+
+		try {
+			const response = await fetch(`${usersUri}/_doc/${userId}?refresh=wait_for`, { method: 'DELETE' });
+			if (response.status != 200)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return { userId, userName: user.userName };
 	}
 
+
+	// ------------------------- Password Reset -------------------------
+
 	/**
-	 * Adds a new game to a group.
+	 * Saves the pending password reset of the user, replacing the previous one.
 	 * @param {String} userId 
-	 * @param {String} groupId 
-	 * @param {String} gameObj
-	 * @return the id of the added game
+	 * @param {Object} resetCodeObj object with the hash of the code, its expiration date and the failed attempts
+	 * @throws NOT_FOUND if the user doesn't exist
 	 */
-	async function addGameToGroup(userId, groupId, gameObj) {
-		await getGroup(userId, groupId);
+	async function saveResetCode(userId, resetCodeObj) {
+		await getUser(userId);
 
 		try {
-			const response1 = await fetch(
-				`${gamesUri}/_doc/${gameObj.id}?refresh=wait_for`,
-				{
-					method: 'PUT',
-					headers: { 'Content-Type': 'application/json' },
-					body: JSON.stringify(gameObj)
-				}
-			);
-
-			if (response1.status != 200 && response1.status != 201)
-				throw (await response1.json()).error;
-
-			const response2 = await fetch(
-				`${groupGamesUri(userId, groupId)}/_doc/${gameObj.id}?refresh=wait_for`,
+			const response = await fetch(
+				`${resetCodesUri}/_doc/${userId}?refresh=wait_for`,
 				{
 					method: 'PUT',
 					headers: { 'Content-Type': 'application/json' },
-					body: JSON.stringify({
-						name: gameObj.name
-					})
+					body: JSON.stringify(resetCodeObj)
 				}
 			);
 
-			if (response2.status != 200 && response2.status != 201)
-				throw (await response2.json()).error;
+			if (response.status != 200 && response.status != 201)
+				throw (await response.json()).error;
 		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
 		}
-
-		return gameObj;
 	}
 
 
 	/**
-	 * Removes a game from a group given its id.
+	 * Gets the pending password reset of the user.
 	 * @param {String} userId 
-	 * @param {String} groupId 
-	 * @param {String} gameId
-	 * @return the removed game object
+	 * @returns the reset code object, or null if there is none
 	 */
-	async function removeGameFromGroup(userId, groupId, gameId) {
-		await getGroup(userId, groupId);
-
+	async function getResetCode(userId) {
 		try {
-			const gamesResponse = await fetch(`${gamesUri}/_doc/${gameId}`);
-			const answer = await gamesResponse.json();
+			const response = await fetch(`${resetCodesUri}/_doc/${userId}`);
 
-			const groupGamesResponse = await fetch(
-				`${groupGamesUri(userId, groupId)}/_doc/${gameId}?refresh=wait_for`,
+			if (response.status == 200)
+				return (await response.json())._source;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return null;
+	}
+
+
+	/**
+	 * Deletes the pending password reset of the user, if there is one.
+	 * @param {String} userId 
+	 */
+	async function deleteResetCode(userId) {
+		try {
+			const response = await fetch(`${resetCodesUri}/_doc/${userId}?refresh=wait_for`, { method: 'DELETE' });
+
+			if (response.status != 200 && response.status != 404)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	// ------------------------- Groups Functions -------------------------
+
+	/**
+	 * Writes a group of the user.
+	 * @param {String} userId 
+	 * @param {String} groupId
+	 * @param {String} groupName 
+	 * @param {String} groupDescription 
+	 * @param {Boolean} create if true, the group must not exist yet
+	 * @returns an object with the wrote group information
+	 * @throws ALREADY_EXISTS if create is true and the user already has a group with the given groupId
+	 */
+	async function writeGroup(userId, groupId, groupName, groupDescription, create = false) {
+		await getUser(userId);
+
+		let response;
+		try {
+			response = await fetch(
+				`${groupsUri}/${create ? '_create' : '_doc'}/${groupDocId(userId, groupId)}?refresh=wait_for`,
+				{
+					method: 'PUT',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						id: groupId,
+						owner: userId,
+						name: groupName,
+						description: groupDescription
+					})
+				}
+			);
+
+			if (response.status != 200 && response.status != 201 && response.status != 409)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			throw errors.FAIL(err);
+		}
+
+		if (response.status == 409)
+			throw errors.ALREADY_EXISTS({ groupId });
+
+		return {
+			id: groupId,
+			name: groupName,
+			description: groupDescription
+		};
+	}
+
+
+	/**
+	 * Creates a new group of the user.
+	 * @param {String} userId 
+	 * @param {String} groupId
+	 * @param {String} groupName 
+	 * @param {String} groupDescription 
+	 * @returns an object with the new group information
+	 * @throws ALREADY_EXISTS if the user already has a group with the given groupId
+	 */
+	async function createGroup(userId, groupId, groupName, groupDescription) {
+		return await writeGroup(userId, groupId, groupName, groupDescription, true);
+	}
+
+
+	/**
+	 * Edits a group by changing its name and description.
+	 * @param {String} userId 
+	 * @param {String} groupId
+	 * @param {String} newGroupName 
+	 * @param {String} newGroupDescription 
+	 * @returns an object with the edited group information
+	 */
+	async function editGroup(userId, groupId, newGroupName, newGroupDescription) {
+		const group = await getGroup(userId, groupId);
+
+		return await writeGroup(
+			userId,
+			groupId,
+			newGroupName ? newGroupName : group.name,
+			newGroupDescription ? newGroupDescription : group.description
+		);
+	}
+
+
+	/**
+	 * Returns the group object of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns group object
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	async function getGroup(userId, groupId) {
+		await getUser(userId);
+
+		try {
+			const response = await fetch(`${groupsUri}/_doc/${groupDocId(userId, groupId)}`);
+
+			if (response.status == 200) {
+				const group = (await response.json())._source;
+				if (isDocOf(group, { owner: userId, id: groupId })) return group;
+			}
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+		throw errors.NOT_FOUND({ groupId });
+	}
+
+
+	/**
+	 * Searches a page of the user groups, sorted by name and then by id.
+	 * @param {String} userId 
+	 * @param {Number} size maximum number of groups in the page
+	 * @param {Array} after sort values of the group after which the page starts (search_after)
+	 * @param {Number} from number of groups to skip
+	 * @returns array with the hits of the page
+	 */
+	async function searchUserGroups(userId, size, after, from) {
+		const response = await fetch(
+			`${groupsUri}/_search`,
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({
+					query: { term: { owner: userId } },
+					size,
+					from: after ? undefined : from,
+					sort: GROUPS_SORT,
+					search_after: after
+				})
+			}
+		);
+
+		// The groups index is only created by the bootstrap or with the first group
+		if (response.status == 404)
+			return [];
+
+		if (response.status != 200)
+			throw (await response.json()).error;
+
+		return (await response.json()).hits.hits;
+	}
+
+
+	/**
+	 * Lists the user groups sorted by name and then by id.
+	 * A page of groups can be listed by giving a limit and either the number of groups to skip
+	 * or the sort values of the last group of the previous page.
+	 * Without a limit, all groups are listed, going through the pages with search_after.
+	 * @param {String} userId 
+	 * @param {Number} limit maximum number of groups to list. If undefined, all groups are listed
+	 * @param {Array} after sort values of the group after which the listing starts
+	 * @param {Number} skip number of groups to skip
+	 * @returns object with the array of group objects and the sort values of the last one (null if there are no more groups)
+	 */
+	async function listUserGroups(userId, limit, after, skip = 0) {
+		await getUser(userId);
+
+		const toGroup = hit => ({ id: hit._source.id, name: hit._source.name, description: hit._source.description });
+
+		try {
+			if (limit) {
+				const hits = await searchUserGroups(userId, limit + 1, after, skip);
+				const page = hits.slice(0, limit);
+
+				return {
+					groups: page.map(toGroup),
+					next: hits.length > limit ? page[page.length - 1].sort : null
+				};
+			}
+
+			const hits = [];
+			let page = await searchUserGroups(userId, GROUPS_PAGE_SIZE, after, skip);
+			while (page.length > 0) {
+				hits.push(...page);
+				if (page.length < GROUPS_PAGE_SIZE) break;
+
+				page = await searchUserGroups(userId, GROUPS_PAGE_SIZE, page[page.length - 1].sort);
+			}
+
+			return { groups: hits.map(toGroup), next: null };
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Deletes the group with the specified groupId, along with its games, members and share link.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns an object with the deleted group information
+	 */
+	async function deleteGroup(userId, groupId) {
+		const group = await getGroup(userId, groupId);
+
+		try {
+			const response1 = await fetch(
+				`${groupsUri}/_doc/${groupDocId(userId, groupId)}?refresh=wait_for`,
+				{
+					method: 'DELETE'
+				}
+			);
+
+			for (const uri of [groupGamesUri, groupMembersUri, shareLinksUri]) {
+				await fetch(
+					`${uri}/_delete_by_query?refresh=true`,
+					{
+						method: 'POST',
+						headers: { 'Content-Type': 'application/json' },
+						body: JSON.stringify({
+							query: groupGamesQuery(userId, groupId)
+						})
+					}
+				);
+			}
+
+			if (response1.status == 200)
+				return {
+					id: groupId,
+					name: group.name,
+					description: group.description
+				};
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		throw errors.NOT_FOUND({ groupId });
+	}
+
+
+	// ------------------------- Group Members Functions -------------------------
+
+	/**
+	 * Compares two values in the order Elasticsearch sorts keywords.
+	 * @param {String} value1 
+	 * @param {String} value2 
+	 * @returns a negative number if value1 comes first, a positive number if value2 comes first or 0 if they are equal
+	 */
+	function compareValues(value1, value2) {
+		if (value1 == value2) return 0;
+		return value1 < value2 ? -1 : 1;
+	}
+
+
+	/**
+	 * Adds a member to a group, or changes the role of an existing member.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @param {String} role "viewer" or "editor"
+	 * @returns an object with the member id and role
+	 * @throws NOT_FOUND if the group or the member user doesn't exist
+	 */
+	async function setGroupMember(userId, groupId, memberId, role) {
+		await getGroup(userId, groupId);
+		await getUser(memberId);
+
+		try {
+			const response = await fetch(
+				`${groupMembersUri}/_doc/${groupMemberDocId(userId, groupId, memberId)}?refresh=wait_for`,
+				{
+					method: 'PUT',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ owner: userId, groupId, userId: memberId, role })
+				}
+			);
+
+			if (response.status != 200 && response.status != 201)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return { userId: memberId, role };
+	}
+
+
+	/**
+	 * Lists the members of a group, sorted by userId.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns array with the id and role of each member
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	async function listGroupMembers(userId, groupId) {
+		await getGroup(userId, groupId);
+
+		try {
+			const response = await fetch(
+				`${groupMembersUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: groupGamesQuery(userId, groupId),
+						sort: [{ userId: { order: "asc", unmapped_type: "keyword" } }],
+						size: MAX_GROUP_MEMBERS
+					})
+				}
+			);
+			const answer = await response.json();
+
+			if (response.status == 404)
+				return [];
+			if (response.status != 200)
+				throw answer.error;
+
+			return answer.hits.hits.map(hit => ({ userId: hit._source.userId, role: hit._source.role }));
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Removes a member from a group.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @returns an object with the removed member id and role
+	 * @throws NOT_FOUND if the group doesn't exist or the user isn't a member
+	 */
+	async function removeGroupMember(userId, groupId, memberId) {
+		await getGroup(userId, groupId);
+
+		const role = await getGroupMemberRole(userId, groupId, memberId);
+		if (!role) throw errors.NOT_FOUND({ memberId });
+
+		try {
+			const response = await fetch(
+				`${groupMembersUri}/_doc/${groupMemberDocId(userId, groupId, memberId)}?refresh=wait_for`,
+				{ method: 'DELETE' }
+			);
+
+			if (response.status != 200)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return { userId: memberId, role };
+	}
+
+
+	/**
+	 * Gets the role of a user in a group of another user.
+	 * The members of a group are deleted along with it, so a member document means the group exists.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @returns the role of the member, or null if the user isn't a member or the group doesn't exist
+	 */
+	async function getGroupMemberRole(userId, groupId, memberId) {
+		try {
+			const response = await fetch(`${groupMembersUri}/_doc/${groupMemberDocId(userId, groupId, memberId)}`);
+
+			if (response.status == 200) {
+				const member = (await response.json())._source;
+				if (isDocOf(member, { owner: userId, groupId, userId: memberId })) return member.role;
+			}
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+		return null;
+	}
+
+
+	/**
+	 * Lists the groups of other users the user is a member of, sorted by name, id and owner.
+	 * @param {String} memberId 
+	 * @returns array with the owner, id, name and description of each group and the role of the user in it
+	 */
+	async function listSharedGroups(memberId) {
+		await getUser(memberId);
+
+		try {
+			const response = await fetch(
+				`${groupMembersUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: { term: { userId: memberId } },
+						size: MAX_SHARED_GROUPS
+					})
+				}
+			);
+			const answer = await response.json();
+
+			if (response.status == 404)
+				return [];
+			if (response.status != 200)
+				throw answer.error;
+
+			const memberships = answer.hits.hits.map(hit => hit._source);
+			if (memberships.length == 0)
+				return [];
+
+			const groupsResponse = await fetch(
+				`${groupsUri}/_mget`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ ids: memberships.map(member => groupDocId(member.owner, member.groupId)) })
+				}
+			);
+			const groupsAnswer = await groupsResponse.json();
+
+			if (groupsResponse.status != 200)
+				throw groupsAnswer.error;
+
+			return groupsAnswer.docs
+				.map((doc, i) => doc.found && isDocOf(doc._source, { owner: memberships[i].owner, id: memberships[i].groupId })
+					? {
+						owner: doc._source.owner,
+						id: doc._source.id,
+						name: doc._source.name,
+						description: doc._source.description,
+						role: memberships[i].role
+					}
+					: null
+				)
+				.filter(group => group)
+				.sort((group1, group2) =>
+					compareValues(group1.name, group2.name) || compareValues(group1.id, group2.id)
+					|| compareValues(group1.owner, group2.owner)
+				);
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	// ------------------------- Share Links Functions -------------------------
+
+	/**
+	 * Creates the share link of a group, replacing the previous one.
+	 * The slug is the id of its document, so the shared group is found without searching.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} slug 
+	 * @returns an object with the slug and the creation date of the link
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	async function createShareLink(userId, groupId, slug) {
+		await getGroup(userId, groupId);
+		await deleteShareLink(userId, groupId);
+
+		const createdAt = new Date().toISOString();
+
+		try {
+			const response = await fetch(
+				`${shareLinksUri}/_doc/${slug}?refresh=wait_for`,
+				{
+					method: 'PUT',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ owner: userId, groupId, createdAt })
+				}
+			);
+
+			if (response.status != 200 && response.status != 201)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return { slug, createdAt };
+	}
+
+
+	/**
+	 * Gets the group shared by a share link.
+	 * @param {String} slug 
+	 * @returns an object with the owner and id of the group and the creation date of the link, or null if the link doesn't exist
+	 */
+	async function getShareLink(slug) {
+		try {
+			const response = await fetch(`${shareLinksUri}/_doc/${slug}`);
+
+			if (response.status == 200)
+				return (await response.json())._source;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+		return null;
+	}
+
+
+	/**
+	 * Gets the share link of a group.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns an object with the slug and the creation date of the link, or null if the group isn't shared
+	 */
+	async function getGroupShareLink(userId, groupId) {
+		try {
+			const response = await fetch(
+				`${shareLinksUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: groupGamesQuery(userId, groupId),
+						size: 1
+					})
+				}
+			);
+			const answer = await response.json();
+
+			if (response.status == 404)
+				return null;
+			if (response.status != 200)
+				throw answer.error;
+
+			const hit = answer.hits.hits[0];
+			return hit ? { slug: hit._id, createdAt: hit._source.createdAt } : null;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Deletes the share link of a group, if it has one.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns an object with the slug and the creation date of the deleted link, or null if the group wasn't shared
+	 */
+	async function deleteShareLink(userId, groupId) {
+		const shareLink = await getGroupShareLink(userId, groupId);
+		if (!shareLink) return null;
+
+		try {
+			const response = await fetch(`${shareLinksUri}/_doc/${shareLink.slug}?refresh=wait_for`, { method: 'DELETE' });
+
+			if (response.status != 200 && response.status != 404)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return shareLink;
+	}
+
+
+	// ------------------------- Games Functions -------------------------
+
+	/**
+	 * Builds the query that matches the games, the members or the share link of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns the query object
+	 */
+	function groupGamesQuery(userId, groupId) {
+		return {
+			bool: {
+				filter: [
+					{ term: { owner: userId } },
+					{ term: { groupId } }
+				]
+			}
+		};
+	}
+
+
+	/**
+	 * Gets the details of a group, including a list of game ids.
+	 * @param {Object} userId 
+	 * @param {Object} groupId 
+	 * @param {Boolean} expandGames if true, the games are the full game objects instead of their names
+	 * @returns an object containing the details of a group
+	 */
+	async function getGroupDetails(userId, groupId, expandGames) {
+		const group = await getGroup(userId, groupId);
+
+		let games = {};
+
+		try {
+			const response = await fetch(
+				`${groupGamesUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: groupGamesQuery(userId, groupId),
+						size: MAX_GROUP_GAMES
+					})
+				}
+			);
+
+			if (response.status == 200) {
+				const answer = await response.json();
+				games = Object.fromEntries(answer.hits.hits.map(hit => [hit._source.gameId, hit._source.name]));
+			}
+
+			if (expandGames && Object.keys(games).length > 0)
+				games = await getGames(Object.keys(games));
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return {
+			id: groupId,
+			name: group.name,
+			description: group.description,
+			games
+		};
+	}
+
+	/**
+	 * Gets the stored game objects with the given ids.
+	 * @param {Array} gameIds 
+	 * @returns object containing the found game objects associated with their id
+	 */
+	async function getGames(gameIds) {
+		const response = await fetch(
+			`${gamesUri}/_mget`,
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ ids: gameIds })
+			}
+		);
+
+		if (response.status != 200)
+			throw (await response.json()).error;
+
+		const answer = await response.json();
+		return Object.fromEntries(answer.docs.filter(doc => doc.found).map(doc => [doc._id, doc._source]));
+	}
+
+
+	/**
+	 * Stores a game object, so the groups and collections that have it can be listed with the full games.
+	 * @param {Object} gameObj 
+	 */
+	async function saveGame(gameObj) {
+		const response = await fetch(
+			`${gamesUri}/_doc/${gameObj.id}?refresh=wait_for`,
+			{
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify(gameObj)
+			}
+		);
+
+		if (response.status != 200 && response.status != 201)
+			throw (await response.json()).error;
+	}
+
+
+	/**
+	 * Adds a new game to a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameObj
+	 * @return the id of the added game
+	 */
+	async function addGameToGroup(userId, groupId, gameObj) {
+		await getGroup(userId, groupId);
+
+		try {
+			await saveGame(gameObj);
+
+			const response2 = await fetch(
+				`${groupGamesUri}/_create/${groupGameDocId(userId, groupId, gameObj.id)}?refresh=wait_for`,
+				{
+					method: 'PUT',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						owner: userId,
+						groupId,
+						gameId: gameObj.id,
+						name: gameObj.name,
+						rating: null,
+						notes: "",
+						dateAdded: new Date().toISOString(),
+						plays: []
+					})
+				}
+			);
+
+			// A game added again keeps its rating, notes and plays
+			if (response2.status == 409)
+				await updateGroupGameDoc(userId, groupId, gameObj.id, { name: gameObj.name });
+			else if (response2.status != 200 && response2.status != 201)
+				throw (await response2.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return gameObj;
+	}
+
+
+	/**
+	 * Removes a game from a group given its id.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId
+	 * @return the removed game object
+	 */
+	async function removeGameFromGroup(userId, groupId, gameId) {
+		await getGroup(userId, groupId);
+
+		try {
+			const gamesResponse = await fetch(`${gamesUri}/_doc/${gameId}`);
+			const answer = await gamesResponse.json();
+
+			// Like in the other stores, the game must exist to be removed from the group
+			if (gamesResponse.status != 200)
+				throw errors.NOT_FOUND({ gameId });
+
+			await getGroupGame(userId, groupId, gameId);
+
+			const groupGamesResponse = await fetch(
+				`${groupGamesUri}/_doc/${groupGameDocId(userId, groupId, gameId)}?refresh=wait_for`,
 				{
 					method: 'DELETE'
 				}
@@ -425,6 +1412,358 @@ module.exports = function (
 			if (groupGamesResponse.status == 200)
 				return answer._source;
 		}
+		catch (err) {
+			if (err.name == 'NOT_FOUND') throw err;
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		throw errors.NOT_FOUND({ gameId });
+	}
+
+
+	/**
+	 * Builds a game of a group from its document. Games added before migration 8 have no rating, notes, date added or plays.
+	 * @param {Object} groupGameDoc 
+	 * @returns the group game object
+	 */
+	function makeGroupGame(groupGameDoc) {
+		return {
+			gameId: groupGameDoc.gameId,
+			name: groupGameDoc.name,
+			rating: groupGameDoc.rating === undefined ? null : groupGameDoc.rating,
+			notes: groupGameDoc.notes || "",
+			dateAdded: groupGameDoc.dateAdded || null,
+			plays: groupGameDoc.plays || []
+		};
+	}
+
+
+	/**
+	 * Gets a game of a group, with its rating, notes, date added and plays.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @returns the group game object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	async function getGroupGame(userId, groupId, gameId) {
+		await getGroup(userId, groupId);
+
+		let response;
+		try {
+			response = await fetch(`${groupGamesUri}/_doc/${groupGameDocId(userId, groupId, gameId)}`);
+
+			if (response.status == 200) {
+				const groupGame = (await response.json())._source;
+				if (isDocOf(groupGame, { owner: userId, groupId, gameId })) return makeGroupGame(groupGame);
+			}
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		throw errors.NOT_FOUND({ gameId });
+	}
+
+
+	/**
+	 * Lists the games of a group, with their rating, notes, date added and plays, sorted by name.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns array with the group game objects
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	async function listGroupGames(userId, groupId) {
+		await getGroup(userId, groupId);
+
+		try {
+			const response = await fetch(
+				`${groupGamesUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: groupGamesQuery(userId, groupId),
+						size: MAX_GROUP_GAMES,
+						sort: GAMES_SORT
+					})
+				}
+			);
+			const answer = await response.json();
+
+			if (response.status == 404)
+				return [];
+			if (response.status != 200)
+				throw answer.error;
+
+			return answer.hits.hits.map(hit => makeGroupGame(hit._source));
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Updates fields of the document of a game of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {Object} fields 
+	 */
+	async function updateGroupGameDoc(userId, groupId, gameId, fields) {
+		const response = await fetch(
+			`${groupGamesUri}/_update/${groupGameDocId(userId, groupId, gameId)}?refresh=wait_for`,
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ doc: fields })
+			}
+		);
+
+		if (response.status != 200)
+			throw (await response.json()).error;
+	}
+
+
+	/**
+	 * Updates the rating and/or the notes of a game of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {Object} fields object with the rating and/or the notes
+	 * @returns the updated group game object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	async function updateGroupGame(userId, groupId, gameId, fields) {
+		const groupGame = await getGroupGame(userId, groupId, gameId);
+
+		try {
+			await updateGroupGameDoc(userId, groupId, gameId, fields);
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return { ...groupGame, ...fields };
+	}
+
+
+	/**
+	 * Adds a play to the play log of a game of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {Object} playObj object with the id, date, players, winner and duration of the play
+	 * @returns the added play object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	async function addGamePlay(userId, groupId, gameId, playObj) {
+		const groupGame = await getGroupGame(userId, groupId, gameId);
+
+		try {
+			await updateGroupGameDoc(userId, groupId, gameId, { plays: [...groupGame.plays, playObj] });
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return playObj;
+	}
+
+
+	// ------------------------- Stats Functions -------------------------
+
+	/**
+	 * Runs aggregations over the documents of an index that match a query, without loading the documents.
+	 * @param {String} uri uri of the index
+	 * @param {Object} query 
+	 * @param {Object} aggs 
+	 * @returns object with the number of matching documents and the result of the aggregations, or null if the index doesn't exist
+	 */
+	async function aggregate(uri, query, aggs) {
+		const response = await fetch(
+			`${uri}/_search`,
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ query, size: 0, track_total_hits: true, aggs })
+			}
+		);
+
+		if (response.status == 404)
+			return null;
+
+		const answer = await response.json();
+		if (response.status != 200)
+			throw answer.error;
+
+		return { count: answer.hits.total.value, aggregations: answer.aggregations };
+	}
+
+
+	/**
+	 * Gets the statistics of the games in the groups of a user. A game in more than one group is counted once.
+	 * The games of the groups and their prices, mechanics, categories and publishers are counted with aggregations.
+	 * @param {String} userId 
+	 * @param {Number} top maximum number of mechanics, categories and publishers
+	 * @returns an object with the number and the total value of the games, the most common mechanics, categories
+	 * and publishers (sorted by count and then by name) and the number of games of each group (sorted by name and then by id)
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	async function getUserStats(userId, top) {
+		const groups = (await listUserGroups(userId)).groups;
+
+		const toCounts = buckets => buckets.map(bucket => ({ name: bucket.key, count: bucket.doc_count }));
+		const roundPrice = value => Math.round(value * 100) / 100;
+
+		try {
+			const groupGames = await aggregate(groupGamesUri, { term: { owner: userId } }, {
+				games: { terms: { field: 'gameId', size: MAX_STATS_GAMES } },
+				groups: { terms: { field: 'groupId', size: Math.max(groups.length, 1) } }
+			});
+			const gameIds = groupGames ? groupGames.aggregations.games.buckets.map(bucket => bucket.key) : [];
+			const groupCounts = groupGames ? groupGames.aggregations.groups.buckets : [];
+
+			const userGames = gameIds.length > 0 && await aggregate(gamesUri, { terms: { id: gameIds } }, {
+				totalValue: { sum: { field: 'price' } },
+				mechanics: { terms: { field: 'mechanics', size: top } },
+				categories: { terms: { field: 'categories', size: top } },
+				publishers: {
+					terms: { field: 'publisher.keyword', size: top },
+					aggs: { value: { sum: { field: 'price' } } }
+				}
+			});
+
+			return {
+				count: userGames ? userGames.count : 0,
+				totalValue: userGames ? roundPrice(userGames.aggregations.totalValue.value) : 0,
+				mechanics: userGames ? toCounts(userGames.aggregations.mechanics.buckets) : [],
+				categories: userGames ? toCounts(userGames.aggregations.categories.buckets) : [],
+				publishers: userGames
+					? userGames.aggregations.publishers.buckets.map(bucket => ({
+						name: bucket.key,
+						count: bucket.doc_count,
+						value: roundPrice(bucket.value.value)
+					}))
+					: [],
+				groups: groups.map(group => {
+					const bucket = groupCounts.find(bucket => bucket.key == group.id);
+					return { id: group.id, name: group.name, count: bucket ? bucket.doc_count : 0 };
+				})
+			};
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Lists the ids of the games in the groups of a user, with an aggregation. A game in more than one group is listed once.
+	 * @param {String} userId 
+	 * @returns array with the game ids, sorted
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	async function listUserGameIds(userId) {
+		await getUser(userId);
+
+		try {
+			const groupGames = await aggregate(groupGamesUri, { term: { owner: userId } }, {
+				games: { terms: { field: 'gameId', size: MAX_STATS_GAMES } }
+			});
+
+			return groupGames ? groupGames.aggregations.games.buckets.map(bucket => bucket.key).sort() : [];
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	// ------------------------- Collection Functions -------------------------
+
+	/**
+	 * Builds a game of the collection of a user from its document.
+	 * @param {Object} collectionGameDoc 
+	 * @returns the collection game object
+	 */
+	function makeCollectionGame(collectionGameDoc) {
+		return {
+			gameId: collectionGameDoc.gameId,
+			name: collectionGameDoc.name,
+			status: collectionGameDoc.status,
+			updatedAt: collectionGameDoc.updatedAt
+		};
+	}
+
+
+	/**
+	 * Sets the status of a game in the collection of a user, adding the game to the collection if it isn't there yet.
+	 * @param {String} userId 
+	 * @param {Object} gameObj 
+	 * @param {String} status "owned", "wishlist", "want-to-play" or "previously-owned"
+	 * @returns the collection game object
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	async function setCollectionGame(userId, gameObj, status) {
+		await getUser(userId);
+
+		const collectionGameDoc = {
+			userId,
+			gameId: gameObj.id,
+			name: gameObj.name,
+			status,
+			updatedAt: new Date().toISOString()
+		};
+
+		try {
+			await saveGame(gameObj);
+
+			const response = await fetch(
+				`${collectionsUri}/_doc/${collectionGameDocId(userId, gameObj.id)}?refresh=wait_for`,
+				{
+					method: 'PUT',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(collectionGameDoc)
+				}
+			);
+
+			if (response.status != 200 && response.status != 201)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return makeCollectionGame(collectionGameDoc);
+	}
+
+
+	/**
+	 * Gets a game of the collection of a user.
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @returns the collection game object
+	 * @throws NOT_FOUND if the game isn't in the collection of the user
+	 */
+	async function getCollectionGame(userId, gameId) {
+		try {
+			const response = await fetch(`${collectionsUri}/_doc/${collectionGameDocId(userId, gameId)}`);
+
+			if (response.status == 200) {
+				const collectionGame = (await response.json())._source;
+				if (isDocOf(collectionGame, { userId, gameId })) return makeCollectionGame(collectionGame);
+			}
+		}
 		catch (err) {
 			console.log(err);
 			throw errors.FAIL(err);
@@ -434,10 +1773,85 @@ module.exports = function (
 	}
 
 
+	/**
+	 * Lists the games of the collection of a user, sorted by name.
+	 * @param {String} userId 
+	 * @param {String} status if given, only the games with this status are listed
+	 * @returns array with the collection game objects
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	async function listCollection(userId, status) {
+		await getUser(userId);
+
+		const filter = [{ term: { userId } }];
+		if (status) filter.push({ term: { status } });
+
+		try {
+			const response = await fetch(
+				`${collectionsUri}/_search`,
+				{
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({
+						query: { bool: { filter } },
+						size: MAX_COLLECTION_GAMES,
+						sort: GAMES_SORT
+					})
+				}
+			);
+			const answer = await response.json();
+
+			if (response.status == 404)
+				return [];
+			if (response.status != 200)
+				throw answer.error;
+
+			return answer.hits.hits.map(hit => makeCollectionGame(hit._source));
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+	}
+
+
+	/**
+	 * Removes a game from the collection of a user.
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @returns the removed collection game object
+	 * @throws NOT_FOUND if the game isn't in the collection of the user
+	 */
+	async function removeCollectionGame(userId, gameId) {
+		const collectionGame = await getCollectionGame(userId, gameId);
+
+		try {
+			const response = await fetch(
+				`${collectionsUri}/_doc/${collectionGameDocId(userId, gameId)}?refresh=wait_for`,
+				{ method: 'DELETE' }
+			);
+
+			if (response.status != 200 && response.status != 404)
+				throw (await response.json()).error;
+		}
+		catch (err) {
+			console.log(err);
+			throw errors.FAIL(err);
+		}
+
+		return collectionGame;
+	}
+
+
 	return {
 		//-- User --
 		createNewUser,
 		getUser,
+		updatePasswordHash,
+		updateUserName,
+		deleteUser,
+		listUsers,
+		updateUser,
 
 		//-- Group --
 		createGroup,
@@ -446,12 +1860,50 @@ module.exports = function (
 		deleteGroup,
 		getGroupDetails,
 
+		//-- Group Members --
+		setGroupMember,
+		listGroupMembers,
+		removeGroupMember,
+		getGroupMemberRole,
+		listSharedGroups,
+
+		//-- Share Links --
+		createShareLink,
+		getShareLink,
+		getGroupShareLink,
+		deleteShareLink,
+
 		//-- Game --
 		addGameToGroup,
 		removeGameFromGroup,
+		getGroupGame,
+		listGroupGames,
+		updateGroupGame,
+		addGamePlay,
+
+		//-- Stats --
+		getUserStats,
+		listUserGameIds,
+
+		//-- Collection --
+		setCollectionGame,
+		getCollectionGame,
+		listCollection,
+		removeCollectionGame,
 
 		//-- Tokens --
 		tokenToUserId,
-		getToken
+		getTokenInfo,
+		createToken,
+		listTokens,
+		revokeToken,
+		touchToken,
+		revokeAllTokens,
+		deleteExpiredTokens,
+
+		//-- Password Reset --
+		saveResetCode,
+		getResetCode,
+		deleteResetCode
 	};
 }
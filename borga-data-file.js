@@ -0,0 +1,142 @@
+'use strict';
+
+
+const errors = require('./borga-errors');
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * Functions of borga-data-mem.js that don't change the stored data, so they don't need to be saved.
+ */
+const READ_OPERATIONS = [
+	'listUserGroups',
+	'getGroupDetails',
+	'listGroupMembers',
+	'getGroupMemberRole',
+	'listSharedGroups',
+	'getShareLink',
+	'getGroupShareLink',
+	'getGroupGame',
+	'listGroupGames',
+	'getCollectionGame',
+	'listCollection',
+	'getUserStats',
+	'listUserGameIds',
+	'tokenToUserId',
+	'getTokenInfo',
+	'listTokens',
+	'listUsers',
+	'getResetCode',
+	'createUserObj',
+	'createGroupObj',
+	'createTokenObj',
+	'getUser',
+	'getGroupFromUser',
+	'getGameFromGroup',
+	'exportState'
+];
+
+
+/**
+ * Functions of borga-data-mem.js whose changes are only informative and happen on every request, like the last use
+ * of a token. They aren't saved on their own, which would rewrite the whole file on each request: they're saved
+ * with the next change.
+ */
+const UNSAVED_OPERATIONS = [
+	'touchToken'
+];
+
+
+/**
+ * Data store that keeps the data in memory, like borga-data-mem.js, and persists it to a JSON file.
+ *
+ * Each operation that changes the data runs as a transaction: if the operation fails or the file can't be written,
+ * the data is rolled back to its state before the operation. The file is written to a temporary file
+ * and then renamed, so it's never left half written.
+ * @param {Object} guest guest user information
+ * @param {String} filePath path to the JSON file. It's created with the initial data if it doesn't exist
+ */
+module.exports = function (guest, filePath) {
+
+	const data_mem = require('./borga-data-mem.js')(guest);
+
+	load();
+
+
+	/**
+	 * Loads the data from the file, or creates the file with the initial data if it doesn't exist.
+	 * The initial data has only the guest user: the starting users of borga-data-mem.js are left out,
+	 * since their tokens and passwords are public.
+	 * @throws FAIL if the file can't be read, parsed or created
+	 */
+	function load() {
+		try {
+			if (fs.existsSync(filePath))
+				data_mem.importState(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+			else {
+				const state = data_mem.exportState();
+				data_mem.importState({
+					...state,
+					users: { [guest.id]: state.users[guest.id] },
+					tokens: Object.fromEntries(Object.entries(state.tokens).filter(([, tokenObj]) => tokenObj.userId == guest.id))
+				});
+				save();
+			}
+		}
+		catch (err) {
+			throw errors.FAIL({ file: filePath, error: err.message });
+		}
+	}
+
+
+	/**
+	 * Writes all the data to the file, through a temporary file.
+	 */
+	function save() {
+		const tmpPath = `${filePath}.tmp`;
+
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(tmpPath, JSON.stringify(data_mem.exportState()));
+		fs.renameSync(tmpPath, filePath);
+	}
+
+
+	/**
+	 * Runs an operation that changes the data and saves it.
+	 * If the operation throws or the data can't be saved, the data is rolled back.
+	 * @param {Function} operation
+	 * @returns the result of the operation
+	 * @throws the error thrown by the operation, or FAIL if the data can't be saved
+	 */
+	function transaction(operation) {
+		const snapshot = data_mem.exportState();
+
+		try {
+			const result = operation();
+
+			try {
+				save();
+			}
+			catch (err) {
+				throw errors.FAIL({ file: filePath, error: err.message });
+			}
+
+			return result;
+		}
+		catch (err) {
+			data_mem.importState(snapshot);
+			throw err;
+		}
+	}
+
+
+	return Object.fromEntries(
+		Object.entries(data_mem).map(([name, func]) => [
+			name,
+			READ_OPERATIONS.includes(name) || UNSAVED_OPERATIONS.includes(name)
+				? func
+				: (...args) => transaction(() => func(...args))
+		])
+	);
+};
@@ -7,51 +7,93 @@ const crypto = require('crypto');
 
 module.exports = function (guest) {
 
-	const DEFAULT_HASHED_PASSWORD = "03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4";
+	const DEFAULT_TOKEN_NAME = "default";
 
 	/**
 	 * Object that represents a map of all users: "userId": "userObj".
 	 * Example of an userObj : {
 	 * 		"name" : "Paulão",
-	 * 		"hashedPassword": "03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4"
-	 * 		"groups": {}
+	 * 		"passwordHash": "scrypt$16384$8$1$<salt>$<key>" (see borga-passwords.js)
+	 * 		"role": "user",
+	 * 		"disabled": false,
+	 * 		"groups": {},
+	 * 		"collection": { "gameId": { "name": "Root", "status": "owned", "updatedAt": "2022-01-10T12:00:00.000Z" } }
 	 * }
-	 * Contains 3 starting users.
+	 * Example of a groupObj : {
+	 * 		"name": "Club Library",
+	 * 		"description": "Games of the club",
+	 * 		"games": { "gameId": "gameName" },
+	 * 		"gameData": { "gameId": { "rating": 8, "notes": "", "dateAdded": "2022-01-10T12:00:00.000Z", "plays": [] } },
+	 * 		"members": { "userId": "editor" }
+	 * }
+	 * Contains 3 starting users and the guest, all with the password "1234", each hashed with its own salt.
+	 * There's no starting admin: the first one is created with borga-admin.js.
 	 */
 	let users = {
 		"a48280": createUserObj(
 			"André Jesus",
-			DEFAULT_HASHED_PASSWORD
+			"scrypt$16384$8$1$aO5zpKHWMC+VQmaC2s2oag==$hUjcqTmoFV4OgmLzWvtvV8wAXNMu8DB9slZx08Y/iVxhGfVNU2Uu3EZX/6KSPT7qJWsCZrnCrwSOc73H9LQr6g=="
 		),
 		"a48287": createUserObj(
 			"Nyckollas Brandão",
-			DEFAULT_HASHED_PASSWORD
+			"scrypt$16384$8$1$s8fhJ3T6VoHghtg6aeRpNQ==$7Q1uDdrzMs6yyxfte0NCK0xl0EhbImVVD0Xq/TCnb0zZ72RT1OFWyHgYRBT66xeZJ7t4d2yy3crcXaTiehtE5Q=="
 		),
 		"a48309": createUserObj(
 			"André Santos",
-			DEFAULT_HASHED_PASSWORD
+			"scrypt$16384$8$1$+wGnhuGgKD5NxbBqb9CE2A==$3ejDV0A84go9j5TT29+VtOWX2xIvmyQRjQdwaH14eOuoYJ+Fqzxmml4ncRA9kDtxIcZwdwEI8zFxbINlw240sA=="
 		),
 		[guest.id]: createUserObj(
 			[guest.name],
-			DEFAULT_HASHED_PASSWORD
+			"scrypt$16384$8$1$6nX7xFr9YjhILV0ujih8Jw==$BqBgpFlZG/WqfmYaaL6Q/z+gBwt7SNuGKaBT1GPPfeRfuv3b2rg8uiG2IBM7b//US4arLAEAyDerUq3dAnTlDA=="
 		)
 	};
 
 	/**
 	 * Object that represents a map of all games: "gameId": "gameObj".
 	 */
-	const games = {};
+	let games = {};
 
 	/**
-	 * Object containing the association between user token and userId: "token": "userId".
+	 * Object containing the tokens: "token": "tokenObj".
+	 * Example of a tokenObj : {
+	 * 		"id": "0b7c9d8e-3f5a-4c1e-9a43-6a1f0d2b8e71",
+	 * 		"userId": "a48309",
+	 * 		"name": "default",
+	 * 		"createdAt": "2022-01-10T12:00:00.000Z",
+	 * 		"expiresAt": null,
+	 * 		"lastUsedAt": null,
+	 * 		"revoked": false
+	 * }
+	 * The id identifies the token without revealing it, so it can be listed and revoked.
 	 */
 	let tokens = {
-		'4869fdf7-0e62-46a2-872c-f0dc60fc2c81': "a48280",
-		'3e39bce8-07d1-4c05-9ee3-5587e6b8e2e7': "a48287",
-		'5d389af1-06db-4401-8aef-36d8d6428f31': "a48309",
-		[guest.token]: [guest.id]
+		'4869fdf7-0e62-46a2-872c-f0dc60fc2c81': createTokenObj("a48280", DEFAULT_TOKEN_NAME, null),
+		'3e39bce8-07d1-4c05-9ee3-5587e6b8e2e7': createTokenObj("a48287", DEFAULT_TOKEN_NAME, null),
+		'5d389af1-06db-4401-8aef-36d8d6428f31': createTokenObj("a48309", DEFAULT_TOKEN_NAME, null),
+		[guest.token]: createTokenObj(guest.id, DEFAULT_TOKEN_NAME, null)
 	};
 
+	/**
+	 * Object containing the pending password reset of each user: "userId": "resetCodeObj".
+	 * Example of a resetCodeObj : {
+	 * 		"codeHash": "2c1743a391305fbf367df8e4f069f9f9d2c08e4b8fd7d4ab7ec2f2d6a3e8b6d2",
+	 * 		"expiresAt": "2022-01-10T12:15:00.000Z",
+	 * 		"attempts": 0
+	 * }
+	 */
+	let resetCodes = {};
+
+	/**
+	 * Object containing the public share links of the groups: "slug": "shareLinkObj".
+	 * Example of a shareLinkObj : {
+	 * 		"owner": "a48309",
+	 * 		"groupId": "45103531-8450-4970-8ebd-8b3e5d316382",
+	 * 		"createdAt": "2022-01-10T12:00:00.000Z"
+	 * }
+	 * A group has at most one share link.
+	 */
+	let shareLinks = {};
+
 
 	// ------------------------- Tokens -------------------------
 
@@ -61,30 +103,115 @@ module.exports = function (guest) {
 	 * @returns the userId associated with the given token
 	 */
 	function tokenToUserId(token) {
+		const tokenObj = tokens[token];
+		return tokenObj && tokenObj.userId;
+	}
+
+
+	/**
+	 * Gets the information of a token, including the user it belongs to.
+	 * @param {String} token 
+	 * @returns the token object, or undefined if the token doesn't exist
+	 */
+	function getTokenInfo(token) {
 		return tokens[token];
 	}
 
 
 	/**
-	 * Created a token, randomly generated.
-	 * @returns the created token
+	 * Creates a token for the user, randomly generated.
+	 * @param {String} userId 
+	 * @param {String} name 
+	 * @param {String} expiresAt expiration date in ISO format, or null if the token doesn't expire
+	 * @returns object with the token and its information
 	 */
-	function createToken() {
-		return crypto.randomUUID();
+	function createToken(userId, name, expiresAt) {
+		const token = crypto.randomUUID();
+		tokens[token] = createTokenObj(userId, name, expiresAt);
+
+		return { token, ...makeTokenInfo(tokens[token]) };
 	}
 
+
 	/**
-	 * Gets an user token.
+	 * Lists the tokens of the user, by creation date. The tokens themselves aren't included.
 	 * @param {String} userId 
-	 * @returns the user token
-	 * @throws NOT_FOUND if the token doesn't exist
+	 * @returns array with the information of each token
 	 */
-	function getToken(userId) {
-		for (const token in tokens) {
-			if (tokens[token] == userId)
-				return token;
-		}
-		throw errors.NOT_FOUND({ 'token for user': userId });
+	function listTokens(userId) {
+		return Object.values(tokens)
+			.filter(tokenObj => tokenObj.userId == userId)
+			.sort((tokenObj1, tokenObj2) => tokenObj1.createdAt.localeCompare(tokenObj2.createdAt))
+			.map(makeTokenInfo);
+	}
+
+
+	/**
+	 * Revokes a token of the user.
+	 * @param {String} userId 
+	 * @param {String} tokenId 
+	 * @returns the information of the revoked token
+	 * @throws NOT_FOUND if the user has no token with the given id
+	 */
+	function revokeToken(userId, tokenId) {
+		const tokenObj = Object.values(tokens).find(tokenObj => tokenObj.userId == userId && tokenObj.id == tokenId);
+		if (!tokenObj) throw errors.NOT_FOUND({ tokenId });
+
+		tokenObj.revoked = true;
+
+		return makeTokenInfo(tokenObj);
+	}
+
+
+	/**
+	 * Records the last time a token was used.
+	 * @param {String} token 
+	 * @param {String} lastUsedAt date in ISO format
+	 */
+	function touchToken(token, lastUsedAt) {
+		if (tokens[token]) tokens[token].lastUsedAt = lastUsedAt;
+	}
+
+
+	/**
+	 * Revokes all the tokens of the user.
+	 * @param {String} userId 
+	 */
+	function revokeAllTokens(userId) {
+		Object.values(tokens)
+			.filter(tokenObj => tokenObj.userId == userId)
+			.forEach(tokenObj => tokenObj.revoked = true);
+	}
+
+
+	/**
+	 * Deletes the tokens of the user with the given name that are revoked or have expired.
+	 * @param {String} userId 
+	 * @param {String} name 
+	 * @param {String} now current date in ISO format
+	 */
+	function deleteExpiredTokens(userId, name, now) {
+		Object.entries(tokens)
+			.filter(([, tokenObj]) => tokenObj.userId == userId && tokenObj.name == name &&
+				(tokenObj.revoked || (tokenObj.expiresAt && tokenObj.expiresAt <= now)))
+			.forEach(([token]) => delete tokens[token]);
+	}
+
+
+	/**
+	 * Builds the information of a token that can be shown to its user.
+	 * @param {Object} tokenObj 
+	 * @returns object with the id, name, dates and revoked flag of the token
+	 */
+	function makeTokenInfo(tokenObj) {
+		return {
+			id: tokenObj.id,
+			name: tokenObj.name,
+			createdAt: tokenObj.createdAt,
+			expiresAt: tokenObj.expiresAt,
+			lastUsedAt: tokenObj.lastUsedAt,
+			revoked: tokenObj.revoked
+		};
 	}
 
 
@@ -101,8 +228,7 @@ module.exports = function (guest) {
 	function createNewUser(userId, userName, passwordHash) {
 		if (users[userId]) throw errors.ALREADY_EXISTS({ userId });
 
-		const token = createToken();
-		tokens[token] = userId;
+		const { token } = createToken(userId, DEFAULT_TOKEN_NAME, null);
 
 		users[userId] = createUserObj(userName, passwordHash);
 
@@ -110,6 +236,125 @@ module.exports = function (guest) {
 	}
 
 
+	/**
+	 * Replaces the password hash of a user.
+	 * @param {String} userId 
+	 * @param {String} passwordHash 
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function updatePasswordHash(userId, passwordHash) {
+		getUser(userId).passwordHash = passwordHash;
+	}
+
+
+	/**
+	 * Changes the name of a user.
+	 * @param {String} userId 
+	 * @param {String} userName 
+	 * @returns an object with the user information
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function updateUserName(userId, userName) {
+		getUser(userId).userName = userName;
+
+		return { userId, userName };
+	}
+
+
+	/**
+	 * Gets a page of all the users, sorted by userId.
+	 * @param {Number} limit maximum number of users
+	 * @param {Number} skip number of users to skip
+	 * @returns an object with the total count of users and the array of users of the page
+	 */
+	function listUsers(limit, skip) {
+		const userIds = Object.keys(users).sort();
+
+		return {
+			count: userIds.length,
+			users: userIds.slice(skip, skip + limit).map(userId => makeUserInfo(userId, users[userId]))
+		};
+	}
+
+
+	/**
+	 * Changes the role of a user and/or disables or enables its account.
+	 * @param {String} userId 
+	 * @param {Object} fields object with the new role and/or disabled flag
+	 * @returns an object with the user information
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function updateUser(userId, fields) {
+		const user = getUser(userId);
+
+		if (fields.role !== undefined) user.role = fields.role;
+		if (fields.disabled !== undefined) user.disabled = fields.disabled;
+
+		return makeUserInfo(userId, user);
+	}
+
+
+	/**
+	 * Deletes a user, along with its groups (and their games and share links), collection, memberships, tokens and pending password reset.
+	 * @param {String} userId 
+	 * @returns an object with the deleted user information
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function deleteUser(userId) {
+		const user = getUser(userId);
+
+		for (const token in tokens) {
+			if (tokens[token].userId == userId)
+				delete tokens[token];
+		}
+		for (const owner of Object.values(users)) {
+			for (const group of Object.values(owner.groups))
+				delete (group.members || {})[userId];
+		}
+		for (const slug in shareLinks) {
+			if (shareLinks[slug].owner == userId)
+				delete shareLinks[slug];
+		}
+		delete resetCodes[userId];
+		delete users[userId];
+
+		return { userId, userName: user.userName };
+	}
+
+
+	// ------------------------- Password Reset -------------------------
+
+	/**
+	 * Saves the pending password reset of the user, replacing the previous one.
+	 * @param {String} userId 
+	 * @param {Object} resetCodeObj object with the hash of the code, its expiration date and the failed attempts
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function saveResetCode(userId, resetCodeObj) {
+		getUser(userId);
+		resetCodes[userId] = { ...resetCodeObj };
+	}
+
+
+	/**
+	 * Gets the pending password reset of the user.
+	 * @param {String} userId 
+	 * @returns the reset code object, or undefined if there is none
+	 */
+	function getResetCode(userId) {
+		return resetCodes[userId];
+	}
+
+
+	/**
+	 * Deletes the pending password reset of the user, if there is one.
+	 * @param {String} userId 
+	 */
+	function deleteResetCode(userId) {
+		delete resetCodes[userId];
+	}
+
+
 	// ------------------------- Groups Functions -------------------------
 
 	/**
@@ -162,29 +407,49 @@ module.exports = function (guest) {
 
 
 	/**
-	 * Lists all user groups.
-	 * @param {String} userId 
-	 * @returns object containing all group objects
+	 * Compares two groups by name and then by id, the sort order used to list the user groups.
+	 * @param {Object} group1 
+	 * @param {Object} group2 
+	 * @returns a negative number if group1 comes first, a positive number if group2 comes first or 0 if they are equal
 	 */
-	function listUserGroups(userId) {
-		const groups = getUser(userId).groups;
+	function compareGroups(group1, group2) {
+		if (group1.name != group2.name) return group1.name < group2.name ? -1 : 1;
+		if (group1.id != group2.id) return group1.id < group2.id ? -1 : 1;
+		return 0;
+	}
 
-		return Object.fromEntries(
-			Object.entries(groups).map(group =>
-				[
-					group[0],
-					{
-						name: group[1].name,
-						description: group[1].description
-					}
-				]
-			)
-		);
+
+	/**
+	 * Lists the user groups sorted by name and then by id.
+	 * A page of groups can be listed by giving a limit and either the number of groups to skip
+	 * or the sort values ([name, id]) of the last group of the previous page.
+	 * @param {String} userId 
+	 * @param {Number} limit maximum number of groups to list. If undefined, all groups are listed
+	 * @param {Array} after sort values of the group after which the listing starts
+	 * @param {Number} skip number of groups to skip
+	 * @returns object with the array of group objects and the sort values of the last one (null if there are no more groups)
+	 */
+	function listUserGroups(userId, limit, after, skip = 0) {
+		const groups = Object.entries(getUser(userId).groups)
+			.map(([groupId, group]) => ({
+				id: groupId,
+				name: group.name,
+				description: group.description
+			}))
+			.sort(compareGroups)
+			.filter(group => !after || compareGroups(group, { name: after[0], id: after[1] }) > 0)
+			.slice(skip);
+
+		if (!limit || groups.length <= limit)
+			return { groups, next: null };
+
+		const last = groups[limit - 1];
+		return { groups: groups.slice(0, limit), next: [last.name, last.id] };
 	}
 
 
 	/**
-	 * Deletes the group with the specified groupId.
+	 * Deletes the group with the specified groupId, along with its share link.
 	 * @param {String} userId 
 	 * @param {String} groupId 
 	 * @returns an object with the deleted group information
@@ -192,6 +457,7 @@ module.exports = function (guest) {
 	function deleteGroup(userId, groupId) {
 		const group = getGroupFromUser(userId, groupId);
 		delete getUser(userId).groups[groupId];
+		deleteShareLink(userId, groupId);
 		return {
 			id: groupId,
 			name: group.name,
@@ -204,19 +470,173 @@ module.exports = function (guest) {
 	 * Gets the details of a group, including a list of game ids.
 	 * @param {Object} userId 
 	 * @param {Object} groupId 
+	 * @param {Boolean} expandGames if true, the games are the full game objects instead of their names
 	 * @returns an object containing the details of a group
 	 */
-	function getGroupDetails(userId, groupId) {
+	function getGroupDetails(userId, groupId, expandGames) {
 		const group = getGroupFromUser(userId, groupId);
 		return {
 			id: groupId,
 			name: group.name,
 			description: group.description,
-			games: group.games
+			games: expandGames
+				? Object.fromEntries(Object.keys(group.games).map(gameId => [gameId, games[gameId]]))
+				: group.games
 		};
 	}
 
 
+	// ------------------------- Group Members Functions -------------------------
+
+	/**
+	 * Adds a member to a group, or changes the role of an existing member.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @param {String} role "viewer" or "editor"
+	 * @returns an object with the member id and role
+	 * @throws NOT_FOUND if the group or the member user doesn't exist
+	 */
+	function setGroupMember(userId, groupId, memberId, role) {
+		const group = getGroupFromUser(userId, groupId);
+		getUser(memberId);
+
+		if (!group.members) group.members = {};
+		group.members[memberId] = role;
+
+		return { userId: memberId, role };
+	}
+
+
+	/**
+	 * Lists the members of a group, sorted by userId.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns array with the id and role of each member
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	function listGroupMembers(userId, groupId) {
+		const members = getGroupFromUser(userId, groupId).members || {};
+
+		return Object.keys(members).sort().map(memberId => ({ userId: memberId, role: members[memberId] }));
+	}
+
+
+	/**
+	 * Removes a member from a group.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @returns an object with the removed member id and role
+	 * @throws NOT_FOUND if the group doesn't exist or the user isn't a member
+	 */
+	function removeGroupMember(userId, groupId, memberId) {
+		const members = getGroupFromUser(userId, groupId).members || {};
+		const role = members[memberId];
+		if (!role) throw errors.NOT_FOUND({ memberId });
+
+		delete members[memberId];
+
+		return { userId: memberId, role };
+	}
+
+
+	/**
+	 * Gets the role of a user in a group of another user.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @returns the role of the member, or null if the user isn't a member or the group doesn't exist
+	 */
+	function getGroupMemberRole(userId, groupId, memberId) {
+		const owner = users[userId];
+		const group = owner && owner.groups[groupId];
+
+		return (group && group.members && group.members[memberId]) || null;
+	}
+
+
+	/**
+	 * Lists the groups of other users the user is a member of, sorted by name, id and owner.
+	 * @param {String} memberId 
+	 * @returns array with the owner, id, name and description of each group and the role of the user in it
+	 */
+	function listSharedGroups(memberId) {
+		getUser(memberId);
+
+		const shared = [];
+		for (const [userId, owner] of Object.entries(users)) {
+			for (const [groupId, group] of Object.entries(owner.groups)) {
+				const role = group.members && group.members[memberId];
+				if (role)
+					shared.push({ owner: userId, id: groupId, name: group.name, description: group.description, role });
+			}
+		}
+
+		return shared.sort((group1, group2) => compareGroups(group1, group2) || (group1.owner < group2.owner ? -1 : 1));
+	}
+
+
+	// ------------------------- Share Links Functions -------------------------
+
+	/**
+	 * Creates the share link of a group, replacing the previous one.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} slug 
+	 * @returns an object with the slug and the creation date of the link
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	function createShareLink(userId, groupId, slug) {
+		getGroupFromUser(userId, groupId);
+		deleteShareLink(userId, groupId);
+
+		const createdAt = new Date().toISOString();
+		shareLinks[slug] = { owner: userId, groupId, createdAt };
+
+		return { slug, createdAt };
+	}
+
+
+	/**
+	 * Gets the group shared by a share link.
+	 * @param {String} slug 
+	 * @returns an object with the owner and id of the group and the creation date of the link, or null if the link doesn't exist
+	 */
+	function getShareLink(slug) {
+		const shareLink = Object.prototype.hasOwnProperty.call(shareLinks, slug) && shareLinks[slug];
+		return shareLink ? { ...shareLink } : null;
+	}
+
+
+	/**
+	 * Gets the share link of a group.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns an object with the slug and the creation date of the link, or null if the group isn't shared
+	 */
+	function getGroupShareLink(userId, groupId) {
+		const slug = Object.keys(shareLinks)
+			.find(slug => shareLinks[slug].owner == userId && shareLinks[slug].groupId == groupId);
+
+		return slug ? { slug, createdAt: shareLinks[slug].createdAt } : null;
+	}
+
+
+	/**
+	 * Deletes the share link of a group, if it has one.
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns an object with the slug and the creation date of the deleted link, or null if the group wasn't shared
+	 */
+	function deleteShareLink(userId, groupId) {
+		const shareLink = getGroupShareLink(userId, groupId);
+		if (shareLink) delete shareLinks[shareLink.slug];
+
+		return shareLink;
+	}
+
+
 	// ------------------------- Games Functions -------------------------
 
 	/**
@@ -228,8 +648,14 @@ module.exports = function (guest) {
 	 */
 	function addGameToGroup(userId, groupId, gameObj) {
 		const gameId = gameObj.id;
+		const group = getGroupFromUser(userId, groupId);
+
+		// A game added again keeps its rating, notes and plays
+		if (!group.games[gameId])
+			getGameData(group, gameId).dateAdded = new Date().toISOString();
+
 		games[gameId] = gameObj;
-		getGroupFromUser(userId, groupId).games[gameId] = gameObj.name;
+		group.games[gameId] = gameObj.name;
 		return gameObj;
 	}
 
@@ -244,16 +670,232 @@ module.exports = function (guest) {
 	function removeGameFromGroup(userId, groupId, gameId) {
 		const game = getGameFromGroup(userId, groupId, gameId);
 
-		delete getGroupFromUser(userId, groupId).games[gameId];
+		const group = getGroupFromUser(userId, groupId);
+		delete group.games[gameId];
+		if (group.gameData) delete group.gameData[gameId];
 		return game;
 	}
 
 
+	/**
+	 * Gets a game of a group, with its rating, notes, date added and plays.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @returns the group game object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	function getGroupGame(userId, groupId, gameId) {
+		getGameFromGroup(userId, groupId, gameId);
+		return makeGroupGame(getGroupFromUser(userId, groupId), gameId);
+	}
+
+
+	/**
+	 * Lists the games of a group, with their rating, notes, date added and plays, sorted by name.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns array with the group game objects
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	function listGroupGames(userId, groupId) {
+		const group = getGroupFromUser(userId, groupId);
+
+		return Object.keys(group.games)
+			.map(gameId => makeGroupGame(group, gameId))
+			.sort((game1, game2) => game1.name.localeCompare(game2.name) || game1.gameId.localeCompare(game2.gameId));
+	}
+
+
+	/**
+	 * Updates the rating and/or the notes of a game of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {Object} fields object with the rating and/or the notes
+	 * @returns the updated group game object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	function updateGroupGame(userId, groupId, gameId, fields) {
+		getGameFromGroup(userId, groupId, gameId);
+		Object.assign(getGameData(getGroupFromUser(userId, groupId), gameId), fields);
+
+		return getGroupGame(userId, groupId, gameId);
+	}
+
+
+	/**
+	 * Adds a play to the play log of a game of a group.
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {Object} playObj object with the id, date, players, winner and duration of the play
+	 * @returns the added play object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	function addGamePlay(userId, groupId, gameId, playObj) {
+		getGameFromGroup(userId, groupId, gameId);
+		getGameData(getGroupFromUser(userId, groupId), gameId).plays.push(playObj);
+
+		return playObj;
+	}
+
+
+	// ------------------------- Stats Functions -------------------------
+
+	/**
+	 * Gets the statistics of the games in the groups of a user. A game in more than one group is counted once.
+	 * @param {String} userId 
+	 * @param {Number} top maximum number of mechanics, categories and publishers
+	 * @returns an object with the number and the total value of the games, the most common mechanics, categories
+	 * and publishers (sorted by count and then by name) and the number of games of each group (sorted by name and then by id)
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function getUserStats(userId, top) {
+		const groups = getUser(userId).groups;
+
+		const userGames = listUserGameIds(userId).map(gameId => games[gameId]).filter(game => game);
+
+		const publishers = countValues(userGames, game => [game.publisher]);
+		publishers.forEach(publisher => {
+			publisher.value = sumPrices(userGames.filter(game => game.publisher == publisher.name));
+		});
+
+		return {
+			count: userGames.length,
+			totalValue: sumPrices(userGames),
+			mechanics: countValues(userGames, game => game.mechanics).slice(0, top),
+			categories: countValues(userGames, game => game.categories).slice(0, top),
+			publishers: publishers.slice(0, top),
+			groups: Object.keys(groups)
+				.map(groupId => ({ id: groupId, name: groups[groupId].name, count: Object.keys(groups[groupId].games).length }))
+				.sort((group1, group2) => group1.name.localeCompare(group2.name) || group1.id.localeCompare(group2.id))
+		};
+	}
+
+
+	/**
+	 * Lists the ids of the games in the groups of a user. A game in more than one group is listed once.
+	 * @param {String} userId 
+	 * @returns array with the game ids, sorted
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function listUserGameIds(userId) {
+		const groups = getUser(userId).groups;
+
+		return [...new Set(Object.values(groups).flatMap(group => Object.keys(group.games)))].sort();
+	}
+
+
+	/**
+	 * Counts the games that have each value, like a terms aggregation.
+	 * @param {Array} gameObjs 
+	 * @param {Function} getValues function receiving a game object and returning the array of its values
+	 * @returns array with the name of each value and its count, sorted by count and then by name
+	 */
+	function countValues(gameObjs, getValues) {
+		const counts = {};
+		for (const gameObj of gameObjs) {
+			for (const value of new Set((getValues(gameObj) || []).filter(value => value !== null && value !== undefined)))
+				counts[value] = (counts[value] || 0) + 1;
+		}
+
+		return Object.keys(counts)
+			.map(name => ({ name, count: counts[name] }))
+			.sort((value1, value2) => value2.count - value1.count || (value1.name < value2.name ? -1 : 1));
+	}
+
+
+	/**
+	 * Sums the prices of games, ignoring the ones without a valid price, like a sum aggregation.
+	 * @param {Array} gameObjs 
+	 * @returns the sum, rounded to cents
+	 */
+	function sumPrices(gameObjs) {
+		const sum = gameObjs
+			.map(gameObj => Number(gameObj.price))
+			.filter(price => !isNaN(price))
+			.reduce((total, price) => total + price, 0);
+
+		return Math.round(sum * 100) / 100;
+	}
+
+
+	// ------------------------- Collection Functions -------------------------
+
+	/**
+	 * Sets the status of a game in the collection of a user, adding the game to the collection if it isn't there yet.
+	 * @param {String} userId 
+	 * @param {Object} gameObj 
+	 * @param {String} status "owned", "wishlist", "want-to-play" or "previously-owned"
+	 * @returns the collection game object
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function setCollectionGame(userId, gameObj, status) {
+		const user = getUser(userId);
+		if (!user.collection) user.collection = {};
+
+		games[gameObj.id] = gameObj;
+		user.collection[gameObj.id] = { name: gameObj.name, status, updatedAt: new Date().toISOString() };
+
+		return makeCollectionGame(gameObj.id, user.collection[gameObj.id]);
+	}
+
+
+	/**
+	 * Gets a game of the collection of a user.
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @returns the collection game object
+	 * @throws NOT_FOUND if the user doesn't exist or the game isn't in its collection
+	 */
+	function getCollectionGame(userId, gameId) {
+		const collection = getUser(userId).collection || {};
+
+		if (!Object.prototype.hasOwnProperty.call(collection, gameId))
+			throw errors.NOT_FOUND({ gameId });
+
+		return makeCollectionGame(gameId, collection[gameId]);
+	}
+
+
+	/**
+	 * Lists the games of the collection of a user, sorted by name.
+	 * @param {String} userId 
+	 * @param {String} status if given, only the games with this status are listed
+	 * @returns array with the collection game objects
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	function listCollection(userId, status) {
+		const collection = getUser(userId).collection || {};
+
+		return Object.keys(collection)
+			.map(gameId => makeCollectionGame(gameId, collection[gameId]))
+			.filter(collectionGame => !status || collectionGame.status == status)
+			.sort((game1, game2) => game1.name.localeCompare(game2.name) || game1.gameId.localeCompare(game2.gameId));
+	}
+
+
+	/**
+	 * Removes a game from the collection of a user.
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @returns the removed collection game object
+	 * @throws NOT_FOUND if the user doesn't exist or the game isn't in its collection
+	 */
+	function removeCollectionGame(userId, gameId) {
+		const collectionGame = getCollectionGame(userId, gameId);
+		delete getUser(userId).collection[gameId];
+
+		return collectionGame;
+	}
+
+
 	// ------------------------- Utils -------------------------
 
 
 	/**
-	 * Creates a new user object given its name and hashed password.
+	 * Creates a new user object given its name and hashed password, with the user role.
 	 * @param {String} userName 
 	 * @param {String} passwordHash 
 	 * @returns the user object 
@@ -262,7 +904,27 @@ module.exports = function (guest) {
 		return {
 			userName,
 			passwordHash,
-			groups: {}
+			role: "user",
+			disabled: false,
+			groups: {},
+			collection: {}
+		};
+	}
+
+
+	/**
+	 * Gets the information of a user that can be listed, without its password hash and groups.
+	 * Users created before the roles existed are regular and enabled.
+	 * @param {String} userId 
+	 * @param {Object} userObj 
+	 * @returns an object with the userId, name, role and disabled flag of the user
+	 */
+	function makeUserInfo(userId, userObj) {
+		return {
+			userId,
+			userName: userObj.userName,
+			role: userObj.role || "user",
+			disabled: userObj.disabled || false
 		};
 	}
 
@@ -277,7 +939,29 @@ module.exports = function (guest) {
 		return {
 			name: groupName,
 			description: groupDescription,
-			games: {}
+			games: {},
+			gameData: {},
+			members: {}
+		};
+	}
+
+
+	/**
+	 * Creates a new token object, with a random id.
+	 * @param {String} userId 
+	 * @param {String} name 
+	 * @param {String} expiresAt expiration date in ISO format, or null if the token doesn't expire
+	 * @returns the token object
+	 */
+	function createTokenObj(userId, name, expiresAt) {
+		return {
+			id: crypto.randomUUID(),
+			userId,
+			name,
+			createdAt: new Date().toISOString(),
+			expiresAt,
+			lastUsedAt: null,
+			revoked: false
 		};
 	}
 
@@ -326,11 +1010,94 @@ module.exports = function (guest) {
 
 
 	/**
-	 * Resets memory by assigning {} to the object users and the object tokens.
+	 * Gets the rating, notes, date added and plays of a game of a group, creating them if they don't exist yet.
+	 * Groups saved before they existed have none.
+	 * @param {Object} group group object
+	 * @param {String} gameId 
+	 * @returns the game data object of the group
+	 */
+	function getGameData(group, gameId) {
+		if (!group.gameData) group.gameData = {};
+		if (!group.gameData[gameId])
+			group.gameData[gameId] = { rating: null, notes: "", dateAdded: null, plays: [] };
+
+		return group.gameData[gameId];
+	}
+
+
+	/**
+	 * Builds a copy of a game of a group, with its rating, notes, date added and plays.
+	 * @param {Object} group group object
+	 * @param {String} gameId 
+	 * @returns the group game object
+	 */
+	function makeGroupGame(group, gameId) {
+		const gameData = (group.gameData || {})[gameId] || {};
+
+		return JSON.parse(JSON.stringify({
+			gameId,
+			name: group.games[gameId],
+			rating: gameData.rating === undefined ? null : gameData.rating,
+			notes: gameData.notes || "",
+			dateAdded: gameData.dateAdded || null,
+			plays: gameData.plays || []
+		}));
+	}
+
+
+	/**
+	 * Builds a game of the collection of a user.
+	 * @param {String} gameId 
+	 * @param {Object} collectionGame object with the name and status of the game and the date of the last change
+	 * @returns the collection game object
+	 */
+	function makeCollectionGame(gameId, collectionGame) {
+		return {
+			gameId,
+			name: collectionGame.name,
+			status: collectionGame.status,
+			updatedAt: collectionGame.updatedAt
+		};
+	}
+
+
+	/**
+	 * Gets a copy of all the stored data.
+	 * @returns object with the users, games, tokens, reset codes and share links
+	 */
+	function exportState() {
+		return JSON.parse(JSON.stringify({ users, games, tokens, resetCodes, shareLinks }));
+	}
+
+
+	/**
+	 * Replaces all the stored data with a copy of the given one.
+	 * Tokens saved in the old "token": "userId" format are converted to token objects.
+	 * @param {Object} state object with the users, games, tokens, reset codes and share links, as returned by exportState
+	 */
+	function importState(state) {
+		const copy = JSON.parse(JSON.stringify(state));
+		users = copy.users;
+		games = copy.games;
+		resetCodes = copy.resetCodes || {};
+		shareLinks = copy.shareLinks || {};
+		tokens = Object.fromEntries(Object.entries(copy.tokens).map(([token, tokenObj]) => [
+			token,
+			typeof tokenObj == 'object' && !Array.isArray(tokenObj)
+				? tokenObj
+				: createTokenObj(String(tokenObj), DEFAULT_TOKEN_NAME, null)
+		]));
+	}
+
+
+	/**
+	 * Resets memory by assigning {} to the objects users, tokens, resetCodes and shareLinks.
 	 */
 	function resetMem() {
 		users = {};
 		tokens = {};
+		resetCodes = {};
+		shareLinks = {};
 	}
 
 
@@ -347,6 +1114,11 @@ module.exports = function (guest) {
 	return {
 		//-- User --
 		createNewUser,
+		updatePasswordHash,
+		updateUserName,
+		deleteUser,
+		listUsers,
+		updateUser,
 
 		//-- Group --
 		createGroup,
@@ -355,21 +1127,63 @@ module.exports = function (guest) {
 		deleteGroup,
 		getGroupDetails,
 
+		//-- Group Members --
+		setGroupMember,
+		listGroupMembers,
+		removeGroupMember,
+		getGroupMemberRole,
+		listSharedGroups,
+
+		//-- Share Links --
+		createShareLink,
+		getShareLink,
+		getGroupShareLink,
+		deleteShareLink,
+
 		//-- Game --
 		addGameToGroup,
 		removeGameFromGroup,
+		getGroupGame,
+		listGroupGames,
+		updateGroupGame,
+		addGamePlay,
+
+		//-- Stats --
+		getUserStats,
+		listUserGameIds,
+
+		//-- Collection --
+		setCollectionGame,
+		getCollectionGame,
+		listCollection,
+		removeCollectionGame,
 
 		//-- Tokens --
 		tokenToUserId,
-		getToken,
+		getTokenInfo,
+		createToken,
+		listTokens,
+		revokeToken,
+		touchToken,
+		revokeAllTokens,
+		deleteExpiredTokens,
+
+		//-- Password Reset --
+		saveResetCode,
+		getResetCode,
+		deleteResetCode,
 
 		//-- Utils --
 		createUserObj,
 		createGroupObj,
+		createTokenObj,
 		getUser,
 		getGroupFromUser,
 		getGameFromGroup,
 
+		exportState,
+		importState,
+
 		resetMem,
 		resetAllGroups
 	};
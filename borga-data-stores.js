@@ -0,0 +1,36 @@
+'use strict';
+
+
+const errors = require('./borga-errors');
+
+
+/**
+ * Map of the available data stores: "storeName": builder function receiving the data spec, the es spec and the guest user.
+ */
+const stores = {
+	mem: (data_spec, es_spec, guest) => require('./borga-data-mem.js')(guest),
+	db: (data_spec, es_spec) => require('./borga-data-db.js')(es_spec.url, es_spec.prefix),
+	file: (data_spec, es_spec, guest) => require('./borga-data-file.js')(guest, data_spec.file)
+};
+
+
+/**
+ * Builds the data store chosen in the data spec.
+ * @param {Object} data_spec object with the store name and its options (e.g. the file path for the file store)
+ * @param {Object} es_spec object with the Elasticsearch url and the indices prefix, used by the db store
+ * @param {Object} guest guest user information, used by the mem and file stores
+ * @throws FAIL if the store is unknown
+ * @returns the data store module
+ */
+function buildStore(data_spec, es_spec, guest) {
+	const builder = stores[data_spec.store];
+	if (!builder)
+		throw errors.FAIL({ store: data_spec.store, available: Object.keys(stores) });
+
+	return builder(data_spec, es_spec, guest);
+}
+
+
+module.exports = {
+	buildStore
+};
@@ -32,6 +32,7 @@ function buildErrorList() {
 	addError(1004, 'EXT_SVC_FAIL', 'External service failure');
 	addError(1005, 'UNAUTHENTICATED', 'Invalid or missing token');
 	addError(1006, 'MISSING_PARAM', 'Missing parameter');
+	addError(1007, 'FORBIDDEN', 'Not allowed');
 
 	return errors;
 }
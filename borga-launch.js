@@ -8,13 +8,22 @@ const config = require('./borga-config');
 
 const es_spec = {
 	url: config.es_url,
-	prefix: 'prod'
+	prefix: config.es_prefix
 };
 
-// When true, uses the borga-data-db module, otherwise uses the borga-data-mem
-const USE_DATA_DB = false; 
-
 const server = require('./borga-server');
-const app = server(es_spec, config.guest, USE_DATA_DB);
+const app = server(es_spec, config.guest, config.data, config.games, config.outbox);
 
-app.listen(PORT);
+if (config.data.store == 'db') {
+	// Creates the missing indices and runs the pending migrations before accepting requests
+	require('./borga-data-db-migrations')(es_spec.url, es_spec.prefix)
+		.bootstrap()
+		.then(() => app.listen(PORT))
+		.catch(err => {
+			console.log(err);
+			process.exit(1);
+		});
+}
+else {
+	app.listen(PORT);
+}
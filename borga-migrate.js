@@ -0,0 +1,35 @@
+'use strict';
+
+
+/**
+ * Creates the missing Elasticsearch indices and runs the pending migrations.
+ * Usage: node borga-migrate.js [status]
+ * With "status", only lists the migrations and whether they were applied.
+ */
+
+const config = require('./borga-config');
+
+const migrations = require('./borga-data-db-migrations')(config.es_url, config.es_prefix);
+
+
+/**
+ * Runs the command given in the arguments.
+ */
+async function run() {
+	if (process.argv[2] == 'status') {
+		for (const migration of await migrations.getStatus())
+			console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}: ${migration.description}`);
+		return;
+	}
+
+	const applied = await migrations.bootstrap();
+	console.log(applied.length > 0
+		? `Applied migrations: ${applied.join(', ')}`
+		: 'No pending migrations');
+}
+
+
+run().catch(err => {
+	console.log(err);
+	process.exit(1);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+
+const errors = require('./borga-errors');
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * Outbox of the messages sent to the users, such as password reset codes, used in place of email.
+ * Each message is appended to the outbox file as a JSON line. Without a file, the messages are logged.
+ * @param {String} outboxPath path to the outbox file, created if it doesn't exist
+ */
+module.exports = function (outboxPath) {
+
+	/**
+	 * Sends a message to a user.
+	 * @param {String} userId
+	 * @param {String} subject
+	 * @param {String} text
+	 * @returns the sent message
+	 * @throws FAIL if the outbox file can't be written
+	 */
+	function send(userId, subject, text) {
+		const message = { to: userId, subject, text, sentAt: new Date().toISOString() };
+
+		if (!outboxPath) {
+			console.log('OUTBOX', message);
+			return message;
+		}
+
+		try {
+			fs.mkdirSync(path.dirname(outboxPath), { recursive: true });
+			fs.appendFileSync(outboxPath, JSON.stringify(message) + '\n');
+		}
+		catch (err) {
+			throw errors.FAIL({ file: outboxPath, error: err.message });
+		}
+
+		return message;
+	}
+
+
+	return {
+		send
+	};
+};
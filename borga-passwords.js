@@ -0,0 +1,87 @@
+'use strict';
+
+
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * Parameters of the scrypt hashes created now. Hashes with other parameters are still verified,
+ * with the parameters recorded in them, but should be upgraded.
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+const SCRYPT_ALGORITHM = 'scrypt';
+const LEGACY_SHA256 = /^[0-9a-f]{64}$/;
+
+
+/**
+ * Hashes a password with scrypt and a new random salt.
+ * @param {String} password
+ * @returns promise with the encoded hash
+ */
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(SALT_BYTES);
+	const key = await scrypt(password, salt, KEY_BYTES, SCRYPT_PARAMS);
+
+	return [
+		SCRYPT_ALGORITHM, SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p, salt.toString('base64'), key.toString('base64')
+	].join('$');
+}
+
+
+/**
+ * Checks if a password matches an encoded hash, either a scrypt or a legacy SHA-256 one.
+ * The derived keys are compared in constant time.
+ * @param {String} password
+ * @param {String} passwordHash
+ * @returns promise with true if the password matches, false if it doesn't or the hash is unknown
+ */
+async function verifyPassword(password, passwordHash) {
+	if (typeof password != 'string' || typeof passwordHash != 'string') return false;
+
+	if (LEGACY_SHA256.test(passwordHash)) {
+		const key = crypto.createHash('sha256').update(password).digest();
+		return crypto.timingSafeEqual(key, Buffer.from(passwordHash, 'hex'));
+	}
+
+	const [algorithm, N, r, p, salt, expectedKey] = passwordHash.split('$');
+	if (algorithm != SCRYPT_ALGORITHM || !expectedKey) return false;
+
+	const expected = Buffer.from(expectedKey, 'base64');
+	const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+		N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r)
+	});
+
+	return crypto.timingSafeEqual(key, expected);
+}
+
+
+/**
+ * Checks if an encoded hash should be replaced by a new one, i.e. if it isn't a scrypt hash with the current parameters.
+ * @param {String} passwordHash
+ * @returns true if the hash should be upgraded
+ */
+function needsUpgrade(passwordHash) {
+	const [algorithm, N, r, p] = passwordHash.split('$');
+
+	return algorithm != SCRYPT_ALGORITHM
+		|| Number(N) != SCRYPT_PARAMS.N || Number(r) != SCRYPT_PARAMS.r || Number(p) != SCRYPT_PARAMS.p;
+}
+
+
+/**
+ * Password hashing with scrypt and a random salt per password.
+ *
+ * A hash is encoded as "scrypt$N$r$p$salt$key", with the salt and the derived key in base64,
+ * so it can be verified even after the parameters in use change.
+ * Legacy hashes (unsalted SHA-256, in hex) are still verified, so they can be upgraded on login.
+ */
+module.exports = {
+	hashPassword,
+	verifyPassword,
+	needsUpgrade
+};
@@ -8,18 +8,15 @@ const passport = require('passport');
 passport.serializeUser((userInfo, done) => { done(null, userInfo); });
 passport.deserializeUser((userInfo, done) => { done(null, userInfo); });
 
-module.exports = function (es_spec, guest, use_data_db) {
+module.exports = function (es_spec, guest, data_spec = { store: 'mem' }, games_spec = { provider: 'atlas' }, outbox_file) {
 
-	const data_ext_games = require('./board-games-data.js');
-	const data_int = require('./borga-data-mem.js')(guest);
-	const data_db =
-		require('./borga-data-db')(
-			es_spec.url,
-			es_spec.prefix
-		);
+	const data_ext_games = require('./board-games-providers.js').buildProvider(games_spec);
+	const data_int = require('./borga-data-stores.js').buildStore(data_spec, es_spec, guest);
 
 
-	const services = require('./borga-services.js')(data_ext_games, use_data_db ? data_db : data_int);
+	const outbox = require('./borga-outbox.js')(outbox_file);
+
+	const services = require('./borga-services.js')(data_ext_games, data_int, outbox);
 
 	const web_api = require('./borga-web-api.js')(services);
 	const web_site = require('./borga-web-site.js')(services);
@@ -2,10 +2,151 @@
 
 
 const errors = require('./borga-errors');
+const passwords = require('./borga-passwords');
+const csv = require('./borga-csv');
+const bgg = require('./borga-bgg');
 const crypto = require('crypto');
 
 
-module.exports = function (data_ext, data_int) {
+const MAX_GAME_IDS = 500;
+const DEFAULT_SEARCH_LIMIT = 30;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_GROUPS_LIMIT = 100;
+const GROUPS_SORT = ["name", "id"];
+
+/**
+ * Formats of the groups export and import. In CSV there's one row per game of each group,
+ * and a row without game for each group without games.
+ */
+const GROUPS_FORMATS = ["json", "csv"];
+const GROUPS_CSV_COLUMNS = ["group", "description", "gameId", "gameName"];
+const MAX_IMPORT_ROWS = 1000;
+
+// Imports of BoardGameGeek collections: the titles are searched a few at a time, and some results are kept for review
+const MAX_BGG_ITEMS = 500;
+const BGG_SEARCH_CONCURRENCY = 5;
+const BGG_CANDIDATES_LIMIT = 5;
+const BGG_GROUP_NAME = "BoardGameGeek collection";
+const BGG_GROUP_DESCRIPTION = "Imported from BoardGameGeek";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TOKEN_NAME_LENGTH = 50;
+const MAX_TOKEN_DAYS = 365;
+// Tokens created on login to the web site
+const SESSION_TOKEN_NAME = "web session";
+const SESSION_TOKEN_DAYS = 7;
+// Minimum time, in milliseconds, between updates of the last use date of a token
+const TOKEN_TOUCH_INTERVAL = 60 * 1000;
+// Name of the token created along with a user, or after a password change
+const DEFAULT_TOKEN_NAME = "default";
+
+const ROLES = ["user", "admin"];
+const DEFAULT_ROLE = "user";
+
+/**
+ * Permissions required by the service functions. The ones that apply to the resources of a user
+ * can be granted over any user with the ":any" suffix.
+ */
+const PERMISSIONS = {
+	PROFILE: "profile",
+	TOKENS: "tokens",
+	GROUPS_READ: "groups:read",
+	GROUPS_WRITE: "groups:write",
+	GROUPS_DELETE: "groups:delete",
+	GROUPS_GAMES: "groups:games",
+	GROUPS_MEMBERS: "groups:members",
+	GROUPS_SHARE: "groups:share",
+	COLLECTION: "collection",
+	USERS_READ: "users:read",
+	USERS_MANAGE: "users:manage",
+	GAMES_CACHE_CLEAR: "games:cache:clear"
+};
+
+/**
+ * Permissions of each role.
+ */
+const ROLE_PERMISSIONS = {
+	user: [
+		PERMISSIONS.PROFILE, PERMISSIONS.TOKENS,
+		PERMISSIONS.GROUPS_READ, PERMISSIONS.GROUPS_WRITE, PERMISSIONS.GROUPS_DELETE,
+		PERMISSIONS.GROUPS_GAMES, PERMISSIONS.GROUPS_MEMBERS, PERMISSIONS.GROUPS_SHARE,
+		PERMISSIONS.COLLECTION
+	],
+	admin: [
+		PERMISSIONS.PROFILE, PERMISSIONS.TOKENS,
+		PERMISSIONS.GROUPS_READ, PERMISSIONS.GROUPS_WRITE, PERMISSIONS.GROUPS_DELETE,
+		PERMISSIONS.GROUPS_GAMES, PERMISSIONS.GROUPS_MEMBERS, PERMISSIONS.GROUPS_SHARE,
+		PERMISSIONS.COLLECTION,
+		`${PERMISSIONS.GROUPS_READ}:any`, `${PERMISSIONS.GROUPS_DELETE}:any`,
+		PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE, PERMISSIONS.GAMES_CACHE_CLEAR
+	]
+};
+
+/**
+ * Permissions over a group of another user given by each role of its members.
+ * Only the owner can rename or delete the group and manage its members.
+ */
+const GROUP_ROLE_PERMISSIONS = {
+	viewer: [PERMISSIONS.GROUPS_READ],
+	editor: [PERMISSIONS.GROUPS_READ, PERMISSIONS.GROUPS_GAMES]
+};
+const GROUP_ROLES = Object.keys(GROUP_ROLE_PERMISSIONS);
+
+// Share links are random, so they can't be guessed: 16 bytes in base64url
+const SHARE_SLUG_BYTES = 16;
+const SHARE_SLUG_FORMAT = /^[A-Za-z0-9_-]{22}$/;
+
+const MAX_USERS_LIMIT = 100;
+
+// Number of mechanics, categories and publishers in the stats of a user
+const STATS_TOP = 10;
+
+// Number of recommended games, and the top mechanics and categories of a user used to search for candidate games
+const RECOMMENDATIONS_LIMIT = 10;
+const RECOMMENDATION_SEARCHES = 3;
+const RECOMMENDATION_SEARCH_LIMIT = 20;
+
+/**
+ * Statuses of the games of the collection of a user.
+ */
+const COLLECTION_STATUSES = ["owned", "wishlist", "want-to-play", "previously-owned"];
+
+// Personal ratings of the games of a group, and maximum length of their notes
+const MIN_RATING = 1;
+const MAX_RATING = 10;
+const MAX_NOTES_LENGTH = 1000;
+// Dates of the plays, without time, and maximum number of players of a play
+const PLAY_DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PLAY_PLAYERS = 20;
+
+const RESET_CODE_DIGITS = 8;
+const RESET_CODE_MINUTES = 15;
+// Wrong codes accepted before the pending password reset is discarded
+const MAX_RESET_ATTEMPTS = 5;
+
+/**
+ * Filters accepted by the games search and the type of their values.
+ */
+const SEARCH_FILTERS = {
+	players: 'number',
+	playtime: 'number',
+	age: 'number',
+	year_published: 'number',
+	publisher: 'string',
+	designer: 'string',
+	mechanic: 'string',
+	category: 'string',
+	gt_price: 'number',
+	lt_price: 'number'
+};
+
+
+/**
+ * @param {Object} data_ext game catalog provider
+ * @param {Object} data_int data store
+ * @param {Object} outbox outbox of the messages sent to the users (see borga-outbox.js)
+ */
+module.exports = function (data_ext, data_int, outbox = require('./borga-outbox.js')()) {
 
 	/**
 	 * Validates a request, checking its query parameters and/or body properties, given a schema.
@@ -43,6 +184,7 @@ module.exports = function (data_ext, data_int) {
 
 	/**
 	 * Checks if both userId and password are associated.
+	 * A password hash in a legacy format, or with outdated parameters, is replaced by a new one.
 	 * @param {String} userId
 	 * @param {String} password
 	 * @returns user object
@@ -53,43 +195,149 @@ module.exports = function (data_ext, data_int) {
 		if (!userId || !password)
 			throw errors.MISSING_PARAM('missing credentials');
 
+		let user;
 		try {
-			const user = await data_int.getUser(userId);
-			if (user.passwordHash !== getHashedPassword(password)) throw {};
-
-			return user;
+			user = await data_int.getUser(userId);
+			if (!await passwords.verifyPassword(password, user.passwordHash)) throw {};
 		}
 		catch (error) {
-			throw errors.UNAUTHENTICATED({ userId, password });
+			throw errors.UNAUTHENTICATED({ userId });
+		}
+		if (user.disabled)
+			throw errors.UNAUTHENTICATED('The user account is disabled');
+
+		// A hash that can't be upgraded now is upgraded on a later login
+		if (passwords.needsUpgrade(user.passwordHash)) {
+			try {
+				await data_int.updatePasswordHash(userId, await passwords.hashPassword(password));
+			}
+			catch (error) { }
 		}
+
+		return user;
 	}
 
 
 	/**
-	 * Receives a password and returns hashed password using sha256 algorithm.
-	 * @param {String} password 
-	 * @returns hashed password
+	 * Checks if the token is associated with some user, and is neither revoked nor expired.
+	 * The last use date of the token is updated, at most once every TOKEN_TOUCH_INTERVAL.
+	 * @param {String} token
+	 * @returns the userId associated with the token
+	 * @throws UNAUTHENTICATED if the token is missing, invalid, revoked or expired
+	 */
+	async function checkToken(token) {
+		if (!token)
+			throw errors.UNAUTHENTICATED('Please insert your user token');
+
+		const tokenInfo = await data_int.getTokenInfo(token);
+		if (!tokenInfo)
+			throw errors.UNAUTHENTICATED('Please insert a valid user token');
+		if (tokenInfo.revoked)
+			throw errors.UNAUTHENTICATED('The user token was revoked');
+
+		const now = new Date();
+		if (tokenInfo.expiresAt && new Date(tokenInfo.expiresAt) <= now)
+			throw errors.UNAUTHENTICATED('The user token has expired');
+
+		if (!tokenInfo.lastUsedAt || now - new Date(tokenInfo.lastUsedAt) >= TOKEN_TOUCH_INTERVAL)
+			await data_int.touchToken(token, now.toISOString());
+
+		return tokenInfo.userId;
+	}
+
+
+	/**
+	 * Gets the user authenticated by the token.
+	 * @param {String} token
+	 * @returns object with the userId and the role of the user
+	 * @throws UNAUTHENTICATED if the token is invalid, or the user doesn't exist anymore or is disabled
 	 */
-	function getHashedPassword(password) {
-		return crypto.createHash('sha256').update(password).digest('hex');
+	async function authenticate(token) {
+		const userId = await checkToken(token);
+
+		let user;
+		try {
+			user = await data_int.getUser(userId);
+		}
+		catch (err) {
+			if (err.name == 'NOT_FOUND') throw errors.UNAUTHENTICATED('Please insert a valid user token');
+			throw err;
+		}
+		if (user.disabled)
+			throw errors.UNAUTHENTICATED('The user account is disabled');
+
+		return { userId, role: user.role || DEFAULT_ROLE };
 	}
 
 
 	/**
-	 * Checks if both token and userId are associated.
+	 * Checks if the user authenticated by the token has a permission (see ROLE_PERMISSIONS).
+	 * With a userId, the permission applies to the resources of that user: a different user
+	 * also needs the same permission followed by ":any".
 	 * @param {String} token
-	 * @param {String} userId
-	 * @throws UNAUTHENTICATED if the token is invalid
+	 * @param {String} permission
+	 * @param {String} userId owner of the resources, if any
+	 * @returns object with the userId and the role of the authenticated user
+	 * @throws UNAUTHENTICATED if the token is invalid, or doesn't belong to the user and has no permission over any user
+	 * @throws FORBIDDEN if the role of the user doesn't have the permission
 	 */
-	async function checkAuthentication(token, userId) {
-		if (!token)
-			throw errors.UNAUTHENTICATED('Please insert your user token');
+	async function authorize(token, permission, userId) {
+		const user = await authenticate(token);
+		checkPermission(user, permission, userId);
+
+		return user;
+	}
+
 
-		if (userId != await data_int.tokenToUserId(token))
+	/**
+	 * Checks if the role of an authenticated user has a permission, over the resources of the given user if any.
+	 * @param {Object} user object with the userId and the role of the authenticated user
+	 * @param {String} permission
+	 * @param {String} userId owner of the resources, if any
+	 * @throws UNAUTHENTICATED if the resources belong to another user and the role has no permission over any user
+	 * @throws FORBIDDEN if the role of the user doesn't have the permission
+	 */
+	function checkPermission(user, permission, userId) {
+		const permissions = ROLE_PERMISSIONS[user.role] || [];
+
+		if (userId === undefined || userId == user.userId) {
+			if (!permissions.includes(permission))
+				throw errors.FORBIDDEN({ permission });
+		}
+		else if (!permissions.includes(`${permission}:any`))
 			throw errors.UNAUTHENTICATED('Please insert a valid user token');
 	}
 
 
+	/**
+	 * Checks if the user authenticated by the token has a permission over a group.
+	 * Besides the owner (and the admins), the members of the group have the permissions of their role in it
+	 * (see GROUP_ROLE_PERMISSIONS).
+	 * @param {String} token
+	 * @param {String} permission
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId
+	 * @returns object with the userId and the role of the authenticated user
+	 * @throws UNAUTHENTICATED if the token is invalid, or the user is neither the owner nor a member of the group
+	 * @throws FORBIDDEN if the user doesn't have the permission over the group
+	 */
+	async function authorizeGroup(token, permission, userId, groupId) {
+		const user = await authenticate(token);
+
+		if (userId != user.userId) {
+			const groupRole = await data_int.getGroupMemberRole(userId, groupId, user.userId);
+
+			if (groupRole && GROUP_ROLE_PERMISSIONS[groupRole].includes(permission))
+				return user;
+			if (groupRole && !(ROLE_PERMISSIONS[user.role] || []).includes(`${permission}:any`))
+				throw errors.FORBIDDEN({ permission });
+		}
+
+		checkPermission(user, permission, userId);
+		return user;
+	}
+
+
 	/**
 	 * Gets the most popular games.
 	 * @returns promise with an array containing the most popular games
@@ -100,18 +348,120 @@ module.exports = function (data_ext, data_int) {
 
 
 	/**
-	 * Gets an array of games given a name and other optional filter params.
-	 * @param {String} gameName
+	 * Removes the empty search filters and checks the type of the remaining ones.
+	 * @param {Object} filters
+	 * @returns object with the non empty filters
+	 * @throws BAD_REQUEST if there are unknown filters or filters with values of the wrong type
+	 */
+	function checkSearchFilters(filters) {
+		const info = {};
+		const checkedFilters = {};
+
+		for (const filter in filters) {
+			const value = filters[filter];
+			if (value === undefined || value === '') continue;
+
+			if (!SEARCH_FILTERS[filter])
+				info[filter] = "unknown filter";
+			else if (SEARCH_FILTERS[filter] == 'number' && isNaN(Number(value)))
+				info[filter] = "wrong type. expected number";
+			else
+				checkedFilters[filter] = SEARCH_FILTERS[filter] == 'number' ? Number(value) : value;
+		}
+
+		if (Object.keys(info).length > 0) throw errors.BAD_REQUEST(info);
+
+		return checkedFilters;
+	}
+
+
+	/**
+	 * Checks the pagination params of the games search and computes the number of games to skip.
+	 * Empty params, sent by the blank fields of the search form, are the same as not given.
+	 * The page (starting at 1) takes precedence over skip when both are given.
 	 * @param {Number} limit
+	 * @param {Number} skip
+	 * @param {Number} page
+	 * @returns object with the limit and skip to use in the search
+	 * @throws BAD_REQUEST if the limit isn't between 1 and MAX_SEARCH_LIMIT, skip is negative or page is lower than 1
+	 */
+	function checkPagination(limit, skip, page) {
+		const info = {};
+		const isInteger = value => value !== undefined && value !== '' && Number.isInteger(Number(value));
+
+		if (limit === '') limit = undefined;
+		if (skip === '') skip = undefined;
+		if (page === '') page = undefined;
+
+		if (limit !== undefined && (!isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT))
+			info.limit = `Must be an integer between 1 and ${MAX_SEARCH_LIMIT}`;
+		if (skip !== undefined && (!isInteger(skip) || skip < 0))
+			info.skip = "Must be a non negative integer";
+		if (page !== undefined && (!isInteger(page) || page < 1))
+			info.page = "Must be an integer greater than 0";
+
+		if (Object.keys(info).length > 0) throw errors.BAD_REQUEST(info);
+
+		const checkedLimit = limit !== undefined ? Number(limit) : DEFAULT_SEARCH_LIMIT;
+		return {
+			limit: checkedLimit,
+			skip: page !== undefined ? (page - 1) * checkedLimit : Number(skip || 0)
+		};
+	}
+
+
+	/**
+	 * Gets a page of the games found given a name and other optional filter params.
+	 * @param {String} gameName
+	 * @param {Number} limit maximum number of games in the page
 	 * @param {String} order_by
 	 * @param {Boolean} ascending
-	 * @returns promise with an array of game objects
+	 * @param {Object} filters object with the search filters (see SEARCH_FILTERS)
+	 * @param {Number} skip number of games to skip
+	 * @param {Number} page number of the page, starting at 1. Takes precedence over skip
+	 * @returns promise with an object with the total count of games found, the limit and skip used and the array of game objects
 	 */
-	async function searchGamesByName(gameName, limit, order_by, ascending) {
+	async function searchGamesByName(gameName, limit, order_by, ascending, filters = {}, skip, page) {
 		checkBadRequest({
 			query: { gameName }
 		});
-		return await data_ext.searchGamesByName(gameName, limit, order_by, ascending);
+		const pagination = checkPagination(limit, skip, page);
+
+		const res = await data_ext.searchGamesByName(
+			gameName, pagination.limit, order_by, ascending, checkSearchFilters(filters), pagination.skip
+		);
+
+		return { count: res.count, limit: pagination.limit, skip: pagination.skip, games: res.games };
+	}
+
+
+	/**
+	 * Gets the names of all game mechanics, used to filter the games search.
+	 * @returns promise with an array of objects with the id and name of each mechanic, sorted by name
+	 */
+	async function getMechanics() {
+		return sortByName(await data_ext.getGlobalMechanics());
+	}
+
+
+	/**
+	 * Gets the names of all game categories, used to filter the games search.
+	 * @returns promise with an array of objects with the id and name of each category, sorted by name
+	 */
+	async function getCategories() {
+		return sortByName(await data_ext.getGlobalCategories());
+	}
+
+
+	/**
+	 * Converts an id:name map to an array of { id, name } objects sorted by name.
+	 * @param {Object} idNameMap
+	 * @returns the sorted array
+	 */
+	function sortByName(idNameMap) {
+		return Object.entries(idNameMap)
+			.map(([id, name]) => ({ id, name }))
+			.sort((item1, item2) => item1.name.localeCompare(item2.name));
 	}
 
 
@@ -125,6 +475,60 @@ module.exports = function (data_ext, data_int) {
 	}
 
 
+	/**
+	 * Gets the games with the given ids.
+	 * @param {Array} gameIds
+	 * @returns promise with an object containing the array of found games and the array of ids that weren't found
+	 * @throws BAD_REQUEST if there are no ids or more than MAX_GAME_IDS ids
+	 */
+	async function getGamesByIds(gameIds) {
+		const ids = [...new Set((gameIds || []).filter(gameId => gameId))];
+
+		if (ids.length == 0)
+			throw errors.BAD_REQUEST({ ids: "required parameter missing" });
+		if (ids.length > MAX_GAME_IDS)
+			throw errors.BAD_REQUEST({ ids: `At most ${MAX_GAME_IDS} ids are allowed` });
+
+		const games = await data_ext.searchGamesByIds(ids);
+		const foundIds = new Set(games.map(game => game.id));
+
+		return {
+			games,
+			notFound: ids.filter(gameId => !foundIds.has(gameId))
+		};
+	}
+
+
+	/**
+	 * Gets the statistics of the game provider responses cache.
+	 * @returns promise with an object containing the cache statistics
+	 * @throws NOT_FOUND if the game provider has no cache
+	 */
+	async function getGamesCacheStats() {
+		if (!data_ext.getCacheStats)
+			throw errors.NOT_FOUND('The game provider has no cache');
+
+		return data_ext.getCacheStats();
+	}
+
+
+	/**
+	 * Clears the game provider responses cache. Requires the token of an admin.
+	 * @param {String} token
+	 * @returns promise with an object containing the cache statistics before clearing it
+	 * @throws FORBIDDEN if the user isn't an admin
+	 * @throws NOT_FOUND if the game provider has no cache
+	 */
+	async function clearGamesCache(token) {
+		await authorize(token, PERMISSIONS.GAMES_CACHE_CLEAR);
+
+		const stats = await getGamesCacheStats();
+		data_ext.clearCache();
+
+		return stats;
+	}
+
+
 	/**
 	 * Creates a new user given its id, name and password.
 	 * @param {String} userId 
@@ -147,11 +551,61 @@ module.exports = function (data_ext, data_int) {
 		if (!userName.match(/[a-zA-Z0-9]{4,20}/)) {
 			throw errors.BAD_REQUEST({ userId: "Only alphanumeric characters. Length: [4, 20] characters" })
 		}
-		if (!password.match(/[a-zA-Z0-9]{4,20}/)) {
-			throw errors.BAD_REQUEST({ password: "Only alphanumeric characters. Length: [4, 20] characters" })
+		checkPasswordFormat('password', password);
+
+		return await data_int.createNewUser(userId, userName, await passwords.hashPassword(password));
+	}
+
+
+	/**
+	 * Gets the profile of the user.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @returns a promise with an object with the user id, name and role
+	 */
+	async function getProfile(token, userId) {
+		await authorize(token, PERMISSIONS.PROFILE, userId);
+
+		const user = await data_int.getUser(userId);
+
+		return { userId, userName: user.userName, role: user.role || DEFAULT_ROLE };
+	}
+
+
+	/**
+	 * Changes the profile of the user. Only the user name can be changed.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} userName 
+	 * @returns a promise with an object with the user id and the new name
+	 * @throws BAD_REQUEST if the user name is missing or its format isn't accepted
+	 */
+	async function updateProfile(token, userId, userName) {
+		checkBadRequest({
+			body: {
+				userName: { value: userName, type: 'string', required: true }
+			}
+		});
+		await authorize(token, PERMISSIONS.PROFILE, userId);
+
+		if (!userName.match(/^[a-zA-Z0-9]{4,20}$/)) {
+			throw errors.BAD_REQUEST({ userName: "Only alphanumeric characters. Length: [4, 20] characters" })
 		}
 
-		return await data_int.createNewUser(userId, userName, getHashedPassword(password));
+		return await data_int.updateUserName(userId, userName);
+	}
+
+
+	/**
+	 * Deletes the account of the user, along with its groups, tokens and pending password reset.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @returns a promise with an object with the deleted user id and name
+	 */
+	async function deleteUser(token, userId) {
+		await authorize(token, PERMISSIONS.PROFILE, userId);
+
+		return await data_int.deleteUser(userId);
 	}
 
 
@@ -170,7 +624,7 @@ module.exports = function (data_ext, data_int) {
 				groupDescription: { value: groupDescription, type: 'string', required: true }
 			}
 		});
-		await checkAuthentication(token, userId);
+		await authorize(token, PERMISSIONS.GROUPS_WRITE, userId);
 
 		const groupId = crypto.randomUUID();
 
@@ -194,22 +648,75 @@ module.exports = function (data_ext, data_int) {
 				newGroupDescription: { value: newGroupDescription, type: 'string', required: false }
 			}
 		});
-		await checkAuthentication(token, userId);
+		await authorize(token, PERMISSIONS.GROUPS_WRITE, userId);
 
 		return await data_int.editGroup(userId, groupId, newGroupName, newGroupDescription);
 	}
 
 
 	/**
-	 * Lists all existing user groups.
+	 * Encodes the sort values of the last listed group as an opaque cursor.
+	 * @param {Array} sortValues 
+	 * @returns the cursor, or null if there are no sort values
+	 */
+	function encodeCursor(sortValues) {
+		return sortValues ? Buffer.from(JSON.stringify(sortValues)).toString('base64url') : null;
+	}
+
+
+	/**
+	 * Decodes a cursor obtained from a previous listing of groups.
+	 * @param {String} cursor 
+	 * @returns the sort values of the last listed group, or undefined if there is no cursor
+	 * @throws BAD_REQUEST if the cursor is invalid
+	 */
+	function decodeCursor(cursor) {
+		if (!cursor) return undefined;
+
+		try {
+			const sortValues = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+			if (Array.isArray(sortValues) && sortValues.length == GROUPS_SORT.length) return sortValues;
+		}
+		catch (err) { }
+
+		throw errors.BAD_REQUEST({ cursor: "Invalid cursor" });
+	}
+
+
+	/**
+	 * Lists the user groups, sorted by name and then by id.
+	 * If a limit is given, only a page of groups is listed, starting after the given cursor or skipping the given number of groups.
 	 * @param {String} token 
 	 * @param {String} userId
-	 * @returns promise with object containing all group objects
+	 * @param {Number} limit maximum number of groups to list. If undefined, all groups are listed
+	 * @param {String} cursor the next cursor returned by the listing of the previous page
+	 * @param {Number} skip number of groups to skip
+	 * @returns promise with an object with the array of group objects, the sort order and the cursor to the next page (null if there is none)
+	 * @throws BAD_REQUEST if the limit isn't between 1 and MAX_GROUPS_LIMIT, skip is negative, both cursor and skip are given or the cursor is invalid
 	 */
-	async function listUserGroups(token, userId) {
-		await checkAuthentication(token, userId);
+	async function listUserGroups(token, userId, limit, cursor, skip) {
+		await authorize(token, PERMISSIONS.GROUPS_READ, userId);
 
-		return await data_int.listUserGroups(userId);
+		const info = {};
+		const isInteger = value => value !== '' && Number.isInteger(Number(value));
+
+		if (limit !== undefined && (!isInteger(limit) || limit < 1 || limit > MAX_GROUPS_LIMIT))
+			info.limit = `Must be an integer between 1 and ${MAX_GROUPS_LIMIT}`;
+		if (skip !== undefined && (!isInteger(skip) || skip < 0))
+			info.skip = "Must be a non negative integer";
+		if (skip !== undefined && cursor)
+			info.cursor = "Can't be used together with skip";
+
+		if (Object.keys(info).length > 0) throw errors.BAD_REQUEST(info);
+
+		const res = await data_int.listUserGroups(
+			userId,
+			limit !== undefined ? Number(limit) : undefined,
+			decodeCursor(cursor),
+			Number(skip || 0)
+		);
+
+		return { groups: res.groups, sort: GROUPS_SORT, next: encodeCursor(res.next) };
 	}
 
 
@@ -221,7 +728,7 @@ module.exports = function (data_ext, data_int) {
 	 * @returns promise with an object with the deleted group information
 	 */
 	async function deleteGroup(token, userId, groupId) {
-		await checkAuthentication(token, userId);
+		await authorize(token, PERMISSIONS.GROUPS_DELETE, userId);
 
 		return await data_int.deleteGroup(userId, groupId);
 	}
@@ -232,82 +739,1182 @@ module.exports = function (data_ext, data_int) {
 	 * @param {String} token
 	 * @param {String} userId
 	 * @param {String} groupId
+	 * @param {String} expand if 'games', the group games are the full game objects instead of their names
 	 * @returns promise an object containing the group details
+	 * @throws BAD_REQUEST if expand has a value other than 'games'
 	 */
-	async function getGroupDetails(token, userId, groupId) {
-		await checkAuthentication(token, userId);
+	async function getGroupDetails(token, userId, groupId, expand) {
+		if (expand && expand != 'games')
+			throw errors.BAD_REQUEST({ expand: "Only 'games' can be expanded" });
 
-		return await data_int.getGroupDetails(userId, groupId);
+		await authorizeGroup(token, PERMISSIONS.GROUPS_READ, userId, groupId);
+
+		return await data_int.getGroupDetails(userId, groupId, expand == 'games');
 	}
 
 
 
 	/**
-	 * Adds a new game to a group.
-	 * @param {String} token
-	 * @param {String} userId
-	 * @param {String} groupId 
-	 * @param {String} gameId
-	 * @return a promise with the added game object
+	 * Checks if a format of the groups export and import is known.
+	 * @param {String} format 
+	 * @throws BAD_REQUEST if the format is unknown
 	 */
-	async function addGameToGroup(token, userId, groupId, gameId) {
-		await checkAuthentication(token, userId);
+	function checkGroupsFormat(format) {
+		if (!GROUPS_FORMATS.includes(format))
+			throw errors.BAD_REQUEST({ format: `Must be one of: ${GROUPS_FORMATS.join(', ')}` });
+	}
 
-		const game = await data_ext.searchGamesById(gameId);
 
-		return await data_int.addGameToGroup(userId, groupId, game);
+	/**
+	 * Exports the groups of a user with the ids and names of their games, sorted by name.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} format "json" or "csv"
+	 * @returns promise with an object with the array of groups, or the CSV text with the columns GROUPS_CSV_COLUMNS
+	 * @throws BAD_REQUEST if the format is unknown
+	 */
+	async function exportGroups(token, userId, format = 'json') {
+		await authorize(token, PERMISSIONS.GROUPS_READ, userId);
+
+		checkGroupsFormat(format);
+
+		const groups = await Promise.all((await data_int.listUserGroups(userId)).groups.map(async (group) => {
+			const details = await data_int.getGroupDetails(userId, group.id, false);
+
+			return {
+				name: group.name,
+				description: group.description,
+				games: Object.entries(details.games)
+					.map(([id, name]) => ({ id, name }))
+					.sort((game1, game2) => game1.name.localeCompare(game2.name) || game1.id.localeCompare(game2.id))
+			};
+		}));
+
+		if (format == 'json')
+			return { groups };
+
+		return csv.stringifyCsv([
+			GROUPS_CSV_COLUMNS,
+			...groups.flatMap(group => group.games.length > 0
+				? group.games.map(game => [group.name, group.description, game.id, game.name])
+				: [[group.name, group.description, '', '']]
+			)
+		]);
 	}
 
 
 	/**
-	 * Removes a game from a group given its name.
-	 * @param {String} token 
-	 * @param {String} userId
-	 * @param {String} groupId 
-	 * @param {String} gameId
-	 * @return promise with the removed game object
+	 * Converts the data of a groups import to rows with the group name and description and a game id.
+	 * Rows are numbered like in the file: in CSV the header is row 1, in JSON the games are numbered in order.
+	 * Groups without games have a row with an empty game id.
+	 * @param {String} format "json" or "csv"
+	 * @param {Object|String} data an object like the JSON export, or the CSV text
+	 * @returns array of rows
+	 * @throws BAD_REQUEST if the data doesn't have the format, or has more than MAX_IMPORT_ROWS rows
 	 */
-	async function removeGameFromGroup(token, userId, groupId, gameId) {
-		await checkAuthentication(token, userId);
+	function getImportRows(format, data) {
+		let rows;
 
-		return await data_int.removeGameFromGroup(userId, groupId, gameId);
+		if (format == 'csv') {
+			const csvError = { body: `Must be CSV text with the columns: ${GROUPS_CSV_COLUMNS.join(', ')}` };
+			if (typeof data != 'string')
+				throw errors.BAD_REQUEST(csvError);
+
+			const lines = csv.parseCsv(data);
+			const columns = (lines[0] || []).map(column => column.trim());
+			if (!columns.includes('group') || !columns.includes('gameId'))
+				throw errors.BAD_REQUEST(csvError);
+
+			const field = (fields, column) => columns.includes(column) ? fields[columns.indexOf(column)] : undefined;
+
+			rows = lines
+				.map((fields, i) => ({
+					row: i + 1,
+					group: field(fields, 'group'),
+					description: field(fields, 'description') || '',
+					gameId: (field(fields, 'gameId') || '').trim()
+				}))
+				.slice(1)
+				.filter(row => row.group || row.gameId);
+		}
+		else {
+			if (!data || !Array.isArray(data.groups))
+				throw errors.BAD_REQUEST({ groups: "Must be a list of groups, each with its name, description and list of games" });
+
+			let row = 0;
+			rows = data.groups.flatMap(group => {
+				const games = group && Array.isArray(group.games) && group.games.length > 0 ? group.games : [{ id: '' }];
+
+				return games.map(game => ({
+					row: ++row,
+					group: group && group.name,
+					description: group && group.description !== undefined ? group.description : '',
+					gameId: game && game.id
+				}));
+			});
+		}
+
+		if (rows.length > MAX_IMPORT_ROWS)
+			throw errors.BAD_REQUEST({ rows: `At most ${MAX_IMPORT_ROWS} rows are allowed` });
+
+		return rows;
 	}
 
 
 	/**
-	 * Gets an user by its id
+	 * Checks the group name and description and the game id of a row of a groups import.
+	 * @param {Object} row 
+	 * @returns the error message, or null if the row is valid
+	 */
+	function checkImportRow(row) {
+		if (typeof row.group != 'string' || row.group.trim() == '')
+			return "The group name is required";
+		if (typeof row.description != 'string')
+			return "The group description must be text";
+		if (typeof row.gameId != 'string')
+			return "The game id must be text";
+		return null;
+	}
+
+
+	/**
+	 * Creates the groups of an import, with their games, setting their ids.
+	 * If one of them fails, the groups already created are deleted before the error is thrown.
 	 * @param {String} userId 
-	 * @returns the user object
+	 * @param {Array} groups array of groups, each with its name, description and games
 	 */
-	async function getUser(userId) {
-		return await data_int.getUser(userId);
+	async function createImportedGroups(userId, groups) {
+		const createdIds = [];
+
+		try {
+			for (const group of groups) {
+				group.id = crypto.randomUUID();
+				await data_int.createGroup(userId, group.id, group.name, group.description);
+				createdIds.push(group.id);
+				for (const game of group.games)
+					await data_int.addGameToGroup(userId, group.id, game);
+			}
+		}
+		catch (error) {
+			// The error of the import is the one thrown, even if some group can't be deleted
+			for (const groupId of createdIds) {
+				try {
+					await data_int.deleteGroup(userId, groupId);
+				}
+				catch (deleteError) { }
+			}
+			throw error;
+		}
 	}
 
+
 	/**
-	 * Gets one token associated with userId.
+	 * Imports groups of a user, as exported by exportGroups. New groups are always created, even if the user
+	 * already has groups with the same names. Rows of the same group name are added to the same group.
+	 * The games are looked up again by their ids, so their names in the data are ignored.
+	 * Rows with errors, like unknown games, are left out and reported, while the other rows are imported.
+	 * In dry-run mode the data is checked and the report is built, but nothing is created.
+	 * If a group can't be created, the groups already created by the import are deleted, so nothing is imported.
+	 * @param {String} token 
 	 * @param {String} userId 
-	 * @returns the token
+	 * @param {String} format "json" or "csv"
+	 * @param {Object|String} data an object like the JSON export, or the CSV text
+	 * @param {Boolean} dryRun 
+	 * @returns promise with an object with the dry-run flag, the array of imported groups (without ids in dry-run mode),
+	 * each with its games, and the array of errors, each with the row, group name, game id and error message
+	 * @throws BAD_REQUEST if the format is unknown or the data doesn't have the format
 	 */
-	async function getToken(userId) {
-		return await data_int.getToken(userId);
+	async function importGroups(token, userId, format = 'json', data, dryRun = false) {
+		await authorize(token, PERMISSIONS.GROUPS_WRITE, userId);
+
+		checkGroupsFormat(format);
+		const rows = getImportRows(format, data);
+
+		const gameIds = [...new Set(rows.map(row => row.gameId).filter(gameId => typeof gameId == 'string' && gameId != ''))];
+		const foundGames = {};
+		(await data_ext.searchGamesByIds(gameIds)).forEach(game => foundGames[game.id] = game);
+
+		const groups = {};
+		const rowErrors = [];
+		for (const row of rows) {
+			let error = checkImportRow(row);
+			if (!error && row.gameId != '' && !foundGames[row.gameId])
+				error = "Game not found";
+
+			if (error) {
+				rowErrors.push({
+					row: row.row,
+					group: row.group !== undefined ? row.group : null,
+					gameId: row.gameId !== undefined ? row.gameId : null,
+					error
+				});
+				continue;
+			}
+
+			const name = row.group.trim();
+			if (!groups[name])
+				groups[name] = { id: null, name, description: row.description, games: [] };
+			if (row.gameId != '' && !groups[name].games.some(game => game.id == row.gameId))
+				groups[name].games.push(foundGames[row.gameId]);
+		}
+
+		if (!dryRun) await createImportedGroups(userId, Object.values(groups));
+
+		return {
+			dryRun,
+			groups: Object.values(groups).map(group => ({
+				id: group.id,
+				name: group.name,
+				description: group.description,
+				games: group.games.map(game => ({ id: game.id, name: game.name }))
+			})),
+			errors: rowErrors
+		};
 	}
 
 
-	return {
-		getPopularGames,
-		searchGamesByName,
+	/**
+	 * Matches a title of a BoardGameGeek collection against the games catalog.
+	 * The title matches a game if it's the only one found with that exact name, ignoring case.
+	 * @param {String} title 
+	 * @returns promise with an object with the matched game, or null and the candidate games found
+	 */
+	async function matchBggTitle(title) {
+		let found;
+		try {
+			found = (await data_ext.searchGamesByName(title, BGG_CANDIDATES_LIMIT, 'rank', false)).games;
+		} catch (error) {
+			if (error.name != 'NOT_FOUND') throw error;
+			return { game: null, candidates: [] };
+		}
 
-		createNewUser,
-		getUser,
-		getToken,
-		createGroup,
+		const exact = found.filter(game => game.name.trim().toLowerCase() == title.toLowerCase());
+
+		return exact.length == 1
+			? { game: exact[0], candidates: [] }
+			: { game: null, candidates: exact.length > 1 ? exact : found };
+	}
+
+
+	/**
+	 * Imports a BoardGameGeek collection export into a new group of a user.
+	 * Each title is searched in the games catalog, and the games that match are added to the group.
+	 * Ambiguous titles (with more than one or no game of that exact name) and titles without results
+	 * go to a review list, with the games found, so the user can add the right ones by hand.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} xml the collection export
+	 * @param {String} groupName name of the new group. Default: BGG_GROUP_NAME
+	 * @returns promise with an object with the new group, the matched titles with their games, and the review list
+	 * of the ambiguous and unmatched titles, with the candidate games
+	 * @throws BAD_REQUEST if the xml isn't a collection export, or it has no items or more than MAX_BGG_ITEMS items
+	 */
+	async function importBggCollection(token, userId, xml, groupName) {
+		checkBadRequest({
+			body: {
+				xml: { value: xml, type: 'string', required: true },
+				groupName: { value: groupName, type: 'string', required: false }
+			}
+		});
+		await authorize(token, PERMISSIONS.GROUPS_WRITE, userId);
+
+		const items = bgg.parseCollection(xml);
+		if (!items || items.length == 0)
+			throw errors.BAD_REQUEST({ xml: "Must be a BoardGameGeek collection export, with at least one item" });
+		if (items.length > MAX_BGG_ITEMS)
+			throw errors.BAD_REQUEST({ xml: `At most ${MAX_BGG_ITEMS} items are allowed` });
+
+		const titles = {};
+		items.forEach(item => {
+			const title = item.name.toLowerCase();
+			if (!titles[title]) titles[title] = item;
+		});
+
+		const uniqueItems = Object.values(titles);
+		const results = [];
+		for (let i = 0; i < uniqueItems.length; i += BGG_SEARCH_CONCURRENCY)
+			results.push(...await Promise.all(uniqueItems.slice(i, i + BGG_SEARCH_CONCURRENCY).map(item => matchBggTitle(item.name))));
+
+		const group = await data_int.createGroup(
+			userId, crypto.randomUUID(), groupName || BGG_GROUP_NAME, BGG_GROUP_DESCRIPTION
+		);
+
+		const matched = [];
+		const review = [];
+		for (let i = 0; i < uniqueItems.length; i++) {
+			const item = uniqueItems[i];
+			const result = results[i];
+
+			if (result.game) {
+				await data_int.addGameToGroup(userId, group.id, result.game);
+				matched.push({ title: item.name, game: { id: result.game.id, name: result.game.name } });
+			}
+			else {
+				review.push({
+					title: item.name,
+					year: item.year,
+					bggId: item.bggId,
+					reason: result.candidates.length > 0 ? "ambiguous" : "unmatched",
+					candidates: result.candidates.map(game => ({ id: game.id, name: game.name }))
+				});
+			}
+		}
+
+		return { group, matched, review };
+	}
+
+
+	/**
+	 * Adds a new game to a group.
+	 * @param {String} token
+	 * @param {String} userId
+	 * @param {String} groupId 
+	 * @param {String} gameId
+	 * @return a promise with the added game object
+	 */
+	async function addGameToGroup(token, userId, groupId, gameId) {
+		await authorizeGroup(token, PERMISSIONS.GROUPS_GAMES, userId, groupId);
+
+		const game = await data_ext.searchGamesById(gameId);
+
+		return await data_int.addGameToGroup(userId, groupId, game);
+	}
+
+
+	/**
+	 * Removes a game from a group given its name.
+	 * @param {String} token 
+	 * @param {String} userId
+	 * @param {String} groupId 
+	 * @param {String} gameId
+	 * @return promise with the removed game object
+	 */
+	async function removeGameFromGroup(token, userId, groupId, gameId) {
+		await authorizeGroup(token, PERMISSIONS.GROUPS_GAMES, userId, groupId);
+
+		return await data_int.removeGameFromGroup(userId, groupId, gameId);
+	}
+
+
+	/**
+	 * Lists the games of a group, with their rating, notes, date added and plays, sorted by name.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns promise with an object with the array of group games
+	 */
+	async function listGroupGames(token, userId, groupId) {
+		await authorizeGroup(token, PERMISSIONS.GROUPS_READ, userId, groupId);
+
+		return { games: await data_int.listGroupGames(userId, groupId) };
+	}
+
+
+	/**
+	 * Gets a game of a group, with its rating, notes, date added and plays.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @returns promise with the group game object
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	async function getGroupGame(token, userId, groupId, gameId) {
+		await authorizeGroup(token, PERMISSIONS.GROUPS_READ, userId, groupId);
+
+		return await data_int.getGroupGame(userId, groupId, gameId);
+	}
+
+
+	/**
+	 * Rates a game of a group and/or changes its notes.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {Number} rating integer from 1 to 10, or null to clear it
+	 * @param {String} notes 
+	 * @returns promise with the updated group game object
+	 * @throws BAD_REQUEST if neither the rating nor the notes are given, or they are invalid
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	async function updateGroupGame(token, userId, groupId, gameId, rating, notes) {
+		checkBadRequest({
+			body: {
+				rating: { value: rating, type: 'number', required: false },
+				notes: { value: notes, type: 'string', required: false }
+			}
+		});
+		await authorizeGroup(token, PERMISSIONS.GROUPS_GAMES, userId, groupId);
+
+		if (rating === undefined && notes === undefined)
+			throw errors.BAD_REQUEST('A rating and/or notes are required');
+		if (rating !== undefined && rating !== null && (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING))
+			throw errors.BAD_REQUEST({ rating: `Must be an integer between ${MIN_RATING} and ${MAX_RATING}, or null` });
+		if (notes && notes.length > MAX_NOTES_LENGTH)
+			throw errors.BAD_REQUEST({ notes: `Length: [0, ${MAX_NOTES_LENGTH}] characters` });
+
+		const fields = {};
+		if (rating !== undefined) fields.rating = rating;
+		if (notes !== undefined) fields.notes = notes || "";
+
+		return await data_int.updateGroupGame(userId, groupId, gameId, fields);
+	}
+
+
+	/**
+	 * Logs a play of a game of a group.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @param {String} gameId 
+	 * @param {String} date date of the play, as YYYY-MM-DD
+	 * @param {Array} players names of the players
+	 * @param {String} winner name of the winner, one of the players if they are given
+	 * @param {Number} duration duration of the play, in minutes
+	 * @returns promise with the added play object
+	 * @throws BAD_REQUEST if the date, players, winner or duration are invalid
+	 * @throws NOT_FOUND if the group or the game doesn't exist
+	 */
+	async function addGamePlay(token, userId, groupId, gameId, date, players = [], winner, duration) {
+		checkBadRequest({
+			body: {
+				date: { value: date, type: 'string', required: true },
+				players: { value: players, type: 'object', required: false },
+				winner: { value: winner, type: 'string', required: false },
+				duration: { value: duration, type: 'number', required: false }
+			}
+		});
+		await authorizeGroup(token, PERMISSIONS.GROUPS_GAMES, userId, groupId);
+
+		if (!PLAY_DATE_FORMAT.test(date) || isNaN(Date.parse(date)) || new Date(date).toISOString().slice(0, 10) != date)
+			throw errors.BAD_REQUEST({ date: "Must be a date in the format YYYY-MM-DD" });
+		if (players && (!Array.isArray(players) || players.length > MAX_PLAY_PLAYERS
+			|| players.some(player => typeof player != 'string' || player.trim().length == 0)))
+			throw errors.BAD_REQUEST({ players: `Must be a list of up to ${MAX_PLAY_PLAYERS} player names` });
+
+		players = (players || []).map(player => player.trim());
+		winner = winner ? winner.trim() : null;
+
+		if (winner && players.length > 0 && !players.includes(winner))
+			throw errors.BAD_REQUEST({ winner: "Must be one of the players" });
+		if (duration !== undefined && duration !== null && (!Number.isInteger(duration) || duration < 1))
+			throw errors.BAD_REQUEST({ duration: "Must be a positive integer, in minutes" });
+
+		return await data_int.addGamePlay(userId, groupId, gameId, {
+			id: crypto.randomUUID(),
+			date,
+			players,
+			winner,
+			duration: duration || null
+		});
+	}
+
+
+	/**
+	 * Gets the statistics of the games in the groups of a user: their number and total value, the most common
+	 * mechanics, categories and publishers, and the number of games of each group. A game in more than one group is counted once.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @returns promise with an object with the statistics
+	 */
+	async function getUserStats(token, userId) {
+		await authorize(token, PERMISSIONS.GROUPS_READ, userId);
+
+		return await data_int.getUserStats(userId, STATS_TOP);
+	}
+
+
+	/**
+	 * Gets the games of the catalog that may be recommended to a user: the popular games and the best ranked games
+	 * with each of the top mechanics and categories of the user.
+	 * @param {Array} mechanics names of the top mechanics of the user
+	 * @param {Array} categories names of the top categories of the user
+	 * @returns promise with an array of game objects, without repetitions
+	 */
+	async function getRecommendationCandidates(mechanics, categories) {
+		const searchByFilter = async (filter, idNameMap, names) => {
+			const ids = Object.keys(idNameMap).filter(id => names.includes(idNameMap[id]));
+
+			return Promise.all(ids.map(async (id) => {
+				try {
+					return (await data_ext.searchGamesByName('', RECOMMENDATION_SEARCH_LIMIT, 'rank', false, { [filter]: id })).games;
+				} catch (error) {
+					if (error.name != 'NOT_FOUND') throw error;
+					return [];
+				}
+			}));
+		};
+
+		const results = [
+			[await data_ext.getPopularGames()],
+			await searchByFilter('mechanic', await data_ext.getGlobalMechanics(), mechanics.slice(0, RECOMMENDATION_SEARCHES)),
+			await searchByFilter('category', await data_ext.getGlobalCategories(), categories.slice(0, RECOMMENDATION_SEARCHES))
+		];
+
+		const candidates = {};
+		results.flat(2).forEach(game => {
+			if (!candidates[game.id]) candidates[game.id] = game;
+		});
+		return Object.values(candidates);
+	}
+
+
+	/**
+	 * Gets games a user might like, scored by how many of the games in the groups of the user share their mechanics and categories.
+	 * Games in the groups or in the collection of the user aren't recommended.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @returns promise with an object with the array of recommended games, sorted by score. Each game has its score
+	 * and the mechanics and categories that matched
+	 */
+	async function getRecommendations(token, userId) {
+		await authorize(token, PERMISSIONS.GROUPS_READ, userId);
+
+		const stats = await data_int.getUserStats(userId, STATS_TOP);
+		const weights = {};
+		[...stats.mechanics, ...stats.categories].forEach(value => weights[value.name] = (weights[value.name] || 0) + value.count);
+
+		if (Object.keys(weights).length == 0)
+			return { games: [] };
+
+		const userGameIds = new Set([
+			...await data_int.listUserGameIds(userId),
+			...(await data_int.listCollection(userId)).map(collectionGame => collectionGame.gameId)
+		]);
+
+		const candidates = await getRecommendationCandidates(
+			stats.mechanics.map(mechanic => mechanic.name),
+			stats.categories.map(category => category.name)
+		);
+
+		const games = candidates
+			.filter(game => !userGameIds.has(game.id))
+			.map(game => {
+				const matches = [...new Set([...(game.mechanics || []), ...(game.categories || [])])]
+					.filter(name => weights.hasOwnProperty(name));
+				return { ...game, score: matches.reduce((score, name) => score + weights[name], 0), matches };
+			})
+			.filter(game => game.score > 0)
+			.sort((game1, game2) => game2.score - game1.score);
+
+		return { games: games.slice(0, RECOMMENDATIONS_LIMIT) };
+	}
+
+
+	/**
+	 * Checks if a status of a game of a collection is known.
+	 * @param {String} status 
+	 * @throws BAD_REQUEST if the status is unknown
+	 */
+	function checkCollectionStatus(status) {
+		if (!COLLECTION_STATUSES.includes(status))
+			throw errors.BAD_REQUEST({ status: `Must be one of: ${COLLECTION_STATUSES.join(', ')}` });
+	}
+
+
+	/**
+	 * Lists the games of the collection of a user, sorted by name.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} status if given, only the games with this status are listed
+	 * @returns promise with an object with the array of collection games
+	 * @throws BAD_REQUEST if the status is unknown
+	 */
+	async function listCollection(token, userId, status) {
+		await authorize(token, PERMISSIONS.COLLECTION, userId);
+
+		if (status !== undefined) checkCollectionStatus(status);
+
+		return { games: await data_int.listCollection(userId, status) };
+	}
+
+
+	/**
+	 * Gets a game of the collection of a user, with its status.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @returns promise with the collection game object
+	 * @throws NOT_FOUND if the game isn't in the collection
+	 */
+	async function getCollectionGame(token, userId, gameId) {
+		await authorize(token, PERMISSIONS.COLLECTION, userId);
+
+		return await data_int.getCollectionGame(userId, gameId);
+	}
+
+
+	/**
+	 * Sets the status of a game in the collection of a user, adding the game to the collection if it isn't there yet.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @param {String} status "owned", "wishlist", "want-to-play" or "previously-owned"
+	 * @returns promise with the collection game object
+	 * @throws BAD_REQUEST if the status is unknown
+	 * @throws NOT_FOUND if the game doesn't exist
+	 */
+	async function setCollectionGame(token, userId, gameId, status) {
+		checkBadRequest({
+			body: {
+				status: { value: status, type: 'string', required: true }
+			}
+		});
+		await authorize(token, PERMISSIONS.COLLECTION, userId);
+
+		checkCollectionStatus(status);
+		const game = await data_ext.searchGamesById(gameId);
+
+		return await data_int.setCollectionGame(userId, game, status);
+	}
+
+
+	/**
+	 * Removes a game from the collection of a user.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} gameId 
+	 * @returns promise with the removed collection game object
+	 * @throws NOT_FOUND if the game isn't in the collection
+	 */
+	async function removeCollectionGame(token, userId, gameId) {
+		await authorize(token, PERMISSIONS.COLLECTION, userId);
+
+		return await data_int.removeCollectionGame(userId, gameId);
+	}
+
+
+	/**
+	 * Adds a member to a group, or changes the role of an existing member. Only the owner of the group can do it.
+	 * Viewers can see the group, editors can also add and remove its games.
+	 * @param {String} token 
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @param {String} role "viewer" or "editor"
+	 * @returns promise with an object with the member id and role
+	 * @throws BAD_REQUEST if the role is unknown or the member is the owner
+	 * @throws NOT_FOUND if the group or the member user doesn't exist
+	 */
+	async function setGroupMember(token, userId, groupId, memberId, role) {
+		checkBadRequest({
+			body: {
+				role: { value: role, type: 'string', required: true }
+			}
+		});
+		await authorize(token, PERMISSIONS.GROUPS_MEMBERS, userId);
+
+		if (!GROUP_ROLES.includes(role))
+			throw errors.BAD_REQUEST({ role: `Must be one of: ${GROUP_ROLES.join(', ')}` });
+		if (memberId == userId)
+			throw errors.BAD_REQUEST({ memberId: "The owner can't be a member of its own group" });
+
+		return await data_int.setGroupMember(userId, groupId, memberId, role);
+	}
+
+
+	/**
+	 * Lists the members of a group, sorted by userId. The members can see each other.
+	 * @param {String} token 
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns promise with an object with the array of members, each with its id and role
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	async function listGroupMembers(token, userId, groupId) {
+		await authorizeGroup(token, PERMISSIONS.GROUPS_READ, userId, groupId);
+
+		return { members: await data_int.listGroupMembers(userId, groupId) };
+	}
+
+
+	/**
+	 * Removes a member from a group. Besides the owner, a member can remove itself, leaving the group.
+	 * @param {String} token 
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @param {String} memberId 
+	 * @returns promise with an object with the removed member id and role
+	 * @throws NOT_FOUND if the group doesn't exist or the user isn't a member
+	 */
+	async function removeGroupMember(token, userId, groupId, memberId) {
+		const user = await authenticate(token);
+		if (user.userId != memberId)
+			checkPermission(user, PERMISSIONS.GROUPS_MEMBERS, userId);
+
+		return await data_int.removeGroupMember(userId, groupId, memberId);
+	}
+
+
+	/**
+	 * Lists the groups of other users shared with the user, sorted by name and then by id.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @returns promise with an object with the array of groups, each with its owner and the role of the user in it
+	 */
+	async function listSharedGroups(token, userId) {
+		await authorize(token, PERMISSIONS.GROUPS_READ, userId);
+
+		return { groups: await data_int.listSharedGroups(userId) };
+	}
+
+
+	/**
+	 * Creates a public read-only link to a group, replacing the previous one, so the group can be seen without a token.
+	 * Only the owner of the group can do it.
+	 * @param {String} token 
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns promise with an object with the slug of the link and its creation date
+	 * @throws NOT_FOUND if the group doesn't exist
+	 */
+	async function createShareLink(token, userId, groupId) {
+		await authorize(token, PERMISSIONS.GROUPS_SHARE, userId);
+
+		const slug = crypto.randomBytes(SHARE_SLUG_BYTES).toString('base64url');
+
+		return await data_int.createShareLink(userId, groupId, slug);
+	}
+
+
+	/**
+	 * Gets the public link to a group. Only the owner of the group can see it.
+	 * @param {String} token 
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns promise with an object with the slug of the link and its creation date
+	 * @throws NOT_FOUND if the group has no share link
+	 */
+	async function getShareLink(token, userId, groupId) {
+		await authorize(token, PERMISSIONS.GROUPS_SHARE, userId);
+
+		const shareLink = await data_int.getGroupShareLink(userId, groupId);
+		if (!shareLink) throw errors.NOT_FOUND('The group has no share link');
+
+		return shareLink;
+	}
+
+
+	/**
+	 * Revokes the public link to a group. Only the owner of the group can do it.
+	 * @param {String} token 
+	 * @param {String} userId owner of the group
+	 * @param {String} groupId 
+	 * @returns promise with an object with the slug of the revoked link and its creation date
+	 * @throws NOT_FOUND if the group has no share link
+	 */
+	async function revokeShareLink(token, userId, groupId) {
+		await authorize(token, PERMISSIONS.GROUPS_SHARE, userId);
+
+		const shareLink = await data_int.deleteShareLink(userId, groupId);
+		if (!shareLink) throw errors.NOT_FOUND('The group has no share link');
+
+		return shareLink;
+	}
+
+
+	/**
+	 * Gets a group shared by a public link. No token is needed.
+	 * @param {String} slug 
+	 * @param {String} expand if 'games', the group games are the full game objects instead of their names
+	 * @returns promise with an object with the name, description and games of the group
+	 * @throws BAD_REQUEST if expand has a value other than 'games'
+	 * @throws NOT_FOUND if the link doesn't exist or was revoked
+	 */
+	async function getSharedGroup(slug, expand) {
+		if (expand && expand != 'games')
+			throw errors.BAD_REQUEST({ expand: "Only 'games' can be expanded" });
+
+		const shareLink = SHARE_SLUG_FORMAT.test(slug) && await data_int.getShareLink(slug);
+		if (!shareLink) throw errors.NOT_FOUND({ slug });
+
+		const group = await data_int.getGroupDetails(shareLink.owner, shareLink.groupId, expand == 'games');
+
+		return { name: group.name, description: group.description, games: group.games };
+	}
+
+
+	/**
+	 * Gets an user by its id
+	 * @param {String} userId 
+	 * @returns the user object
+	 */
+	async function getUser(userId) {
+		return await data_int.getUser(userId);
+	}
+
+	/**
+	 * Checks the credentials of a user and creates a token for the web site session, that expires after SESSION_TOKEN_DAYS.
+	 * The session tokens of the user that were revoked, on logout, or have expired are deleted, so they don't pile up.
+	 * @param {String} userId 
+	 * @param {String} password 
+	 * @returns a promise with an object with the user information, the session token and its id
+	 * @throws MISSING_PARAM if userId or password are missing
+	 * @throws UNAUTHENTICATED if the userId and password are not associated
+	 */
+	async function login(userId, password) {
+		const user = await checkCredentials(userId, password);
+		await data_int.deleteExpiredTokens(userId, SESSION_TOKEN_NAME, new Date().toISOString());
+		const tokenInfo = await data_int.createToken(userId, SESSION_TOKEN_NAME, getExpirationDate(SESSION_TOKEN_DAYS));
+
+		return { userId, userName: user.userName, token: tokenInfo.token, tokenId: tokenInfo.id };
+	}
+
+
+	/**
+	 * Gets the expiration date of a token created now.
+	 * @param {Number} days lifetime of the token, in days
+	 * @returns expiration date in ISO format, or null if no lifetime is given
+	 */
+	function getExpirationDate(days) {
+		return days ? new Date(Date.now() + days * DAY_MS).toISOString() : null;
+	}
+
+
+	/**
+	 * Lists the tokens of the user, including the revoked and expired ones. The tokens themselves aren't included.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @returns promise with an object containing the array of tokens information
+	 */
+	async function listTokens(token, userId) {
+		await authorize(token, PERMISSIONS.TOKENS, userId);
+
+		return { tokens: await data_int.listTokens(userId) };
+	}
+
+
+	/**
+	 * Creates a named token for the user.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} name 
+	 * @param {Number} expiresInDays lifetime of the token, in days. Without it the token doesn't expire
+	 * @returns promise with an object containing the new token and its information
+	 * @throws BAD_REQUEST if the name or the lifetime are invalid
+	 */
+	async function createToken(token, userId, name, expiresInDays) {
+		checkBadRequest({
+			body: {
+				name: { value: name, type: 'string', required: true },
+				expiresInDays: { value: expiresInDays, type: 'number', required: false }
+			}
+		});
+		await authorize(token, PERMISSIONS.TOKENS, userId);
+
+		if (name.trim().length == 0 || name.length > MAX_TOKEN_NAME_LENGTH)
+			throw errors.BAD_REQUEST({ name: `Length: [1, ${MAX_TOKEN_NAME_LENGTH}] characters` });
+		if (expiresInDays !== undefined && expiresInDays !== null
+			&& (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_DAYS))
+			throw errors.BAD_REQUEST({ expiresInDays: `Must be an integer between 1 and ${MAX_TOKEN_DAYS}` });
+
+		return await data_int.createToken(userId, name.trim(), getExpirationDate(expiresInDays));
+	}
+
+
+	/**
+	 * Revokes a token of the user. A revoked token can't be used anymore, but is still listed.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} tokenId 
+	 * @returns promise with an object containing the information of the revoked token
+	 * @throws NOT_FOUND if the user has no token with the given id
+	 */
+	async function revokeToken(token, userId, tokenId) {
+		await authorize(token, PERMISSIONS.TOKENS, userId);
+
+		return await data_int.revokeToken(userId, tokenId);
+	}
+
+
+	/**
+	 * Replaces a token of the user by a new one, with the same name and lifetime, and revokes the old one.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} tokenId 
+	 * @returns promise with an object containing the new token and its information
+	 * @throws NOT_FOUND if the user has no token with the given id
+	 * @throws BAD_REQUEST if the token was already revoked
+	 */
+	async function rotateToken(token, userId, tokenId) {
+		await authorize(token, PERMISSIONS.TOKENS, userId);
+
+		const oldToken = (await data_int.listTokens(userId)).find(tokenInfo => tokenInfo.id == tokenId);
+		if (!oldToken)
+			throw errors.NOT_FOUND({ tokenId });
+		if (oldToken.revoked)
+			throw errors.BAD_REQUEST({ tokenId: "The token was revoked" });
+
+		const lifetime = oldToken.expiresAt && new Date(oldToken.expiresAt) - new Date(oldToken.createdAt);
+		const newToken = await data_int.createToken(
+			userId,
+			oldToken.name,
+			lifetime ? new Date(Date.now() + lifetime).toISOString() : null
+		);
+		await data_int.revokeToken(userId, tokenId);
+
+		return newToken;
+	}
+
+
+	/**
+	 * Checks if a new password has the accepted format.
+	 * @param {String} property name of the property with the password, used in the error information
+	 * @param {String} password 
+	 * @throws BAD_REQUEST if the password format isn't accepted
+	 */
+	function checkPasswordFormat(property, password) {
+		if (!password.match(/^[a-zA-Z0-9]{4,20}$/)) {
+			throw errors.BAD_REQUEST({ [property]: "Only alphanumeric characters. Length: [4, 20] characters" })
+		}
+	}
+
+
+	/**
+	 * Replaces the password of a user. All the tokens of the user are revoked, ending the web site sessions,
+	 * and any pending password reset is discarded.
+	 * @param {String} userId 
+	 * @param {String} password 
+	 * @returns promise with an object with the userId and a new token
+	 */
+	async function setPassword(userId, password) {
+		await data_int.updatePasswordHash(userId, await passwords.hashPassword(password));
+		await data_int.revokeAllTokens(userId);
+		await data_int.deleteResetCode(userId);
+
+		const tokenInfo = await data_int.createToken(userId, DEFAULT_TOKEN_NAME, null);
+
+		return { userId, token: tokenInfo.token };
+	}
+
+
+	/**
+	 * Changes the password of the user, given the current one.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} oldPassword 
+	 * @param {String} newPassword 
+	 * @returns promise with an object with the userId and a new token, since the others are revoked
+	 * @throws BAD_REQUEST if the new password format isn't accepted
+	 * @throws UNAUTHENTICATED if the token or the old password are wrong
+	 */
+	async function changePassword(token, userId, oldPassword, newPassword) {
+		checkBadRequest({
+			body: {
+				oldPassword: { value: oldPassword, type: 'string', required: true },
+				newPassword: { value: newPassword, type: 'string', required: true }
+			}
+		});
+		await authorize(token, PERMISSIONS.PROFILE, userId);
+		checkPasswordFormat('newPassword', newPassword);
+
+		await checkCredentials(userId, oldPassword);
+
+		return await setPassword(userId, newPassword);
+	}
+
+
+	/**
+	 * Gets the hash of a password reset code.
+	 * @param {String} code 
+	 * @returns the hash, in hex
+	 */
+	function getResetCodeHash(code) {
+		return crypto.createHash('sha256').update(code).digest('hex');
+	}
+
+
+	/**
+	 * Starts a password reset: a one-time code, that expires after RESET_CODE_MINUTES, is sent to the user outbox.
+	 * A previous code of the user stops working. Nothing happens for an unknown user,
+	 * so the answer doesn't tell which users exist.
+	 * @param {String} userId 
+	 * @throws BAD_REQUEST if the userId is missing
+	 */
+	async function requestPasswordReset(userId) {
+		checkBadRequest({
+			body: {
+				userId: { value: userId, type: 'string', required: true }
+			}
+		});
+
+		try {
+			await data_int.getUser(userId);
+		}
+		catch (err) {
+			if (err.name == 'NOT_FOUND') return;
+			throw err;
+		}
+
+		const code = String(crypto.randomInt(10 ** RESET_CODE_DIGITS)).padStart(RESET_CODE_DIGITS, '0');
+		const expiresAt = new Date(Date.now() + RESET_CODE_MINUTES * 60 * 1000).toISOString();
+
+		await data_int.saveResetCode(userId, { codeHash: getResetCodeHash(code), expiresAt, attempts: 0 });
+
+		outbox.send(
+			userId,
+			"BORGA password reset",
+			`Your password reset code is ${code}. It expires in ${RESET_CODE_MINUTES} minutes.`
+		);
+	}
+
+
+	/**
+	 * Sets a new password with the code of a pending password reset. The code can only be used once,
+	 * and the pending reset is discarded after MAX_RESET_ATTEMPTS wrong codes.
+	 * @param {String} userId 
+	 * @param {String} code 
+	 * @param {String} newPassword 
+	 * @returns promise with an object with the userId and a new token, since the others are revoked
+	 * @throws BAD_REQUEST if the new password format isn't accepted
+	 * @throws UNAUTHENTICATED if the code is wrong or expired, or there is no pending reset
+	 */
+	async function resetPassword(userId, code, newPassword) {
+		checkBadRequest({
+			body: {
+				userId: { value: userId, type: 'string', required: true },
+				code: { value: code, type: 'string', required: true },
+				newPassword: { value: newPassword, type: 'string', required: true }
+			}
+		});
+		checkPasswordFormat('newPassword', newPassword);
+
+		const resetCode = await data_int.getResetCode(userId);
+		if (!resetCode || new Date(resetCode.expiresAt) <= new Date())
+			throw errors.UNAUTHENTICATED('Invalid or expired reset code');
+
+		const codeHash = Buffer.from(getResetCodeHash(code), 'hex');
+		if (!crypto.timingSafeEqual(codeHash, Buffer.from(resetCode.codeHash, 'hex'))) {
+			if (resetCode.attempts + 1 >= MAX_RESET_ATTEMPTS)
+				await data_int.deleteResetCode(userId);
+			else
+				await data_int.saveResetCode(userId, { ...resetCode, attempts: resetCode.attempts + 1 });
+
+			throw errors.UNAUTHENTICATED('Invalid or expired reset code');
+		}
+
+		return await setPassword(userId, newPassword);
+	}
+
+
+	/**
+	 * Lists all the users, by userId. Requires the token of an admin.
+	 * @param {String} token 
+	 * @param {Number} limit maximum number of users. Default and maximum: MAX_USERS_LIMIT
+	 * @param {Number} skip number of users to skip
+	 * @returns promise with an object with the total count of users and the array of users of the page
+	 * @throws BAD_REQUEST if the limit isn't between 1 and MAX_USERS_LIMIT or skip is negative
+	 * @throws FORBIDDEN if the user isn't an admin
+	 */
+	async function listUsers(token, limit, skip) {
+		await authorize(token, PERMISSIONS.USERS_READ);
+
+		const info = {};
+		const isInteger = value => value !== '' && Number.isInteger(Number(value));
+
+		if (limit !== undefined && (!isInteger(limit) || limit < 1 || limit > MAX_USERS_LIMIT))
+			info.limit = `Must be an integer between 1 and ${MAX_USERS_LIMIT}`;
+		if (skip !== undefined && (!isInteger(skip) || skip < 0))
+			info.skip = "Must be a non negative integer";
+
+		if (Object.keys(info).length > 0) throw errors.BAD_REQUEST(info);
+
+		return await data_int.listUsers(limit !== undefined ? Number(limit) : MAX_USERS_LIMIT, Number(skip || 0));
+	}
+
+
+	/**
+	 * Changes the role of a user and/or disables or enables the account. Requires the token of an admin.
+	 * Disabled users can't login nor use their tokens. An admin can't change its own account, so it can't lock itself out.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {Boolean} disabled 
+	 * @param {String} role 
+	 * @returns promise with an object with the user information
+	 * @throws BAD_REQUEST if the role is unknown, or the user is the admin
+	 * @throws FORBIDDEN if the user isn't an admin
+	 * @throws NOT_FOUND if the user doesn't exist
+	 */
+	async function updateUser(token, userId, disabled, role) {
+		checkBadRequest({
+			body: {
+				disabled: { value: disabled, type: 'boolean', required: false },
+				role: { value: role, type: 'string', required: false }
+			}
+		});
+		const admin = await authorize(token, PERMISSIONS.USERS_MANAGE);
+
+		if (role !== undefined && !ROLES.includes(role))
+			throw errors.BAD_REQUEST({ role: `Must be one of: ${ROLES.join(', ')}` });
+		if (userId == admin.userId)
+			throw errors.BAD_REQUEST({ userId: "An admin can't change its own account" });
+
+		const fields = {};
+		if (disabled !== undefined) fields.disabled = disabled;
+		if (role !== undefined) fields.role = role;
+
+		return await data_int.updateUser(userId, fields);
+	}
+
+
+	return {
+		getPopularGames,
+		searchGamesByName,
+		getMechanics,
+		getCategories,
+		getGamesByIds,
+		getGamesCacheStats,
+		clearGamesCache,
+
+		createNewUser,
+		getUser,
+		getProfile,
+		updateProfile,
+		deleteUser,
+		login,
+		listTokens,
+		createToken,
+		revokeToken,
+		rotateToken,
+		changePassword,
+		requestPasswordReset,
+		resetPassword,
+		createGroup,
 		editGroup,
 		listUserGroups,
 		deleteGroup,
 		getGroupDetails,
+		exportGroups,
+		importGroups,
+		importBggCollection,
 		getGameDetails,
 		addGameToGroup,
 		removeGameFromGroup,
+		listGroupGames,
+		getGroupGame,
+		updateGroupGame,
+		addGamePlay,
+
+		getUserStats,
+		getRecommendations,
+
+		listCollection,
+		getCollectionGame,
+		setCollectionGame,
+		removeCollectionGame,
+
+		setGroupMember,
+		listGroupMembers,
+		removeGroupMember,
+		listSharedGroups,
+		createShareLink,
+		getShareLink,
+		revokeShareLink,
+		getSharedGroup,
+
+		listUsers,
+		updateUser,
 
 		checkCredentials
 	};
@@ -6,6 +6,13 @@ const openApiUi = require('swagger-ui-express');
 const openApiSpec = require('./docs/borga-api-spec.json');
 const errors = require('./borga-errors');
 
+const SEARCH_FILTERS = [
+	"players", "playtime", "age", "year_published", "publisher", "designer", "mechanic", "category", "gt_price", "lt_price"
+];
+
+// Maximum size of an uploaded BoardGameGeek collection export
+const BGG_UPLOAD_LIMIT = '2mb';
+
 
 module.exports = function (services) {
 
@@ -49,6 +56,9 @@ module.exports = function (services) {
 			case 'UNAUTHENTICATED':
 				res.status(401);
 				break;
+			case 'FORBIDDEN':
+				res.status(403);
+				break;
 			case 'NOT_FOUND':
 				res.status(404);
 				break;
@@ -87,6 +97,8 @@ module.exports = function (services) {
 					for (const param in req.query) {
 						if (!schema.query.params.includes(param))
 							info[param] = "unknown query parameter";
+						else if ((schema.query.numbers || []).includes(param) && isNaN(Number(req.query[param])))
+							info[param] = "wrong type. expected number";
 					}
 				}
 
@@ -136,7 +148,23 @@ module.exports = function (services) {
 
 
 	/**
-	 * Sends as response an object containing an array of games obtained given a name and other optional filter params.
+	 * Builds the link to another page of the games search, keeping the query params of the request.
+	 * @param {Object} req 
+	 * @param {Number} skip number of games to skip in the linked page
+	 * @returns the link to the page
+	 */
+	function getSearchPageLink(req, skip) {
+		const query = new URLSearchParams(req.query);
+		query.delete('page');
+		query.set('skip', skip);
+
+		return `${req.baseUrl}${req.path}?${query}`;
+	}
+
+
+	/**
+	 * Sends as response an object containing a page of the games obtained given a name and other optional filter params,
+	 * with the total count of games found and the links to the next and previous pages (null if there is no such page).
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
@@ -145,10 +173,22 @@ module.exports = function (services) {
 		const limit = req.query.limit;
 		const order_by = req.query.order_by;
 		const ascending = req.query.ascending;
+		const skip = req.query.skip;
+		const page = req.query.page;
+		const filters = Object.fromEntries(SEARCH_FILTERS.map(filter => [filter, req.query[filter]]));
 
 		try {
-			const games = await services.searchGamesByName(gameName, limit, order_by, ascending);
-			res.json({ games });
+			const result = await services.searchGamesByName(gameName, limit, order_by, ascending, filters, skip, page);
+			res.json({
+				count: result.count,
+				next: (result.skip + result.limit < result.count)
+					? getSearchPageLink(req, result.skip + result.limit)
+					: null,
+				prev: (result.skip > 0)
+					? getSearchPageLink(req, Math.max(result.skip - result.limit, 0))
+					: null,
+				games: result.games
+			});
 		} catch (err) {
 			onError(res, err);
 		}
@@ -172,6 +212,55 @@ module.exports = function (services) {
 	}
 
 
+	/**
+	 * Sends as response an object containing the games with the given comma separated ids and the ids that weren't found.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getGamesByIds(req, res) {
+		const gameIds = [].concat(req.query.ids).join(',').split(',').map(gameId => gameId.trim());
+
+		try {
+			const games = await services.getGamesByIds(gameIds);
+			res.json(games);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response an object containing the statistics of the games cache.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getGamesCacheStats(req, res) {
+		try {
+			const stats = await services.getGamesCacheStats();
+			res.json({ cache: stats });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Clears the games cache. In case of success, sends as response an object with the statistics before clearing.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function clearGamesCache(req, res) {
+		const token = getUserToken(req);
+
+		try {
+			const stats = await services.clearGamesCache(token);
+			res.json({ "Cleared cache": stats });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
 	/**
 	 * Creates a new user. In case of success, sends as response an object with the new user's information.
 	 * @param {Object} req 
@@ -192,19 +281,17 @@ module.exports = function (services) {
 
 
 	/**
-	 * Creates a new group. In case of success, sends as response an object with the name of the created group.
+	 * Sends as response the profile of the specified user.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function createGroup(req, res) {
+	async function getProfile(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
-		const groupName = req.body.groupName;
-		const groupDescription = req.body.groupDescription;
 
 		try {
-			const groupInfo = await services.createGroup(token, userId, groupName, groupDescription);
-			res.json({ "Created group": groupInfo });
+			const profile = await services.getProfile(token, userId);
+			res.json(profile);
 		} catch (err) {
 			onError(res, err);
 		}
@@ -212,20 +299,18 @@ module.exports = function (services) {
 
 
 	/**
-	 * Edits a group with the specified parameters. In case of success, sends as response an object with the new name of the edited group.
+	 * Changes the profile of a user. In case of success, sends as response an object with the new user information.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function editGroup(req, res) {
+	async function updateProfile(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
-		const groupId = req.params.groupId;
-		const newGroupName = req.body.newGroupName;
-		const newGroupDescription = req.body.newGroupDescription;
+		const userName = req.body.userName;
 
 		try {
-			const groupInfo = await services.editGroup(token, userId, groupId, newGroupName, newGroupDescription);
-			res.json({ "Edited group": groupInfo });
+			const userInfo = await services.updateProfile(token, userId, userName);
+			res.json({ "Updated user": userInfo });
 		} catch (err) {
 			onError(res, err);
 		}
@@ -233,17 +318,17 @@ module.exports = function (services) {
 
 
 	/**
-	 * Sends as response the list of all groups of the specified user.
+	 * Deletes a user account, with all its groups and tokens. In case of success, sends as response an object with the deleted user information.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function listGroups(req, res) {
+	async function deleteUser(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
 
 		try {
-			const groups = await services.listUserGroups(token, userId);
-			res.json(groups);
+			const userInfo = await services.deleteUser(token, userId);
+			res.json({ "Deleted user": userInfo });
 		} catch (err) {
 			onError(res, err);
 		}
@@ -251,18 +336,18 @@ module.exports = function (services) {
 
 
 	/**
-	 * Deletes a group. In case of success, sends as response an object with the name of the deleted group.
+	 * Sends as response an object containing the members of a group.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function deleteGroup(req, res) {
+	async function listGroupMembers(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
 		const groupId = req.params.groupId;
 
 		try {
-			const groupInfo = await services.deleteGroup(token, userId, groupId);
-			res.json({ "Deleted group": groupInfo });
+			const members = await services.listGroupMembers(token, userId, groupId);
+			res.json(members);
 		} catch (err) {
 			onError(res, err);
 		}
@@ -270,18 +355,20 @@ module.exports = function (services) {
 
 
 	/**
-	 * Sends as response an object containing the details of the specified group. 
+	 * Adds a member to a group, or changes its role. In case of success, sends as response an object with the member id and role.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function getGroupDetails(req, res) {
+	async function setGroupMember(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
 		const groupId = req.params.groupId;
+		const memberId = req.params.memberId;
+		const role = req.body.role;
 
 		try {
-			const details = await services.getGroupDetails(token, userId, groupId);
-			res.json(details);
+			const member = await services.setGroupMember(token, userId, groupId, memberId, role);
+			res.json({ "Set member": member });
 		} catch (err) {
 			onError(res, err);
 		}
@@ -289,19 +376,19 @@ module.exports = function (services) {
 
 
 	/**
-	 * Adds a game to a group. In case of success, sends as response an object with the name of the added game.
+	 * Removes a member from a group. In case of success, sends as response an object with the removed member id and role.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function addGameToGroup(req, res) {
+	async function removeGroupMember(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
 		const groupId = req.params.groupId;
-		const gameId = req.body.gameId;
+		const memberId = req.params.memberId;
 
 		try {
-			const addedGame = await services.addGameToGroup(token, userId, groupId, gameId);
-			res.json({ "Added game": addedGame });
+			const member = await services.removeGroupMember(token, userId, groupId, memberId);
+			res.json({ "Removed member": member });
 		} catch (err) {
 			onError(res, err);
 		}
@@ -309,97 +396,932 @@ module.exports = function (services) {
 
 
 	/**
-	 * Removes a game from a group. In case of success, sends as response an object with the name of the removed game.
+	 * Sends as response an object containing the groups of other users shared with the user.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	async function removeGameFromGroup(req, res) {
+	async function listSharedGroups(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+
+		try {
+			const groups = await services.listSharedGroups(token, userId);
+			res.json(groups);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Creates a public link to a group, replacing the previous one. In case of success, sends as response an object with the link slug.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function createShareLink(req, res) {
 		const token = getUserToken(req);
 		const userId = req.params.userId;
 		const groupId = req.params.groupId;
-		const gameId = req.params.gameId;
 
 		try {
-			const name = await services.removeGameFromGroup(token, userId, groupId, gameId);
-			res.json({ "Removed game": name });
+			const shareLink = await services.createShareLink(token, userId, groupId);
+			res.json({ "Created share link": shareLink });
 		} catch (err) {
 			onError(res, err);
 		}
 	}
 
+
 	/**
-	 * Extracts the bearer token in the requests and executes the callback function.
+	 * Sends as response an object containing the public link to a group.
 	 * @param {Object} req 
 	 * @param {Object} res 
-	 * @param {Function} next 
 	 */
-	function extractToken(req, res, next) {
-		const bearerToken = getBearerToken(req);
+	async function getShareLink(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
 
-		if (bearerToken)
-			req.user = { token: bearerToken }
+		try {
+			const shareLink = await services.getShareLink(token, userId, groupId);
+			res.json(shareLink);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
 
-		next();
+
+	/**
+	 * Revokes the public link to a group. In case of success, sends as response an object with the revoked link slug.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function revokeShareLink(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+
+		try {
+			const shareLink = await services.revokeShareLink(token, userId, groupId);
+			res.json({ "Revoked share link": shareLink });
+		} catch (err) {
+			onError(res, err);
+		}
 	}
 
 
-	const router = express.Router();
+	/**
+	 * Sends as response an object containing a group shared by a public link. No token is needed.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getSharedGroup(req, res) {
+		const slug = req.params.slug;
+		const expand = req.query.expand;
 
-	router.use('/docs', openApiUi.serve);
-	router.get('/docs', openApiUi.setup(openApiSpec));
+		try {
+			const group = await services.getSharedGroup(slug, expand);
+			res.json(group);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
 
-	router.use(express.json());
-	router.use(extractToken);
 
+	/**
+	 * Sends as response an object containing a page of all the users. Only for admins.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function listUsers(req, res) {
+		const token = getUserToken(req);
+		const limit = req.query.limit;
+		const skip = req.query.skip;
 
-	// Games 
-	router.get('/games/popular', getPopularGames);
+		try {
+			const users = await services.listUsers(token, limit, skip);
+			res.json(users);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
 
-	router.get('/games/search', validateRequest({
-		query: {
-			params: ["gameName", "limit", "order_by", "ascending"],
-			required: ["gameName"]
+
+	/**
+	 * Changes the role of a user and/or disables or enables its account. Only for admins.
+	 * In case of success, sends as response an object with the user information.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function updateUser(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const disabled = req.body.disabled;
+		const role = req.body.role;
+
+		try {
+			const userInfo = await services.updateUser(token, userId, disabled, role);
+			res.json({ "Updated user": userInfo });
+		} catch (err) {
+			onError(res, err);
 		}
-	}), searchGamesByName);
+	}
 
-	router.get('/games/:gameId', getGameDetails);
 
-	// User 
-	router.post('/user', validateRequest({
-		body: {
-			userId: { type: "string", required: true },
-			userName: { type: "string", required: true },
-			password: { type: "string", required: true }
+	/**
+	 * Changes the password of a user. In case of success, sends as response an object with a new token,
+	 * since all the others are revoked.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function changePassword(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const oldPassword = req.body.oldPassword;
+		const newPassword = req.body.newPassword;
+
+		try {
+			const userInfo = await services.changePassword(token, userId, oldPassword, newPassword);
+			res.json({ "Changed password": userInfo });
+		} catch (err) {
+			onError(res, err);
 		}
-	}), createNewUser);
+	}
 
-	router.post('/user/:userId/groups', validateRequest({
-		body: {
-			groupName: { type: "string", required: true },
-			groupDescription: { type: "string", required: true }
+
+	/**
+	 * Requests a password reset code, sent to the user outbox. The response is the same whether the user exists or not.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function requestPasswordReset(req, res) {
+		const userId = req.params.userId;
+
+		try {
+			await services.requestPasswordReset(userId);
+			res.json({ "Requested password reset": userId });
+		} catch (err) {
+			onError(res, err);
 		}
-	}), createGroup);
+	}
 
-	router.post('/user/:userId/groups/:groupId', validateRequest({
-		body: {
-			newGroupName: { type: "string", required: false },
-			newGroupDescription: { type: "string", required: false }
+
+	/**
+	 * Sets a new password with a password reset code. In case of success, sends as response an object with a new token,
+	 * since all the others are revoked.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function resetPassword(req, res) {
+		const userId = req.params.userId;
+		const code = req.body.code;
+		const newPassword = req.body.newPassword;
+
+		try {
+			const userInfo = await services.resetPassword(userId, code, newPassword);
+			res.json({ "Changed password": userInfo });
+		} catch (err) {
+			onError(res, err);
 		}
-	}), editGroup);
+	}
 
-	router.get('/user/:userId/groups', listGroups);
 
-	router.delete('/user/:userId/groups/:groupId', deleteGroup);
+	/**
+	 * Sends as response the list of tokens of the specified user, without the tokens themselves.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function listTokens(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+
+		try {
+			const tokens = await services.listTokens(token, userId);
+			res.json(tokens);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
 
-	router.get('/user/:userId/groups/:groupId', getGroupDetails);
 
-	router.post('/user/:userId/groups/:groupId/games', validateRequest({
-		body: {
-			gameId: { type: "string", required: true }
+	/**
+	 * Creates a new token. In case of success, sends as response an object with the new token and its information.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function createToken(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const name = req.body.name;
+		const expiresInDays = req.body.expiresInDays;
+
+		try {
+			const tokenInfo = await services.createToken(token, userId, name, expiresInDays);
+			res.json({ "Created token": tokenInfo });
+		} catch (err) {
+			onError(res, err);
 		}
-	}), addGameToGroup);
+	}
 
-	router.delete('/user/:userId/groups/:groupId/games/:gameId', removeGameFromGroup);
+
+	/**
+	 * Revokes a token. In case of success, sends as response an object with the information of the revoked token.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function revokeToken(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const tokenId = req.params.tokenId;
+
+		try {
+			const tokenInfo = await services.revokeToken(token, userId, tokenId);
+			res.json({ "Revoked token": tokenInfo });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Rotates a token, revoking it. In case of success, sends as response an object with the new token and its information.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function rotateToken(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const tokenId = req.params.tokenId;
+
+		try {
+			const tokenInfo = await services.rotateToken(token, userId, tokenId);
+			res.json({ "Created token": tokenInfo });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Creates a new group. In case of success, sends as response an object with the name of the created group.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function createGroup(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupName = req.body.groupName;
+		const groupDescription = req.body.groupDescription;
+
+		try {
+			const groupInfo = await services.createGroup(token, userId, groupName, groupDescription);
+			res.json({ "Created group": groupInfo });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Edits a group with the specified parameters. In case of success, sends as response an object with the new name of the edited group.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function editGroup(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const newGroupName = req.body.newGroupName;
+		const newGroupDescription = req.body.newGroupDescription;
+
+		try {
+			const groupInfo = await services.editGroup(token, userId, groupId, newGroupName, newGroupDescription);
+			res.json({ "Edited group": groupInfo });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response the list of groups of the specified user, sorted by name and then by id.
+	 * With a limit, only a page of groups is sent, along with the cursor to the next page.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function listGroups(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const limit = req.query.limit;
+		const cursor = req.query.cursor;
+		const skip = req.query.skip;
+
+		try {
+			const groups = await services.listUserGroups(token, userId, limit, cursor, skip);
+			res.json(groups);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Deletes a group. In case of success, sends as response an object with the name of the deleted group.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function deleteGroup(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+
+		try {
+			const groupInfo = await services.deleteGroup(token, userId, groupId);
+			res.json({ "Deleted group": groupInfo });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response an object containing the details of the specified group. 
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getGroupDetails(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const expand = req.query.expand;
+
+		try {
+			const details = await services.getGroupDetails(token, userId, groupId, expand);
+			res.json(details);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response the groups of the user with their games, in JSON or as a CSV file.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function exportGroups(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const format = req.query.format || 'json';
+
+		try {
+			const exported = await services.exportGroups(token, userId, format);
+			if (format == 'csv')
+				res.attachment('groups.csv').send(exported);
+			else
+				res.json(exported);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Imports groups from the request body, in JSON or CSV (with the text/csv content type).
+	 * Sends as response an object with the imported groups and the errors of each row that wasn't imported.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function importGroups(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const format = req.query.format || 'json';
+		const dryRun = req.query.dryRun == 'true';
+
+		try {
+			const report = await services.importGroups(token, userId, format, req.body, dryRun);
+			res.json(report);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Imports the BoardGameGeek collection export in the request body (with the text/xml content type) into a new group.
+	 * Sends as response an object with the new group, the matched titles and the titles to review.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function importBggCollection(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupName = req.query.groupName;
+
+		try {
+			const report = await services.importBggCollection(token, userId, req.body, groupName);
+			res.json({ "Imported collection": report });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Adds a game to a group. In case of success, sends as response an object with the name of the added game.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function addGameToGroup(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.body.gameId;
+
+		try {
+			const addedGame = await services.addGameToGroup(token, userId, groupId, gameId);
+			res.json({ "Added game": addedGame });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Removes a game from a group. In case of success, sends as response an object with the name of the removed game.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function removeGameFromGroup(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.params.gameId;
+
+		try {
+			const name = await services.removeGameFromGroup(token, userId, groupId, gameId);
+			res.json({ "Removed game": name });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response an object with the games of a group, with their rating, notes, date added and plays.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function listGroupGames(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+
+		try {
+			const games = await services.listGroupGames(token, userId, groupId);
+			res.json(games);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response a game of a group, with its rating, notes, date added and plays.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getGroupGame(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.params.gameId;
+
+		try {
+			const groupGame = await services.getGroupGame(token, userId, groupId, gameId);
+			res.json(groupGame);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Rates a game of a group and/or changes its notes. In case of success, sends as response the updated game.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function updateGroupGame(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.params.gameId;
+		const rating = req.body.rating;
+		const notes = req.body.notes;
+
+		try {
+			const groupGame = await services.updateGroupGame(token, userId, groupId, gameId, rating, notes);
+			res.json({ "Updated game": groupGame });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Logs a play of a game of a group. In case of success, sends as response the added play.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function addGamePlay(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.params.gameId;
+		const date = req.body.date;
+		const players = req.body.players;
+		const winner = req.body.winner;
+		const duration = req.body.duration;
+
+		try {
+			const play = await services.addGamePlay(token, userId, groupId, gameId, date, players, winner, duration);
+			res.json({ "Added play": play });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+	/**
+	 * Sends as response an object with the statistics of the games in the groups of the user.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getUserStats(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+
+		try {
+			const stats = await services.getUserStats(token, userId);
+			res.json(stats);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response an object with the games the user might like, based on the games of its groups.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getRecommendations(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+
+		try {
+			const recommendations = await services.getRecommendations(token, userId);
+			res.json(recommendations);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response an object with the games of the collection of the user, optionally only the ones with a status.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function listCollection(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const status = req.query.status;
+
+		try {
+			const collection = await services.listCollection(token, userId, status);
+			res.json(collection);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sends as response a game of the collection of the user, with its status.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function getCollectionGame(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const gameId = req.params.gameId;
+
+		try {
+			const collectionGame = await services.getCollectionGame(token, userId, gameId);
+			res.json(collectionGame);
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Sets the status of a game in the collection of the user. In case of success, sends as response the collection game.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function setCollectionGame(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const gameId = req.params.gameId;
+		const status = req.body.status;
+
+		try {
+			const collectionGame = await services.setCollectionGame(token, userId, gameId, status);
+			res.json({ "Set status": collectionGame });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Removes a game from the collection of the user. In case of success, sends as response the removed collection game.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function removeCollectionGame(req, res) {
+		const token = getUserToken(req);
+		const userId = req.params.userId;
+		const gameId = req.params.gameId;
+
+		try {
+			const collectionGame = await services.removeCollectionGame(token, userId, gameId);
+			res.json({ "Removed game": collectionGame });
+		} catch (err) {
+			onError(res, err);
+		}
+	}
+
+
+	/**
+	 * Extracts the bearer token in the requests and executes the callback function.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 * @param {Function} next 
+	 */
+	function extractToken(req, res, next) {
+		const bearerToken = getBearerToken(req);
+
+		if (bearerToken)
+			req.user = { token: bearerToken }
+
+		next();
+	}
+
+
+	const router = express.Router();
+
+	router.use('/docs', openApiUi.serve);
+	router.get('/docs', openApiUi.setup(openApiSpec));
+
+	router.use(express.json());
+	router.use(extractToken);
+
+
+	// Games 
+	router.get('/games', validateRequest({
+		query: {
+			params: ["ids"],
+			required: ["ids"]
+		}
+	}), getGamesByIds);
+
+	router.get('/games/popular', getPopularGames);
+
+	router.get('/games/search', validateRequest({
+		query: {
+			params: ["gameName", "limit", "order_by", "ascending", "skip", "page", ...SEARCH_FILTERS],
+			required: ["gameName"],
+			numbers: ["limit", "skip", "page", "players", "playtime", "age", "year_published", "gt_price", "lt_price"]
+		}
+	}), searchGamesByName);
+
+	router.get('/games/cache', getGamesCacheStats);
+
+	router.delete('/games/cache', clearGamesCache);
+
+	router.get('/games/:gameId', getGameDetails);
+
+	// User 
+	router.post('/user', validateRequest({
+		body: {
+			userId: { type: "string", required: true },
+			userName: { type: "string", required: true },
+			password: { type: "string", required: true }
+		}
+	}), createNewUser);
+
+	router.get('/user/:userId', getProfile);
+
+	router.patch('/user/:userId', validateRequest({
+		body: {
+			userName: { type: "string", required: true }
+		}
+	}), updateProfile);
+
+	router.delete('/user/:userId', deleteUser);
+
+	router.put('/user/:userId/password', validateRequest({
+		body: {
+			oldPassword: { type: "string", required: true },
+			newPassword: { type: "string", required: true }
+		}
+	}), changePassword);
+
+	router.post('/user/:userId/password/reset', requestPasswordReset);
+
+	router.put('/user/:userId/password/reset', validateRequest({
+		body: {
+			code: { type: "string", required: true },
+			newPassword: { type: "string", required: true }
+		}
+	}), resetPassword);
+
+	router.get('/user/:userId/tokens', listTokens);
+
+	router.post('/user/:userId/tokens', validateRequest({
+		body: {
+			name: { type: "string", required: true },
+			expiresInDays: { type: "number", required: false }
+		}
+	}), createToken);
+
+	router.delete('/user/:userId/tokens/:tokenId', revokeToken);
+
+	router.post('/user/:userId/tokens/:tokenId/rotate', rotateToken);
+
+	router.post('/user/:userId/groups', validateRequest({
+		body: {
+			groupName: { type: "string", required: true },
+			groupDescription: { type: "string", required: true }
+		}
+	}), createGroup);
+
+	router.get('/user/:userId/groups/export', validateRequest({
+		query: {
+			params: ["format"],
+			required: []
+		}
+	}), exportGroups);
+
+	router.post('/user/:userId/groups/import', express.text({ type: 'text/csv' }), validateRequest({
+		query: {
+			params: ["format", "dryRun"],
+			required: []
+		}
+	}), importGroups);
+
+	router.post('/user/:userId/groups/bgg', express.text({ type: ['text/xml', 'application/xml'], limit: BGG_UPLOAD_LIMIT }), validateRequest({
+		query: {
+			params: ["groupName"],
+			required: []
+		}
+	}), importBggCollection);
+
+	router.post('/user/:userId/groups/:groupId', validateRequest({
+		body: {
+			newGroupName: { type: "string", required: false },
+			newGroupDescription: { type: "string", required: false }
+		}
+	}), editGroup);
+
+	router.get('/user/:userId/groups', validateRequest({
+		query: {
+			params: ["limit", "cursor", "skip"],
+			required: [],
+			numbers: ["limit", "skip"]
+		}
+	}), listGroups);
+
+	router.delete('/user/:userId/groups/:groupId', deleteGroup);
+
+	router.get('/user/:userId/groups/:groupId', validateRequest({
+		query: {
+			params: ["expand"],
+			required: []
+		}
+	}), getGroupDetails);
+
+	router.post('/user/:userId/groups/:groupId/games', validateRequest({
+		body: {
+			gameId: { type: "string", required: true }
+		}
+	}), addGameToGroup);
+
+	router.get('/user/:userId/groups/:groupId/games', listGroupGames);
+
+	router.get('/user/:userId/groups/:groupId/games/:gameId', getGroupGame);
+
+	router.patch('/user/:userId/groups/:groupId/games/:gameId', validateRequest({
+		body: {
+			rating: { type: "number", required: false },
+			notes: { type: "string", required: false }
+		}
+	}), updateGroupGame);
+
+	// Logs a play of the game
+	router.post('/user/:userId/groups/:groupId/games/:gameId', validateRequest({
+		body: {
+			date: { type: "string", required: true },
+			players: { type: "object", required: false },
+			winner: { type: "string", required: false },
+			duration: { type: "number", required: false }
+		}
+	}), addGamePlay);
+
+	router.delete('/user/:userId/groups/:groupId/games/:gameId', removeGameFromGroup);
+
+	router.get('/user/:userId/groups/:groupId/members', listGroupMembers);
+
+	router.put('/user/:userId/groups/:groupId/members/:memberId', validateRequest({
+		body: {
+			role: { type: "string", required: true }
+		}
+	}), setGroupMember);
+
+	router.delete('/user/:userId/groups/:groupId/members/:memberId', removeGroupMember);
+
+	router.get('/user/:userId/shared', listSharedGroups);
+
+	router.post('/user/:userId/groups/:groupId/share', createShareLink);
+
+	router.get('/user/:userId/groups/:groupId/share', getShareLink);
+
+	router.delete('/user/:userId/groups/:groupId/share', revokeShareLink);
+
+	router.get('/user/:userId/stats', getUserStats);
+
+	router.get('/user/:userId/recommendations', getRecommendations);
+
+	router.get('/user/:userId/collection', validateRequest({
+		query: {
+			params: ["status"],
+			required: []
+		}
+	}), listCollection);
+
+	router.get('/user/:userId/collection/:gameId', getCollectionGame);
+
+	router.put('/user/:userId/collection/:gameId', validateRequest({
+		body: {
+			status: { type: "string", required: true }
+		}
+	}), setCollectionGame);
+
+	router.delete('/user/:userId/collection/:gameId', removeCollectionGame);
+
+	// Shared groups 
+	router.get('/shared/:slug', validateRequest({
+		query: {
+			params: ["expand"],
+			required: []
+		}
+	}), getSharedGroup);
+
+	// Admin 
+	router.get('/admin/users', validateRequest({
+		query: {
+			params: ["limit", "skip"],
+			required: [],
+			numbers: ["limit", "skip"]
+		}
+	}), listUsers);
+
+	router.patch('/admin/users/:userId', validateRequest({
+		body: {
+			disabled: { type: "boolean", required: false },
+			role: { type: "string", required: false }
+		}
+	}), updateUser);
+
+	// The groups of any user, with the same handlers of the user routes: the admin permissions allow it
+	router.get('/admin/users/:userId/groups', validateRequest({
+		query: {
+			params: ["limit", "cursor", "skip"],
+			required: [],
+			numbers: ["limit", "skip"]
+		}
+	}), listGroups);
+
+	router.get('/admin/users/:userId/groups/:groupId', validateRequest({
+		query: {
+			params: ["expand"],
+			required: []
+		}
+	}), getGroupDetails);
+
+	router.delete('/admin/users/:userId/groups/:groupId', deleteGroup);
 
 
 	// URI Not Found
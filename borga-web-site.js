@@ -4,6 +4,20 @@
 const express = require('express');
 
 
+/**
+ * Statuses of the games of a collection, with the labels shown in the pages.
+ */
+const COLLECTION_STATUSES = {
+	"owned": "Owned",
+	"wishlist": "Wishlist",
+	"want-to-play": "Want to Play",
+	"previously-owned": "Previously Owned"
+};
+
+// Maximum size of the form with an uploaded BoardGameGeek collection export
+const BGG_UPLOAD_LIMIT = '2mb';
+
+
 module.exports = function (services) {
 
 
@@ -41,6 +55,9 @@ module.exports = function (services) {
 			case 'UNAUTHENTICATED':
 				res.status(401);
 				break;
+			case 'FORBIDDEN':
+				res.status(403);
+				break;
 			case 'NOT_FOUND':
 				res.status(404);
 				break;
@@ -55,27 +72,87 @@ module.exports = function (services) {
 				console.log(error);
 				res.status(500);
 		}
-		res.render('error', { error });
+		res.render('error', { error, extServiceFail: error.name == 'EXT_SVC_FAIL' });
 	}
 
 
 	/**
-	 * Gets the home page.
+	 * Gets the home page, with the games the logged in user might like.
+	 * If they can't be got, e.g. because the games provider is down, the page is shown without them.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	function getHomepage(req, res) {
-		res.render('home', { user: req.user });
+	async function getHomepage(req, res) {
+		let recommendations = null;
+
+		if (req.user) {
+			try {
+				recommendations = (await services.getRecommendations(getBearerToken(req), getUserId(req))).games;
+			} catch (error) {
+				console.log(error);
+			}
+		}
+
+		res.render('home', { recommendations, user: req.user });
 	}
 
 
 	/**
-	 * Gets the search page.
+	 * Gets the search page, with the mechanics and categories that can be used as filters.
+	 * If they can't be got, e.g. because the games provider is down, the page is shown without them,
+	 * so games can still be searched by name.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
-	function getSearchPage(req, res) {
-		res.render('search', { user: req.user });
+	async function getSearchPage(req, res) {
+		let mechanics = [];
+		let categories = [];
+
+		try {
+			[mechanics, categories] = await Promise.all([services.getMechanics(), services.getCategories()]);
+		} catch (error) {
+			console.log(error);
+		}
+
+		res.render('search', { mechanics, categories, user: req.user });
+	}
+
+
+	/**
+	 * Gets the groups the logged in user can add games to: its own groups and the groups shared with it as editor.
+	 * @param {Object} req 
+	 * @returns promise with an array of groups, each with its owner. Empty if no user is logged in
+	 */
+	async function getEditableGroups(req) {
+		if (!req.user) return [];
+
+		const token = getBearerToken(req);
+		const userId = getUserId(req);
+
+		const groups = (await services.listUserGroups(token, userId)).groups.map(group => ({ ...group, owner: userId }));
+		const shared = (await services.listSharedGroups(token, userId)).groups.filter(group => group.role == 'editor');
+
+		return [...groups, ...shared];
+	}
+
+
+	/**
+	 * Gets the statuses a game can have in the collection of the logged in user, marking the current one.
+	 * @param {Object} req 
+	 * @param {String} gameId 
+	 * @returns promise with an array of statuses, each with its value and label. Empty if no user is logged in
+	 */
+	async function getCollectionStatuses(req, gameId) {
+		if (!req.user) return [];
+
+		let current = null;
+		try {
+			current = (await services.getCollectionGame(getBearerToken(req), getUserId(req), gameId)).status;
+		} catch (error) {
+			if (error.name != 'NOT_FOUND') throw error;
+		}
+
+		return Object.entries(COLLECTION_STATUSES).map(([value, label]) => ({ value, label, current: value == current }));
 	}
 
 
@@ -88,10 +165,10 @@ module.exports = function (services) {
 		const gameId = req.params.gameId;
 		try {
 			const game = await services.getGameDetails(gameId);
-			const groups = (req.user)
-				? await services.listUserGroups(getBearerToken(req), getUserId(req))
-				: {}
-			res.render('gameDetails', { header: 'Game Details', game, groups, user: req.user });
+			const groups = await getEditableGroups(req);
+			const statuses = await getCollectionStatuses(req, gameId);
+			const inCollection = statuses.some(status => status.current);
+			res.render('gameDetails', { header: 'Game Details', game, groups, statuses, inCollection, user: req.user });
 		} catch (error) {
 			onError(res, error);
 		}
@@ -106,9 +183,7 @@ module.exports = function (services) {
 	async function showPopularGames(req, res) {
 		try {
 			const games = await services.getPopularGames();
-			const groups = (req.user)
-				? await services.listUserGroups(getBearerToken(req), getUserId(req))
-				: {}
+			const groups = await getEditableGroups(req);
 
 			res.render('games', { header: 'Popular Games', games, groups, user: req.user });
 		} catch (error) {
@@ -117,6 +192,30 @@ module.exports = function (services) {
 	}
 
 
+	/**
+	 * Builds the pager of the games search, with the links to the previous and next pages.
+	 * The links keep the query params of the request.
+	 * @param {Object} req 
+	 * @param {Number} page current page, starting at 1
+	 * @param {Number} pages total number of pages
+	 * @returns object with the current page, the total of pages and the links (undefined if there is no such page)
+	 */
+	function getSearchPager(req, page, pages) {
+		const pageLink = (number) => {
+			const query = new URLSearchParams(req.query);
+			query.set('page', number);
+			return `${req.baseUrl}${req.path}?${query}`;
+		};
+
+		return {
+			page,
+			pages,
+			prev: (page > 1) ? pageLink(page - 1) : undefined,
+			next: (page < pages) ? pageLink(page + 1) : undefined
+		};
+	}
+
+
 	/**
 	 * Shows the details of the searched games.
 	 * @param {Object} req 
@@ -126,17 +225,23 @@ module.exports = function (services) {
 		const gameName = req.query.gameName;
 		const limit = req.query.limit;
 		const order_by = req.query.order_by;
+		const page = req.query.page || 1;
+		const filters = { ...req.query };
+		delete filters.gameName;
+		delete filters.limit;
+		delete filters.order_by;
+		delete filters.page;
 
 		try {
-			const games = await services.searchGamesByName(gameName, limit, order_by);
-			const groups = (req.user)
-				? await services.listUserGroups(getBearerToken(req), getUserId(req))
-				: {}
-			res.render('games', { header: 'Games', gameName, games, groups, user: req.user });
+			const result = await services.searchGamesByName(gameName, limit, order_by, undefined, filters, undefined, page);
+			const groups = await getEditableGroups(req);
+			const pager = getSearchPager(req, Number(page), Math.ceil(result.count / result.limit));
+			res.render('games', { header: 'Games', gameName, games: result.games, count: result.count, pager, groups, user: req.user });
 		} catch (error) {
 			console.log(error)
 			if (error.name == "NOT_FOUND" && error.info.gameName) {
-				res.render('error', { error, gameNameNotFound: gameName });
+				const withFilters = Object.values(filters).some(value => value);
+				res.render('error', { error, gameNameNotFound: gameName, withFilters });
 			}
 			else {
 				onError(res, error);
@@ -155,14 +260,112 @@ module.exports = function (services) {
 		const userId = req.params.userId;
 
 		try {
-			const groups = await services.listUserGroups(token, userId);
-			res.render('groups', { groups, user: req.user });
+			const groups = (await services.listUserGroups(token, userId)).groups;
+			const shared = (await services.listSharedGroups(token, userId)).groups;
+			res.render('groups', { groups, shared, user: req.user });
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Shows the statistics of the games in the groups of a user.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function showUserStats(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+
+		try {
+			const stats = await services.getUserStats(token, userId);
+			res.render('stats', { stats, user: req.user });
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Shows the collection of a user, optionally only the games with a status.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function showCollection(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const status = req.query.status || undefined;
+
+		try {
+			const games = (await services.listCollection(token, userId, status)).games
+				.map(game => ({ ...game, label: COLLECTION_STATUSES[game.status] }));
+			const statuses = Object.entries(COLLECTION_STATUSES)
+				.map(([value, label]) => ({ value, label, current: value == status }));
+
+			res.render('collection', { games, statuses, status, user: req.user });
 		} catch (error) {
 			onError(res, error);
 		}
 	}
 
 
+	/**
+	 * Sets the status of a game in the collection of a user.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function setCollectionGame(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const gameId = req.params.gameId;
+		const status = req.body.status;
+
+		try {
+			await services.setCollectionGame(token, userId, gameId, status);
+			res.redirect(`/games/${gameId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Removes a game from the collection of a user.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function removeCollectionGame(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const gameId = req.params.gameId;
+
+		try {
+			await services.removeCollectionGame(token, userId, gameId);
+			res.redirect(`/games/${gameId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Gets the public link to a group of the logged in user.
+	 * @param {String} token 
+	 * @param {String} userId 
+	 * @param {String} groupId 
+	 * @returns promise with the share link, or null if the group isn't shared
+	 */
+	async function getShareLink(token, userId, groupId) {
+		try {
+			return await services.getShareLink(token, userId, groupId);
+		} catch (error) {
+			if (error.name == 'NOT_FOUND') return null;
+			throw error;
+		}
+	}
+
+
 	/**
 	 * Shows group details.
 	 * @param {Object} req 
@@ -174,10 +377,26 @@ module.exports = function (services) {
 		const groupId = req.params.groupId;
 
 		try {
-			const group = await services.getGroupDetails(token, userId, groupId);
+			const group = await services.getGroupDetails(token, userId, groupId, 'games');
 			group.id = groupId;
 
-			res.render('groupDetails', { header: 'Group Details', group, user: req.user });
+			// Each game is shown with its rating, notes, date added and plays in the group
+			const groupGames = (await services.listGroupGames(token, userId, groupId)).games;
+			group.games = Object.fromEntries(Object.entries(group.games).map(([gameId, game]) => [
+				gameId, { ...game, groupGame: groupGames.find(groupGame => groupGame.gameId == gameId) }
+			]));
+
+			const members = (await services.listGroupMembers(token, userId, groupId)).members;
+
+			// Admins that aren't members can only see the group
+			const isOwner = getUserId(req) == userId;
+			const membership = members.find(member => member.userId == getUserId(req));
+			const canEditGames = isOwner || (membership && membership.role == 'editor');
+			const shareLink = isOwner ? await getShareLink(token, userId, groupId) : null;
+
+			res.render('groupDetails', {
+				header: 'Group Details', group, owner: userId, members, isOwner, membership, canEditGames, shareLink, user: req.user
+			});
 		} catch (error) {
 			onError(res, error);
 		}
@@ -204,6 +423,28 @@ module.exports = function (services) {
 	}
 
 
+	/**
+	 * Imports an uploaded BoardGameGeek collection export into a new group,
+	 * and shows the matched titles and the ones to review, each with the url to search for its title.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function importBggCollection(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const xml = req.body.xml;
+		const groupName = req.body.groupName || undefined;
+
+		try {
+			const report = await services.importBggCollection(token, userId, xml, groupName);
+			report.review = report.review.map(item => ({ ...item, searchUrl: `/games?gameName=${encodeURIComponent(item.title)}` }));
+			res.render('bggImport', { report, user: req.user });
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
 	/**
 	 * Edits a group.
 	 * @param {Object} req 
@@ -225,6 +466,82 @@ module.exports = function (services) {
 	}
 
 
+	/**
+	 * Creates a public link to a group, replacing the previous one.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function createShareLink(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+
+		try {
+			await services.createShareLink(token, userId, groupId);
+			res.redirect(`/user/${userId}/groups/${groupId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Revokes the public link to a group.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function revokeShareLink(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+
+		try {
+			await services.revokeShareLink(token, userId, groupId);
+			res.redirect(`/user/${userId}/groups/${groupId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Shows a group shared by a public link, read-only. No login is needed.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function showSharedGroup(req, res) {
+		const slug = req.params.slug;
+
+		try {
+			const group = await services.getSharedGroup(slug, 'games');
+			res.render('groupDetails', { header: 'Shared Group', group, shared: true, user: req.user });
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Adds a member to a group, or changes its role.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function setGroupMember(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const memberId = req.body.memberId;
+		const role = req.body.role;
+
+		try {
+			await services.setGroupMember(token, userId, groupId, memberId, role);
+			res.redirect(`/user/${userId}/groups/${groupId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
 	/**
 	 * Adds a game to a group.
 	 * @param {Object} req 
@@ -245,13 +562,59 @@ module.exports = function (services) {
 	}
 
 
+	/**
+	 * Rates a game of a group and changes its notes. An empty rating clears it.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function updateGroupGame(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.params.gameId;
+		const rating = req.body.rating ? Number(req.body.rating) : null;
+		const notes = req.body.notes;
+
+		try {
+			await services.updateGroupGame(token, userId, groupId, gameId, rating, notes);
+			res.redirect(`/user/${userId}/groups/${groupId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Logs a play of a game of a group. The players are given separated by commas.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function addGamePlay(req, res) {
+		const token = getBearerToken(req);
+		const userId = req.params.userId;
+		const groupId = req.params.groupId;
+		const gameId = req.params.gameId;
+		const date = req.body.date;
+		const players = (req.body.players || '').split(',').map(player => player.trim()).filter(player => player);
+		const winner = req.body.winner || undefined;
+		const duration = req.body.duration ? Number(req.body.duration) : undefined;
+
+		try {
+			await services.addGamePlay(token, userId, groupId, gameId, date, players, winner, duration);
+			res.redirect(`/user/${userId}/groups/${groupId}`);
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
 	/**
 	 * Shows the register/login page.
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
 	async function getRegisterLoginPage(req, res) {
-		res.render('register_login');
+		res.render('register_login', { user: req.user });
 	}
 
 
@@ -279,7 +642,7 @@ module.exports = function (services) {
 
 
 	/**
-	 * Logins user
+	 * Logins user, with a new session token
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
@@ -288,9 +651,7 @@ module.exports = function (services) {
 		const password = req.body.password;
 
 		try {
-			const user = await services.checkCredentials(userId, password);
-			user.userId = userId;
-			user.token = await services.getToken(userId);
+			const user = await services.login(userId, password);
 
 			req.login(user, err => {
 				if (err)
@@ -309,17 +670,108 @@ module.exports = function (services) {
 
 
 	/**
-	 * Logouts user
+	 * Logouts user, revoking the session token
 	 * @param {Object} req 
 	 * @param {Object} res 
 	 */
 	async function doLogout(req, res) {
+		if (req.user && req.user.tokenId) {
+			try {
+				await services.revokeToken(getBearerToken(req), getUserId(req), req.user.tokenId);
+			} catch (error) {
+				console.log('LOGOUT ERROR', error);
+			}
+		}
+
 		req.logout();
 		res.redirect('/');
 	}
 
 
+	/**
+	 * Gets the message to show for a failed password change or reset.
+	 * @param {Object} error BAD_REQUEST or UNAUTHENTICATED error
+	 * @returns the message
+	 */
+	function getPasswordFailure(error) {
+		if (error.name == 'UNAUTHENTICATED')
+			return typeof error.info == 'string' ? error.info : 'Wrong current password';
+
+		return Object.values(error.info).join('. ');
+	}
+
+
+	/**
+	 * Changes the password of the logged in user. All the user sessions are ended, so the user is logged out.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function changePassword(req, res) {
+		const oldPassword = req.body.oldPassword;
+		const newPassword = req.body.newPassword;
+
+		try {
+			await services.changePassword(getBearerToken(req), getUserId(req), oldPassword, newPassword);
+
+			req.logout();
+			res.render('register_login', { password_changed: true });
+		} catch (error) {
+			if (error.name == 'UNAUTHENTICATED' || error.name == 'BAD_REQUEST')
+				res.render('register_login', { user: req.user, change_failed: getPasswordFailure(error) });
+			else {
+				onError(res, error);
+			}
+		}
+	}
+
+
+	/**
+	 * Requests a password reset code, sent to the user outbox, and shows the form to use it.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function requestPasswordReset(req, res) {
+		const userId = req.body.userId;
+
+		try {
+			await services.requestPasswordReset(userId);
+			res.render('register_login', { user: req.user, reset_requested: userId });
+		} catch (error) {
+			onError(res, error);
+		}
+	}
+
+
+	/**
+	 * Sets a new password with a password reset code. All the user sessions are ended.
+	 * @param {Object} req 
+	 * @param {Object} res 
+	 */
+	async function resetPassword(req, res) {
+		const userId = req.body.userId;
+		const code = req.body.code;
+		const newPassword = req.body.newPassword;
+
+		try {
+			await services.resetPassword(userId, code, newPassword);
+
+			if (getUserId(req) == userId) req.logout();
+			res.render('register_login', { user: req.user, password_changed: true });
+		} catch (error) {
+			if (error.name == 'UNAUTHENTICATED' || error.name == 'BAD_REQUEST')
+				res.render('register_login', { user: req.user, reset_requested: userId, reset_failed: getPasswordFailure(error) });
+			else {
+				onError(res, error);
+			}
+		}
+	}
+
+
 	const router = express.Router();
+
+	// Imports a BoardGameGeek collection into a new group. Parsed before the other forms, which have a smaller size limit
+	router.post('/user/:userId/groups/bgg', express.urlencoded({ extended: true, limit: BGG_UPLOAD_LIMIT }), importBggCollection);
+
 	router.use(express.urlencoded({ extended: true }));
 
 	// Homepage
@@ -351,6 +803,14 @@ module.exports = function (services) {
 	// Register new user
 	router.post('/logout', doLogout);
 
+	// Change password
+	router.post('/password', changePassword);
+
+	// Reset password
+	router.post('/password/reset', requestPasswordReset);
+
+	router.post('/password/reset/confirm', resetPassword);
+
 
 	// Show groups
 	router.get('/user/:userId/groups', showUserGroups);
@@ -367,5 +827,32 @@ module.exports = function (services) {
 	// Adds a game to a group
 	router.post('/user/:userId/groups/:groupId/games/:gameId', addGameToGroup);
 
+	// Rates a game of a group, or logs a play of it
+	router.post('/user/:userId/groups/:groupId/games/:gameId/edit', updateGroupGame);
+
+	router.post('/user/:userId/groups/:groupId/games/:gameId/plays', addGamePlay);
+
+	// Adds a member to a group
+	router.post('/user/:userId/groups/:groupId/members', setGroupMember);
+
+	// Creates or revokes the public link to a group
+	router.post('/user/:userId/groups/:groupId/share', createShareLink);
+
+	router.post('/user/:userId/groups/:groupId/share/revoke', revokeShareLink);
+
+	// Show the statistics of a user
+	router.get('/user/:userId/stats', showUserStats);
+
+	// Show the collection of a user
+	router.get('/user/:userId/collection', showCollection);
+
+	// Sets the status of a game in the collection, or removes it
+	router.post('/user/:userId/collection/:gameId', setCollectionGame);
+
+	router.post('/user/:userId/collection/:gameId/remove', removeCollectionGame);
+
+	// Show a group shared by a public link
+	router.get('/shared/:slug', showSharedGroup);
+
 	return router;
 };
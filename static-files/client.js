@@ -11,6 +11,9 @@ function setupForList() {
 
     const deleteButtons = document.querySelectorAll('.cls-del-group-btn');
     const removeButtons = document.querySelectorAll('.cls-rmv-game-btn');
+    const removeMemberButtons = document.querySelectorAll('.cls-rmv-member-btn');
+    const addReviewGameButtons = document.querySelectorAll('.cls-add-review-game-btn');
+    const bggUploadForms = document.querySelectorAll('.cls-bgg-upload-form');
 
     deleteButtons.forEach(delBtn => {
         delBtn.onclick = onDeleteGroup;
@@ -20,6 +23,18 @@ function setupForList() {
         rmvBtn.onclick = onRemoveGame;
     });
 
+    removeMemberButtons.forEach(rmvBtn => {
+        rmvBtn.onclick = onRemoveMember;
+    });
+
+    addReviewGameButtons.forEach(addBtn => {
+        addBtn.onclick = onAddReviewGame;
+    });
+
+    bggUploadForms.forEach(form => {
+        form.onsubmit = onUploadBggCollection;
+    });
+
     return;
 
 
@@ -91,4 +106,75 @@ function setupForList() {
             rmvReqRes.status + ' ' + rmvReqRes.statusText
         );
     }
+
+
+    /**
+     * Removes a member from a group, or leaves a shared group, calling the respective API operation.
+     * The page to go to next is in the data-next attribute of the button.
+     */
+    async function onRemoveMember() {
+        const memberPath = this.id.substring(8);
+
+        try {
+            const rmvReqRes = await fetch(`/api/${memberPath}`, { method: 'DELETE' });
+
+            if (rmvReqRes.status === 200) {
+                window.location.href = this.dataset.next;
+                return;
+            }
+
+            throw Error(
+                `Failed to remove member with path ${memberPath}\n` +
+                rmvReqRes.status + ' ' + rmvReqRes.statusText
+            );
+        } catch (err) {
+            alert(err);
+        }
+    }
+
+
+    /**
+     * Adds a game of the review list of a BoardGameGeek import to the group, calling the respective API operation.
+     * The row of the title is removed from the list once the game is added.
+     */
+    async function onAddReviewGame() {
+        try {
+            const addReqRes = await fetch(`/api/${this.dataset.path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ gameId: this.dataset.gameId })
+            });
+
+            if (addReqRes.status === 200) {
+                document.getElementById(this.dataset.row).remove();
+                return;
+            }
+
+            throw Error(
+                `Failed to add game ${this.dataset.gameId}\n` +
+                addReqRes.status + ' ' + addReqRes.statusText
+            );
+        } catch (err) {
+            alert(err);
+        }
+    }
+
+
+    /**
+     * Reads the selected BoardGameGeek collection export into the form before sending it.
+     * @param {Event} event 
+     */
+    async function onUploadBggCollection(event) {
+        event.preventDefault();
+
+        const file = this.querySelector('input[type=file]').files[0];
+        if (!file) return;
+
+        try {
+            this.xml.value = await file.text();
+            this.submit();
+        } catch (err) {
+            alert(err);
+        }
+    }
 }
@@ -0,0 +1,83 @@
+'use strict';
+
+
+const fetch = require('node-fetch');
+
+const config = require('../../borga-config');
+const migrationsBuilder = require('../../borga-data-db-migrations');
+
+
+const es_url = config.es_url;
+const prefix = 'test_migrations';
+
+const migrations = migrationsBuilder(es_url, prefix);
+
+
+/**
+ * Does a request to Elasticsearch with a json body.
+ */
+const esRequest = (path, method = 'GET', body) => fetch(
+	`${es_url}${path}`,
+	{
+		method,
+		headers: { 'Content-Type': 'application/json' },
+		body: body && JSON.stringify(body)
+	}
+);
+
+/**
+ * Deletes the indices and templates created by the tests.
+ */
+const cleanUp = async () => {
+	const indices = await (await esRequest(`/_cat/indices/${prefix}_*?format=json&h=index`)).json();
+	for (const index of indices)
+		await esRequest(`/${index.index}`, 'DELETE');
+
+	await esRequest(`/_index_template/${prefix}_groups`, 'DELETE');
+	await esRequest(`/_index_template/${prefix}_group_games`, 'DELETE');
+};
+
+
+describe("Elasticsearch migrations integration tests", () => {
+	beforeAll(cleanUp);
+	afterAll(cleanUp);
+
+	test('Bootstrap migrates the indices created with dynamic mappings to the current layout', async () => {
+		await esRequest(`/${prefix}_users/_doc/user1?refresh=wait_for`, 'PUT', { userName: "User", passwordHash: "hash" });
+		await esRequest(`/${prefix}_tokens/_doc/token1?refresh=wait_for`, 'PUT', { userId: "user1" });
+		await esRequest(`/${prefix}_users_user1_groups/_doc/group1?refresh=wait_for`, 'PUT', { name: "Group", description: "" });
+		await esRequest(`/${prefix}_users_user1_groups_group1_games/_doc/game1?refresh=wait_for`, 'PUT', { name: "Catan" });
+
+		expect(await migrations.bootstrap()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+		const mapping = await (await esRequest(`/${prefix}_users/_mapping`)).json();
+		expect(mapping[`${prefix}_users`].mappings.dynamic).toEqual('strict');
+
+		const user = await (await esRequest(`/${prefix}_users/_doc/user1`)).json();
+		expect(user._source).toEqual({ userName: "User", passwordHash: "hash", userId: "user1", role: "user", disabled: false });
+
+		const token = await (await esRequest(`/${prefix}_tokens/_doc/token1`)).json();
+		expect(token._source).toMatchObject({ userId: "user1", name: "default", expiresAt: null, revoked: false });
+		expect(token._source.id).toBeTruthy();
+
+		const group = await (await esRequest(`/${prefix}_groups/_doc/user1_group1`)).json();
+		expect(group._source).toEqual({ id: "group1", owner: "user1", name: "Group", description: "" });
+
+		const game = await (await esRequest(`/${prefix}_group_games/_doc/user1_group1_game1`)).json();
+		expect(game._source).toEqual({ owner: "user1", groupId: "group1", gameId: "game1", name: "Catan" });
+
+		expect((await esRequest(`/${prefix}_users_user1_groups`, 'HEAD')).status).toEqual(404);
+		expect((await esRequest(`/${prefix}_users_user1_groups_group1_games`, 'HEAD')).status).toEqual(404);
+	});
+
+	test('Bootstrap doesn\'t run the applied migrations again', async () => {
+		expect(await migrations.bootstrap()).toEqual([]);
+		expect((await migrations.getStatus()).every(migration => migration.applied)).toEqual(true);
+	});
+
+	test('Documents with unknown fields are rejected', async () => {
+		const response = await esRequest(`/${prefix}_groups/_doc/user2_group1`, 'PUT', { nmae: "Group" });
+
+		expect(response.status).toEqual(400);
+	});
+});
@@ -12,7 +12,25 @@ const es_spec = {
 	url: config.es_url,
 	prefix: 'test'
 };
-const app = server(es_spec, config.guest, true);
+const app = server(es_spec, config.guest, { store: 'db' });
+
+beforeAll(() => require('../../borga-data-db-migrations')(es_spec.url, es_spec.prefix).bootstrap());
+
+
+/**
+ * Deletes the documents of an index matching a query, keeping the index and its mappings.
+ */
+const deleteDocs = (index, query = { match_all: {} }) => fetch(
+	`${es_spec.url}/${es_spec.prefix}_${index}/_delete_by_query?refresh=true`,
+	{
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ query })
+	}
+);
+
+// Query that matches the documents owned by the guest user
+const guestDocs = { term: { owner: config.guest.id } };
 
 
 test('Confirm database is running', async () => {
@@ -252,10 +270,7 @@ describe("Groups integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 	test('Create Group without groupName or groupDescription replies with 400 BAD_REQUEST', async () => {
@@ -345,10 +360,7 @@ describe("Groups integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 
@@ -363,7 +375,7 @@ describe("Groups integration tests", () => {
 			.expect(200);
 
 		expect(response.body).toBeTruthy();
-		expect(response.body).toEqual({});
+		expect(response.body).toEqual({ groups: [], sort: ["name", "id"], next: null });
 	});
 
 	test('List Groups with groups works', async () => {
@@ -386,16 +398,16 @@ describe("Groups integration tests", () => {
 
 		expect(response.body).toBeTruthy();
 		expect(response.body).toEqual({
-			[groupId]: {
+			groups: [{
+				"id": groupId,
 				"description": groupDescription,
 				"name": groupName
-			}
+			}],
+			sort: ["name", "id"],
+			next: null
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 
 	});
 
@@ -430,10 +442,7 @@ describe("Groups integration tests", () => {
 			"games": {}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 	test('Group Details without valid groupId replies with 404 NOT_FOUND', async () => {
@@ -467,10 +476,7 @@ describe("Groups integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 
@@ -508,10 +514,7 @@ describe("Groups integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 	test('Edit Group without NewGroupName or NewGroupDescription works', async () => {
@@ -543,10 +546,7 @@ describe("Groups integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 });
 
@@ -578,20 +578,11 @@ describe("Games integration tests", () => {
 		expect(response.body).toBeTruthy();
 		expect(response.body['Added game'].id).toEqual(gameId);
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_games`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('games');
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups_${groupId}_games`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('group_games', guestDocs);
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 	test('Add game to group without gameId replies with 400 BAD_REQUEST', async () => {
@@ -626,10 +617,7 @@ describe("Games integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 
@@ -665,20 +653,11 @@ describe("Games integration tests", () => {
 		expect(response.body).toBeTruthy();
 		expect(response.body['Removed game'].id).toEqual(gameId);
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_games`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('games');
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups_${groupId}_games`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('group_games', guestDocs);
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 	});
 
 	test('Remove game from group without valid gameId replies with 404 NOT_FOUND', async () => {
@@ -721,19 +700,10 @@ describe("Games integration tests", () => {
 			}
 		});
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_games`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('games');
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('groups', guestDocs);
 
-		await fetch(
-			`${es_spec.url}/${es_spec.prefix}_users_${config.guest.id}_groups_${groupId}_games`,
-			{ method: 'DELETE' }
-		);
+		await deleteDocs('group_games', guestDocs);
 	});
 });
@@ -12,7 +12,9 @@ const games = {
 		image: "skyrim.jpg",
 		publisher: "Bethesda Game Studios",
 		amazon_rank: 1,
-		price: '420.69'
+		price: '420.69',
+		mechanics: ["Dice Rolling"],
+		categories: ["Fantasy"]
 	},
 	"OIXt3DmJU0": {
 		id: 'OIXt3DmJU0',
@@ -21,10 +23,22 @@ const games = {
 		image: 'https://s3-us-west-1.amazonaws.com/5cc.images/games/uploaded/1629324722072.jpg',
 		publisher: 'KOSMOS',
 		amazon_rank: 133,
-		price: '22.00'
+		price: '22.00',
+		mechanics: ["Dice Rolling", "Trading"],
+		categories: ["Negotiation"]
 	}
 }
 
+const mechanics = {
+	"R0bGq4cAl4": "Dice Rolling",
+	"AVY7EV2lMx": "Trading"
+}
+
+const categories = {
+	"pflbmDeJlf": "Fantasy",
+	"gsekjrPJz0": "Negotiation"
+}
+
 const requests = {
 	"Monopoly Skyrim": {
 		"games": [
@@ -35,7 +49,9 @@ const requests = {
 				image: "skyrim.jpg",
 				publisher: "Bethesda Game Studios",
 				amazon_rank: 1,
-				price: '420.69'
+				price: '420.69',
+				mechanics: ["Dice Rolling"],
+				categories: ["Fantasy"]
 			}
 		],
 		"count": 1
@@ -49,7 +65,9 @@ const requests = {
 				image: 'https://s3-us-west-1.amazonaws.com/5cc.images/games/uploaded/1629324722072.jpg',
 				publisher: 'KOSMOS',
 				amazon_rank: 133,
-				price: '22.00'
+				price: '22.00',
+				mechanics: ["Dice Rolling", "Trading"],
+				categories: ["Negotiation"]
 			}
 		],
 		"count": 1
@@ -88,17 +106,39 @@ async function getPopularGames() {
 
 
 /**
- * Gets a list of games by a given name.
+ * Gets a page of the list of games by a given name.
  * @param {String} gameName
+ * @param {Number} limit
+ * @param {String} order_by
+ * @param {Boolean} ascending
+ * @param {Object} filters
+ * @param {Number} skip
  * @throws error NOT_FOUND if no game was found with the given name
- * @returns promise with a list of game objects
+ * @returns promise with an object with the total count of games found and the list of game objects of the page
  */
-async function searchGamesByName(gameName) {
-	const res = requests[gameName];
+async function searchGamesByName(gameName, limit, order_by, ascending, filters = {}, skip = 0) {
+	const res = gameName ? requests[gameName] : searchGamesByFilters(filters);
 	if (!res || res.games.length == 0 || res.count == 0) {
 		throw errors.NOT_FOUND({ gameName })
 	}
-	return res.games;
+	return {
+		count: res.count,
+		games: res.games.slice(skip, limit ? skip + limit : undefined)
+	};
+}
+
+
+/**
+ * Gets all the games with the mechanic and/or category (ids) of the filters, like a search without a name.
+ * @param {Object} filters
+ * @returns object with the total count of games found and the list of game objects
+ */
+function searchGamesByFilters(filters) {
+	const found = Object.values(games).filter(game =>
+		(!filters.mechanic || game.mechanics.includes(mechanics[filters.mechanic]))
+		&& (!filters.category || game.categories.includes(categories[filters.category]))
+	);
+	return { games: found, count: found.length };
 }
 
 
@@ -117,9 +157,38 @@ async function searchGamesById(gameId) {
 }
 
 
+/**
+ * Gets the games with the given ids, ignoring the ids that don't match any game.
+ * @param {Array} gameIds
+ * @returns promise with a list of game objects
+ */
+async function searchGamesByIds(gameIds) {
+	return gameIds.filter(gameId => games[gameId]).map(gameId => games[gameId]);
+}
+
+
+/**
+ * Gets the id:name map for mechanics.
+ */
+async function getGlobalMechanics() {
+	return mechanics;
+}
+
+
+/**
+ * Gets the id:name map for categories.
+ */
+async function getGlobalCategories() {
+	return categories;
+}
+
+
 module.exports = {
 	games,
 	getPopularGames,
 	searchGamesByName,
-	searchGamesById
+	searchGamesById,
+	searchGamesByIds,
+	getGlobalMechanics,
+	getGlobalCategories
 };
@@ -0,0 +1,519 @@
+'use strict';
+
+
+/**
+ * Elasticsearch stand-in, used to test borga-data-db.js without a running cluster.
+ * It replaces node-fetch (see jest.mock) and implements, in memory, the subset of the Elasticsearch API
+ * used by the application:
+ * - indices: creation with mappings, deletion, existence check, _mapping (get and put), _refresh and _cat/indices;
+ * - documents: get, index (PUT), _create, _update and delete, rejecting unknown fields on strict mappings;
+ * - _search with match_all, term, terms, range, exists and bool queries, size, from, sort and search_after;
+ * - terms and sum aggregations, with sub-aggregations;
+ * - _count, _delete_by_query and _mget.
+ */
+
+
+/**
+ * Map of the existing indices: "indexName": { mappings, docs: { "docId": source } }.
+ */
+let indices = {};
+
+/**
+ * Map of the existing index templates: "templateName": template.
+ */
+let templates = {};
+
+
+/**
+ * Removes all indices and templates.
+ */
+function reset() {
+	indices = {};
+	templates = {};
+}
+
+
+// ------------------------- Responses -------------------------
+
+/**
+ * Builds a response with the interface of the node-fetch responses used by the application.
+ * @param {Number} status
+ * @param {Object} body
+ * @returns response object
+ */
+function response(status, body) {
+	return {
+		status,
+		ok: status >= 200 && status < 300,
+		json: async () => body
+	};
+}
+
+
+/**
+ * Builds an error response.
+ * @param {Number} status
+ * @param {String} type
+ * @param {String} reason
+ * @returns response object
+ */
+function errorResponse(status, type, reason) {
+	return response(status, { error: { type, reason }, status });
+}
+
+
+/**
+ * Builds the response to a request on a missing index.
+ * @param {String} index
+ * @returns response object
+ */
+function indexNotFound(index) {
+	return errorResponse(404, 'index_not_found_exception', `no such index [${index}]`);
+}
+
+
+// ------------------------- Documents -------------------------
+
+/**
+ * Gets the value of a field of a document. The keyword sub-field has the value of the field.
+ * @param {Object} source
+ * @param {String} field path of the field, with dots
+ * @returns the value of the field, or undefined if the document doesn't have it
+ */
+function getField(source, field) {
+	return field
+		.replace(/\.keyword$/, '')
+		.split('.')
+		.reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], source);
+}
+
+
+/**
+ * Checks the fields of a document against strict mappings.
+ * @param {Object} mappings
+ * @param {Object} source
+ * @returns the name of the first field that isn't mapped, or undefined if all are
+ */
+function findUnmappedField(mappings, source) {
+	if (!mappings || mappings.dynamic != 'strict') return undefined;
+
+	for (const field in source) {
+		const fieldMapping = mappings.properties[field];
+		if (!fieldMapping) return field;
+
+		if (fieldMapping.properties && source[field] && typeof source[field] == 'object') {
+			const values = Array.isArray(source[field]) ? source[field] : [source[field]];
+			for (const value of values) {
+				const unmapped = findUnmappedField({ dynamic: 'strict', ...fieldMapping }, value);
+				if (unmapped) return `${field}.${unmapped}`;
+			}
+		}
+	}
+	return undefined;
+}
+
+
+/**
+ * Stores a document, creating the index if it doesn't exist.
+ * @param {String} index
+ * @param {String} id
+ * @param {Object} source
+ * @param {Boolean} onlyCreate if true, fails if the document already exists
+ * @returns response object
+ */
+function indexDoc(index, id, source, onlyCreate) {
+	if (!indices[index]) createIndex(index, {});
+
+	const unmapped = findUnmappedField(indices[index].mappings, source);
+	if (unmapped)
+		return errorResponse(400, 'strict_dynamic_mapping_exception',
+			`mapping set to strict, dynamic introduction of [${unmapped}] is not allowed`);
+
+	const exists = indices[index].docs[id] !== undefined;
+	if (exists && onlyCreate)
+		return errorResponse(409, 'version_conflict_engine_exception', `[${id}]: document already exists`);
+
+	indices[index].docs[id] = JSON.parse(JSON.stringify(source));
+
+	return response(exists ? 200 : 201, { _index: index, _id: id, result: exists ? 'updated' : 'created' });
+}
+
+
+// ------------------------- Queries -------------------------
+
+/**
+ * Checks if a value of a field matches a value of a query.
+ * @param {*} fieldValue value of the field, possibly an array
+ * @param {Function} predicate
+ * @returns true if the value, or any of the values of an array, matches
+ */
+function anyValue(fieldValue, predicate) {
+	const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+	return values.some(value => value !== undefined && value !== null && predicate(value));
+}
+
+
+/**
+ * Converts a query clause, or array of clauses, to an array.
+ * @param {*} clauses
+ * @returns array of clauses
+ */
+function toArray(clauses) {
+	if (!clauses) return [];
+	return Array.isArray(clauses) ? clauses : [clauses];
+}
+
+
+/**
+ * Checks if a document matches a query.
+ * @param {Object} query
+ * @param {Object} source
+ * @param {String} id
+ * @returns true if the document matches
+ */
+function matches(query, source, id) {
+	if (!query || query.match_all) return true;
+
+	if (query.ids)
+		return query.ids.values.includes(id);
+
+	if (query.term) {
+		const [field, term] = Object.entries(query.term)[0];
+		const value = (term && typeof term == 'object') ? term.value : term;
+		return anyValue(getField(source, field), fieldValue => fieldValue == value);
+	}
+
+	if (query.terms) {
+		const [field, values] = Object.entries(query.terms)[0];
+		return anyValue(getField(source, field), fieldValue => values.includes(fieldValue));
+	}
+
+	if (query.range) {
+		const [field, range] = Object.entries(query.range)[0];
+		return anyValue(getField(source, field), fieldValue =>
+			(range.gte === undefined || fieldValue >= range.gte)
+			&& (range.gt === undefined || fieldValue > range.gt)
+			&& (range.lte === undefined || fieldValue <= range.lte)
+			&& (range.lt === undefined || fieldValue < range.lt)
+		);
+	}
+
+	if (query.exists)
+		return anyValue(getField(source, query.exists.field), () => true);
+
+	if (query.bool) {
+		const must = [...toArray(query.bool.must), ...toArray(query.bool.filter)];
+		const should = toArray(query.bool.should);
+
+		return must.every(clause => matches(clause, source, id))
+			&& !toArray(query.bool.must_not).some(clause => matches(clause, source, id))
+			&& (should.length == 0 || must.length > 0 || should.some(clause => matches(clause, source, id)));
+	}
+
+	throw new Error(`Query not supported by the Elasticsearch stand-in: ${JSON.stringify(query)}`);
+}
+
+
+/**
+ * Normalizes the sort of a search to an array of { field, order }.
+ * @param {*} sort
+ * @returns array of sort fields
+ */
+function parseSort(sort) {
+	return toArray(sort).map(sortField => {
+		if (typeof sortField == 'string') return { field: sortField, order: 'asc' };
+
+		const [field, options] = Object.entries(sortField)[0];
+		return { field, order: (typeof options == 'string' ? options : options.order) || 'asc' };
+	});
+}
+
+
+/**
+ * Compares two sort values. Missing values come last.
+ * @returns a negative number, zero or a positive number
+ */
+function compareValues(value1, value2) {
+	if (value1 === value2) return 0;
+	if (value1 === null || value1 === undefined) return 1;
+	if (value2 === null || value2 === undefined) return -1;
+	return value1 < value2 ? -1 : 1;
+}
+
+
+/**
+ * Compares two arrays of sort values.
+ * @param {Array} values1
+ * @param {Array} values2
+ * @param {Array} sort sort fields
+ * @returns a negative number, zero or a positive number
+ */
+function compareSortValues(values1, values2, sort) {
+	for (let i = 0; i < sort.length; i++) {
+		const comparison = compareValues(values1[i], values2[i]);
+		if (comparison != 0) return sort[i].order == 'desc' ? -comparison : comparison;
+	}
+	return 0;
+}
+
+
+/**
+ * Gets the hits of a search, before applying from and size.
+ * @param {String} index
+ * @param {Object} body
+ * @returns array of hits
+ */
+function searchHits(index, body = {}) {
+	const sort = parseSort(body.sort);
+
+	let hits = Object.entries(indices[index].docs)
+		.filter(([id, source]) => matches(body.query, source, id))
+		.map(([id, source]) => ({
+			_index: index,
+			_id: id,
+			_source: JSON.parse(JSON.stringify(source)),
+			sort: sort.length > 0
+				? sort.map(sortField => {
+					const value = sortField.field == '_id' ? id : getField(source, sortField.field);
+					return value === undefined ? null : value;
+				})
+				: undefined
+		}));
+
+	if (sort.length > 0) {
+		hits.sort((hit1, hit2) => compareSortValues(hit1.sort, hit2.sort, sort));
+
+		if (body.search_after)
+			hits = hits.filter(hit => compareSortValues(hit.sort, body.search_after, sort) > 0);
+	}
+
+	return hits;
+}
+
+
+/**
+ * Runs the aggregations of a search over all its hits.
+ * Terms buckets are sorted by their document count and then by their key, like in Elasticsearch.
+ * @param {Object} aggs aggregations of the request: "name": { terms | sum, aggs }
+ * @param {Array} hits
+ * @returns object with the result of each aggregation
+ */
+function aggregate(aggs, hits) {
+	return Object.fromEntries(Object.entries(aggs).map(([name, agg]) => {
+		if (agg.sum) {
+			const value = hits
+				.map(hit => Number(getField(hit._source, agg.sum.field)))
+				.filter(value => !isNaN(value))
+				.reduce((sum, value) => sum + value, 0);
+			return [name, { value }];
+		}
+
+		const buckets = {};
+		for (const hit of hits) {
+			const values = toArray(getField(hit._source, agg.terms.field)).filter(value => value !== null && value !== undefined);
+			for (const key of new Set(values)) {
+				if (!buckets[key]) buckets[key] = { key, hits: [] };
+				buckets[key].hits.push(hit);
+			}
+		}
+
+		return [name, {
+			buckets: Object.values(buckets)
+				.sort((bucket1, bucket2) => bucket2.hits.length - bucket1.hits.length || compareValues(bucket1.key, bucket2.key))
+				.slice(0, agg.terms.size === undefined ? 10 : agg.terms.size)
+				.map(bucket => ({
+					key: bucket.key,
+					doc_count: bucket.hits.length,
+					...(agg.aggs ? aggregate(agg.aggs, bucket.hits) : {})
+				}))
+		}];
+	}));
+}
+
+
+/**
+ * Runs a search.
+ * @param {String} index
+ * @param {Object} body
+ * @returns response object
+ */
+function search(index, body = {}) {
+	if (!indices[index]) return indexNotFound(index);
+
+	const hits = searchHits(index, body);
+	const from = body.from || 0;
+	const size = body.size === undefined ? 10 : body.size;
+	const aggregations = body.aggs ? { aggregations: aggregate(body.aggs, hits) } : {};
+
+	return response(200, {
+		hits: {
+			total: { value: hits.length, relation: 'eq' },
+			hits: hits.slice(from, from + size).map(hit => {
+				if (body._source) {
+					hit._source = Object.fromEntries(
+						Object.entries(hit._source).filter(([field]) => body._source.includes(field))
+					);
+				}
+				return hit;
+			})
+		},
+		...aggregations
+	});
+}
+
+
+// ------------------------- Indices -------------------------
+
+/**
+ * Creates an index.
+ * @param {String} index
+ * @param {Object} body body of the request, with the mappings
+ * @returns response object
+ */
+function createIndex(index, body = {}) {
+	if (indices[index])
+		return errorResponse(400, 'resource_already_exists_exception', `index [${index}] already exists`);
+
+	indices[index] = { mappings: body.mappings || {}, docs: {} };
+	return response(200, { acknowledged: true, index });
+}
+
+
+/**
+ * Converts an index pattern with wildcards to a regular expression.
+ * @param {String} pattern
+ * @returns the regular expression
+ */
+function patternToRegExp(pattern) {
+	return new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+}
+
+
+// ------------------------- Requests -------------------------
+
+/**
+ * Handles a request to an index or to one of its documents.
+ * @param {String} method
+ * @param {Array} parts parts of the path
+ * @param {Object} body
+ * @returns response object
+ */
+function handleIndexRequest(method, parts, body) {
+	const [index, endpoint, id] = parts;
+	const idx = indices[index];
+
+	if (!endpoint) {
+		if (method == 'HEAD') return response(idx ? 200 : 404);
+		if (method == 'PUT') return createIndex(index, body);
+		if (method == 'DELETE') {
+			if (!idx) return indexNotFound(index);
+			delete indices[index];
+			return response(200, { acknowledged: true });
+		}
+	}
+
+	switch (endpoint) {
+		case '_doc':
+			if (method == 'PUT' || method == 'POST')
+				return indexDoc(index, id || `${Date.now()}${Math.random()}`, body);
+			if (!idx) return indexNotFound(index);
+			if (method == 'GET') {
+				return idx.docs[id] !== undefined
+					? response(200, { _index: index, _id: id, found: true, _source: JSON.parse(JSON.stringify(idx.docs[id])) })
+					: response(404, { _index: index, _id: id, found: false });
+			}
+			if (method == 'DELETE') {
+				if (idx.docs[id] === undefined) return response(404, { _index: index, _id: id, result: 'not_found' });
+				delete idx.docs[id];
+				return response(200, { _index: index, _id: id, result: 'deleted' });
+			}
+			break;
+
+		case '_create':
+			return indexDoc(index, id, body, true);
+
+		case '_update':
+			if (!idx) return indexNotFound(index);
+			if (idx.docs[id] === undefined)
+				return errorResponse(404, 'document_missing_exception', `[${id}]: document missing`);
+			return indexDoc(index, id, { ...idx.docs[id], ...body.doc });
+
+		case '_search':
+			return search(index, body);
+
+		case '_count':
+			if (!idx) return indexNotFound(index);
+			return response(200, { count: searchHits(index, body).length });
+
+		case '_delete_by_query': {
+			if (!idx) return indexNotFound(index);
+			const hits = searchHits(index, body);
+			hits.forEach(hit => delete idx.docs[hit._id]);
+			return response(200, { deleted: hits.length });
+		}
+
+		case '_mget':
+			if (!idx) return indexNotFound(index);
+			return response(200, {
+				docs: body.ids.map(docId => idx.docs[docId] !== undefined
+					? { _index: index, _id: docId, found: true, _source: JSON.parse(JSON.stringify(idx.docs[docId])) }
+					: { _index: index, _id: docId, found: false })
+			});
+
+		case '_mapping':
+			if (!idx) return indexNotFound(index);
+			if (method == 'PUT') {
+				idx.mappings = { ...idx.mappings, properties: { ...idx.mappings.properties, ...body.properties } };
+				return response(200, { acknowledged: true });
+			}
+			return response(200, { [index]: { mappings: idx.mappings } });
+
+		case '_refresh':
+			if (!idx) return indexNotFound(index);
+			return response(200, { _shards: { failed: 0 } });
+	}
+
+	return errorResponse(400, 'unsupported_operation', `${method} /${parts.join('/')} not supported by the Elasticsearch stand-in`);
+}
+
+
+/**
+ * Replacement of node-fetch that handles the request in the stand-in.
+ * @param {String} url
+ * @param {Object} options
+ * @returns promise with the response object
+ */
+async function fetch(url, options = {}) {
+	const method = options.method || 'GET';
+	const body = options.body ? JSON.parse(options.body) : undefined;
+	const parts = new URL(url).pathname.split('/').filter(part => part != '').map(decodeURIComponent);
+
+	switch (parts[0]) {
+		case '_cat': {
+			const pattern = patternToRegExp(parts[2] || '*');
+			return response(200, Object.keys(indices).filter(index => pattern.test(index)).map(index => ({ index })));
+		}
+
+		case '_index_template':
+			if (method == 'PUT') {
+				templates[parts[1]] = body;
+				return response(200, { acknowledged: true });
+			}
+			if (method == 'DELETE') {
+				if (!templates[parts[1]]) return errorResponse(404, 'resource_not_found_exception', `index template matching [${parts[1]}] not found`);
+				delete templates[parts[1]];
+				return response(200, { acknowledged: true });
+			}
+			break;
+
+		default:
+			return handleIndexRequest(method, parts, body);
+	}
+
+	return errorResponse(400, 'unsupported_operation', `${method} ${url} not supported by the Elasticsearch stand-in`);
+}
+
+
+fetch.reset = reset;
+
+module.exports = fetch;
@@ -0,0 +1,142 @@
+'use strict';
+
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const errors = require('../../../borga-errors.js');
+const providers = require('../../../board-games-providers.js');
+
+const catalogPath = path.join(__dirname, '../../../data/board-games-catalog.json');
+const gamesData = require('../../../board-games-data-local.js')(catalogPath);
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const gameId1 = "OIXt3DmJU0";
+const gameName1 = "Catan";
+
+const csvCatalog =
+	'id,name,description,publisher,price,rank,mechanics,categories\n' +
+	'"c1","Cards, Cards, Cards","A ""card"" game",Pub A,10.00,2,Hand Management|Set Collection,Card Game\n' +
+	'c2,Dice Tower,"Roll\nthe dice",Pub B,5.50,1,Dice Rolling,Dice\n';
+
+
+describe("Local catalog provider tests", () => {
+	test("getPopularGames returns the 20 best ranked games", async () => {
+		const games = await gamesData.getPopularGames();
+
+		expect(games.length).toEqual(20);
+		expect(games[0].name).toEqual("Root");
+		expect(games[19].name).toEqual("Brass: Birmingham");
+	});
+
+	test("searchGamesById returns the game object with mechanics and categories names", async () => {
+		const game = await gamesData.searchGamesById(gameId1);
+
+		expect(game.id).toEqual(gameId1);
+		expect(game.name).toEqual(gameName1);
+		expect(game.publisher).toEqual("KOSMOS");
+		expect(game.mechanics).toEqual(["Dice Rolling", "Network and Route Building", "Trading"]);
+		expect(game.categories).toEqual(["Dice", "Economic", "Family Game", "Negotiation"]);
+	});
+
+	test("searchGamesById throws NOT_FOUND if the game doesn't exist", async () => {
+		await expect(gamesData.searchGamesById("undefined"))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: "undefined" }));
+	});
+
+	test("searchGamesByIds returns the found games in the given order", async () => {
+		const games = await gamesData.searchGamesByIds(["NoWy3nPYfj", "undefined", gameId1, gameId1]);
+
+		expect(games.map(game => game.id)).toEqual(["NoWy3nPYfj", gameId1]);
+	});
+
+	test("searchGamesByName matches part of the name ignoring case", async () => {
+		const res = await gamesData.searchGamesByName("catan");
+
+		expect(res.count).toEqual(3);
+		expect(res.games.map(game => game.id)).toEqual(["OIXt3DmJU0", "EvYzPCnCGG", "NoWy3nPYfj"]);
+	});
+
+	test("searchGamesByName applies limit, order_by and ascending", async () => {
+		const res = await gamesData.searchGamesByName("catan", 2, "price", true);
+
+		expect(res.count).toEqual(3);
+		expect(res.games.map(game => game.price)).toEqual(["22.00", "22.50"]);
+	});
+
+	test("searchGamesByName skips the games of the previous pages", async () => {
+		const res = await gamesData.searchGamesByName("catan", 2, undefined, undefined, {}, 2);
+
+		expect(res.count).toEqual(3);
+		expect(res.games.map(game => game.id)).toEqual(["NoWy3nPYfj"]);
+	});
+
+	test("searchGamesByName applies the search filters", async () => {
+		const byPlayers = await gamesData.searchGamesByName("catan", undefined, undefined, undefined, { players: 5 });
+		expect(byPlayers.games.map(game => game.id)).toEqual(["EvYzPCnCGG"]);
+
+		const byMechanicAndPrice = await gamesData.searchGamesByName("", undefined, undefined, undefined,
+			{ mechanic: "R8QzQ6DgCh", lt_price: 22.5, designer: "klaus teuber" });
+		expect(byMechanicAndPrice.games.map(game => game.id)).toEqual([gameId1]);
+	});
+
+	test("searchGamesByName throws NOT_FOUND if no game matches", async () => {
+		await expect(gamesData.searchGamesByName("inexistent game"))
+			.rejects.toEqual(errors.NOT_FOUND({ gameName: "inexistent game" }));
+	});
+
+	test("getGlobalMechanics and getGlobalCategories return id:name maps", async () => {
+		expect((await gamesData.getGlobalMechanics())["R8QzQ6DgCh"]).toEqual("Dice Rolling");
+		expect((await gamesData.getGlobalCategories())["mavSOM8vjH"]).toEqual("Dice");
+	});
+});
+
+
+describe("Local CSV catalog tests", () => {
+	const csvPath = path.join(os.tmpdir(), `borga-catalog-${process.pid}.csv`);
+	let csvData;
+
+	beforeAll(() => {
+		fs.writeFileSync(csvPath, csvCatalog);
+		csvData = require('../../../board-games-data-local.js')(csvPath);
+	});
+
+	afterAll(() => fs.unlinkSync(csvPath));
+
+	test("CSV catalog supports quoted fields and list columns", async () => {
+		const game = await csvData.searchGamesById("c1");
+
+		expect(game.name).toEqual("Cards, Cards, Cards");
+		expect(game.description).toEqual('A "card" game');
+		expect(game.mechanics).toEqual(["Hand Management", "Set Collection"]);
+		expect(game.categories).toEqual(["Card Game"]);
+	});
+
+	test("CSV catalog popular games are ordered by rank", async () => {
+		const games = await csvData.getPopularGames();
+
+		expect(games.map(game => game.id)).toEqual(["c2", "c1"]);
+		expect(games[0].description).toEqual("Roll\nthe dice");
+	});
+});
+
+
+describe("Provider selection tests", () => {
+	test("buildProvider builds the local provider", async () => {
+		const provider = providers.buildProvider({ provider: 'local', catalog: catalogPath });
+
+		expect((await provider.searchGamesById(gameId1)).name).toEqual(gameName1);
+	});
+
+	test("buildProvider throws FAIL for an unknown provider", () => {
+		expect(() => providers.buildProvider({ provider: 'unknown' }))
+			.toThrow(errors.FAIL({ provider: 'unknown', available: ['atlas', 'local'] }));
+	});
+
+	test("buildProvider throws FAIL if the catalog file doesn't exist", () => {
+		expect(() => providers.buildProvider({ provider: 'local', catalog: 'undefined.json' }))
+			.toThrow();
+	});
+});
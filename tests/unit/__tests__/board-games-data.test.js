@@ -52,3 +52,68 @@ describe("do_fetch tests", () => {
 			.rejects.toEqual(errors.NOT_FOUND("https://google.com/aaaaaaaaaaa"));
 	});
 });
+
+
+describe("do_fetch retry tests", () => {
+	const http = require('http');
+
+	const options = { timeout: 1000, retries: 2, retry_delay: 10, max_retry_delay: 100 };
+	const requestCounts = {};
+	let server;
+	let baseUri;
+
+	beforeAll(done => {
+		server = http.createServer((req, res) => {
+			const count = requestCounts[req.url] = (requestCounts[req.url] || 0) + 1;
+			res.setHeader('Content-Type', 'application/json');
+
+			if (req.url == '/flaky' && count <= 2) {
+				res.statusCode = 503;
+				res.end('{}');
+			}
+			else if (req.url == '/throttled' && count == 1) {
+				res.statusCode = 429;
+				res.setHeader('Retry-After', '0');
+				res.end('{}');
+			}
+			else if (req.url == '/down') {
+				res.statusCode = 500;
+				res.end('{}');
+			}
+			else if (req.url == '/slow') {
+				setTimeout(() => res.end('{"slow": true}'), 200);
+			}
+			else
+				res.end('{"success": true}');
+		});
+		server.listen(0, () => {
+			baseUri = `http://localhost:${server.address().port}`;
+			done();
+		});
+	});
+
+	afterAll(done => {
+		server.close(done);
+	});
+
+	test("do_fetch retries server errors until it succeeds", async () => {
+		expect(await gamesData.do_fetch(`${baseUri}/flaky`, options)).toEqual({ success: true });
+		expect(requestCounts['/flaky']).toEqual(3);
+	});
+
+	test("do_fetch retries too many requests responses", async () => {
+		expect(await gamesData.do_fetch(`${baseUri}/throttled`, options)).toEqual({ success: true });
+		expect(requestCounts['/throttled']).toEqual(2);
+	});
+
+	test("do_fetch throws EXT_SVC_FAIL after all retries fail", async () => {
+		await expect(gamesData.do_fetch(`${baseUri}/down`, options))
+			.rejects.toEqual(errors.EXT_SVC_FAIL({}));
+		expect(requestCounts['/down']).toEqual(options.retries + 1);
+	});
+
+	test("do_fetch throws EXT_SVC_FAIL when the request times out", async () => {
+		await expect(gamesData.do_fetch(`${baseUri}/slow`, { ...options, timeout: 50, retries: 0 }))
+			.rejects.toMatchObject({ name: 'EXT_SVC_FAIL' });
+	});
+});
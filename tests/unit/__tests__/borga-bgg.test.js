@@ -0,0 +1,46 @@
+'use strict';
+
+
+const bgg = require('../../../borga-bgg.js');
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const collection1 = `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<items totalitems="3" termsofuse="https://boardgamegeek.com/xmlapi/termsofuse">
+	<item objecttype="thing" objectid="13" subtype="boardgame" collid="1">
+		<name sortindex="1">Catan</name>
+		<yearpublished>1995</yearpublished>
+		<status own="1" prevowned="0" fortrade="0" want="0" wanttoplay="0" wanttobuy="0" wishlist="0" preordered="0" />
+		<numplays>2</numplays>
+	</item>
+	<item objecttype="thing" objectid="9209" subtype="boardgame" collid="2">
+		<name sortindex="1">Ticket to Ride &amp; Friends &#8211; &#x41;</name>
+	</item>
+	<item objecttype="thing" objectid="266192" subtype="boardgame" collid="3">
+		<name sortindex="1"><![CDATA[Wingspan & Co]]></name>
+		<yearpublished>2019</yearpublished>
+	</item>
+	<item objecttype="thing" objectid="1" subtype="boardgame" collid="4">
+		<name sortindex="1"> </name>
+	</item>
+</items>`;
+
+
+describe("BoardGameGeek collection tests", () => {
+	test("parseCollection gets the id, name and year of each item", () => {
+		expect(bgg.parseCollection(collection1)).toEqual([
+			{ bggId: "13", name: "Catan", year: 1995 },
+			{ bggId: "9209", name: "Ticket to Ride & Friends – A", year: null },
+			{ bggId: "266192", name: "Wingspan & Co", year: 2019 }
+		]);
+	});
+
+	test("parseCollection of a collection without items", () => {
+		expect(bgg.parseCollection('<items totalitems="0"></items>')).toEqual([]);
+	});
+
+	test("parseCollection of a text that isn't a collection", () => {
+		expect(bgg.parseCollection("<groups></groups>")).toBeNull();
+		expect(bgg.parseCollection(undefined)).toBeNull();
+	});
+});
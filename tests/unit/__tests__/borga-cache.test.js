@@ -0,0 +1,76 @@
+'use strict';
+
+
+const cacheBuilder = require('../../../borga-cache.js');
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const ttl = 60 * 1000;
+
+
+describe("Cache tests", () => {
+	test("get returns a stored value and counts a hit", () => {
+		const cache = cacheBuilder(2);
+		cache.set("a", { games: [] }, ttl);
+
+		expect(cache.get("a")).toEqual({ games: [] });
+		expect(cache.stats()).toEqual({ entries: 1, maxEntries: 2, hits: 1, misses: 0, evictions: 0, staleHits: 0 });
+	});
+
+	test("get returns undefined for a missing key and counts a miss", () => {
+		const cache = cacheBuilder(2);
+
+		expect(cache.get("a")).toEqual(undefined);
+		expect(cache.stats().misses).toEqual(1);
+	});
+
+	test("get doesn't return expired entries", () => {
+		const cache = cacheBuilder(2);
+		cache.set("a", 1, -1);
+
+		expect(cache.get("a")).toEqual(undefined);
+		expect(cache.stats()).toEqual({ entries: 1, maxEntries: 2, hits: 0, misses: 1, evictions: 0, staleHits: 0 });
+	});
+
+	test("getStale returns expired entries and counts a stale hit", () => {
+		const cache = cacheBuilder(2);
+		cache.set("a", 1, -1);
+
+		expect(cache.getStale("a")).toEqual(1);
+		expect(cache.getStale("b")).toEqual(undefined);
+		expect(cache.stats().staleHits).toEqual(1);
+	});
+
+	test("set evicts the least recently used entry when full", () => {
+		const cache = cacheBuilder(2);
+		cache.set("a", 1, ttl);
+		cache.set("b", 2, ttl);
+		cache.get("a");
+		cache.set("c", 3, ttl);
+
+		expect(cache.get("b")).toEqual(undefined);
+		expect(cache.get("a")).toEqual(1);
+		expect(cache.get("c")).toEqual(3);
+		expect(cache.stats().evictions).toEqual(1);
+	});
+
+	test("set replaces the value of an existing key without evicting", () => {
+		const cache = cacheBuilder(2);
+		cache.set("a", 1, ttl);
+		cache.set("b", 2, ttl);
+		cache.set("a", 3, ttl);
+
+		expect(cache.get("a")).toEqual(3);
+		expect(cache.stats().evictions).toEqual(0);
+	});
+
+	test("clear removes all entries and resets the counters", () => {
+		const cache = cacheBuilder(2);
+		cache.set("a", 1, ttl);
+		cache.get("a");
+		cache.clear();
+
+		expect(cache.stats()).toEqual({ entries: 0, maxEntries: 2, hits: 0, misses: 0, evictions: 0, staleHits: 0 });
+		expect(cache.get("a")).toEqual(undefined);
+	});
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+
+const breakerBuilder = require('../../../borga-circuit-breaker.js');
+
+
+describe("Circuit breaker tests", () => {
+	test("circuit starts closed and allows requests", () => {
+		const breaker = breakerBuilder(2, 1000);
+
+		expect(breaker.canRequest()).toEqual(true);
+		expect(breaker.getState()).toEqual({ state: 'closed', failures: 0, retryIn: 0 });
+	});
+
+	test("circuit opens after the failure threshold and fails fast", () => {
+		const breaker = breakerBuilder(2, 1000);
+		breaker.onFailure();
+		expect(breaker.canRequest()).toEqual(true);
+
+		breaker.onFailure();
+		expect(breaker.canRequest()).toEqual(false);
+		expect(breaker.getState().state).toEqual('open');
+		expect(breaker.getState().retryIn).toBeGreaterThan(0);
+	});
+
+	test("a success resets the consecutive failures", () => {
+		const breaker = breakerBuilder(2, 1000);
+		breaker.onFailure();
+		breaker.onSuccess();
+		breaker.onFailure();
+
+		expect(breaker.canRequest()).toEqual(true);
+	});
+
+	test("after the reset timeout only one trial request is allowed", () => {
+		const breaker = breakerBuilder(1, 0);
+		breaker.onFailure();
+
+		expect(breaker.canRequest()).toEqual(true);
+		expect(breaker.getState().state).toEqual('half-open');
+		expect(breaker.canRequest()).toEqual(false);
+	});
+
+	test("a successful trial request closes the circuit", () => {
+		const breaker = breakerBuilder(1, 0);
+		breaker.onFailure();
+		breaker.canRequest();
+		breaker.onSuccess();
+
+		expect(breaker.getState()).toEqual({ state: 'closed', failures: 0, retryIn: 0 });
+	});
+
+	test("a failed trial request opens the circuit again", () => {
+		const breaker = breakerBuilder(5, 0);
+		for (let i = 0; i < 5; i++) breaker.onFailure();
+		breaker.canRequest();
+		breaker.onFailure();
+
+		expect(breaker.getState().state).toEqual('open');
+		expect(breaker.getState().failures).toEqual(6);
+	});
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+
+const csv = require('../../../borga-csv.js');
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const text1 = 'group,description\r\nFavs,"Some, ""good"" games"\r\nEmpty,"Two\nlines"\n';
+const rows1 = [["group", "description"], ["Favs", 'Some, "good" games'], ["Empty", "Two\nlines"]];
+const rows2 = [["=1+1", "+SUM(A1)", "-2", "@cmd", "''=quoted", "a=b"]];
+
+
+describe("CSV tests", () => {
+	test("parseCsv splits the rows and fields, with quoted fields", () => {
+		expect(csv.parseCsv(text1)).toEqual(rows1);
+	});
+
+	test("parseCsv keeps a last row without line break", () => {
+		expect(csv.parseCsv("a,b\n1,")).toEqual([["a", "b"], ["1", ""]]);
+	});
+
+	test("stringifyCsv quotes only the fields that need it", () => {
+		expect(csv.stringifyCsv(rows1)).toEqual('group,description\nFavs,"Some, ""good"" games"\nEmpty,"Two\nlines"\n');
+	});
+
+	test("stringifyCsv writes null and undefined fields empty", () => {
+		expect(csv.stringifyCsv([["a", null, undefined, 1]])).toEqual("a,,,1\n");
+	});
+
+	test("stringifyCsv escapes the fields that look like formulas", () => {
+		expect(csv.stringifyCsv(rows2)).toEqual("'=1+1,'+SUM(A1),'-2,'@cmd,'''=quoted,a=b\n");
+	});
+
+	test("parseCsv reads what stringifyCsv writes", () => {
+		expect(csv.parseCsv(csv.stringifyCsv(rows1))).toEqual(rows1);
+	});
+
+	test("parseCsv reads the fields that look like formulas as stringifyCsv got them", () => {
+		expect(csv.parseCsv(csv.stringifyCsv(rows2))).toEqual(rows2);
+	});
+});
@@ -0,0 +1,662 @@
+'use strict';
+
+
+jest.mock('node-fetch', () => require('../__mock__/borga-mock-es.js'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockEs = require('node-fetch');
+
+const config = require('../../../borga-config');
+const errors = require('../../../borga-errors.js');
+const stores = require('../../../borga-data-stores.js');
+const migrationsBuilder = require('../../../borga-data-db-migrations.js');
+
+const test_user = config.guest;
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const es_spec = { url: 'http://localhost:9200', prefix: 'contract' };
+const dataPath = path.join(os.tmpdir(), `borga-data-contract-${process.pid}.json`);
+
+const userId1 = "contract1";
+const userName1 = "Contract User";
+const passwordHash1 = "03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4";
+const groupId1 = "G1";
+const groupName1 = "Negotiation Games";
+const groupDescription1 = "This is a description";
+const game1 = {
+	id: "OIXt3DmJU0",
+	name: "Catan",
+	description: "Trade, build, settle",
+	url: "https://www.boardgameatlas.com/game/OIXt3DmJU0/catan",
+	image_url: "catan.jpg",
+	publisher: "KOSMOS",
+	amazon_rank: 133,
+	price: "22.00",
+	mechanics: ["Trading"],
+	categories: ["Negotiation"]
+};
+
+
+/**
+ * Runs an operation of a data store, that can be synchronous or asynchronous.
+ * @returns promise with the result of the operation, rejected if it throws
+ */
+const attempt = async (operation) => operation();
+
+
+/**
+ * Data stores under test: [name, builder of a new empty store].
+ * Every data_int implementation must be added here.
+ */
+const storeBuilders = [
+	['mem', async () => stores.buildStore({ store: 'mem' }, es_spec, test_user)],
+	['db', async () => {
+		mockEs.reset();
+		await migrationsBuilder(es_spec.url, es_spec.prefix).bootstrap();
+		return stores.buildStore({ store: 'db' }, es_spec, test_user);
+	}],
+	['file', async () => {
+		fs.rmSync(dataPath, { force: true });
+		return stores.buildStore({ store: 'file', file: dataPath }, es_spec, test_user);
+	}]
+];
+
+
+describe.each(storeBuilders)("Data store contract: %s", (storeName, buildStore) => {
+	let store;
+	let token1;
+
+	beforeAll(async () => {
+		jest.spyOn(console, 'log').mockImplementation(() => { });
+
+		store = await buildStore();
+		token1 = (await store.createNewUser(userId1, userName1, passwordHash1)).token;
+	});
+
+	afterAll(() => {
+		fs.rmSync(dataPath, { force: true });
+		console.log.mockRestore();
+	});
+
+
+	// ----- Users and tokens -----
+
+	test("createNewUser creates a user with a token", async () => {
+		expect(token1).toBeTruthy();
+		expect(await store.getUser(userId1)).toMatchObject({ userName: userName1, passwordHash: passwordHash1 });
+		expect(await store.tokenToUserId(token1)).toEqual(userId1);
+		expect(await store.listTokens(userId1))
+			.toEqual([expect.objectContaining({ name: "default", expiresAt: null, lastUsedAt: null, revoked: false })]);
+	});
+
+	test("createNewUser throws ALREADY_EXISTS for an existing user", async () => {
+		await expect(attempt(() => store.createNewUser(userId1, userName1, passwordHash1)))
+			.rejects.toEqual(errors.ALREADY_EXISTS({ userId: userId1 }));
+	});
+
+	test("updatePasswordHash replaces the password hash of the user", async () => {
+		await store.updatePasswordHash(userId1, "scrypt$new");
+		expect((await store.getUser(userId1)).passwordHash).toEqual("scrypt$new");
+
+		await store.updatePasswordHash(userId1, passwordHash1);
+		await expect(attempt(() => store.updatePasswordHash("unknown", "scrypt$new")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("getUser throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.getUser("unknown")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("tokenToUserId returns nothing for an unknown token", async () => {
+		expect(await store.tokenToUserId("unknown")).toBeFalsy();
+		expect(await store.getTokenInfo("unknown")).toBeFalsy();
+	});
+
+	test("createToken returns the new token and its information", async () => {
+		const expiresAt = "2030-01-01T00:00:00.000Z";
+		const created = await store.createToken(userId1, "cli", expiresAt);
+
+		expect(created).toMatchObject({ name: "cli", expiresAt, lastUsedAt: null, revoked: false });
+		expect(await store.getTokenInfo(created.token))
+			.toMatchObject({ id: created.id, userId: userId1, name: "cli", expiresAt, revoked: false });
+	});
+
+	test("listTokens lists the tokens of the user without revealing them", async () => {
+		const tokens = await store.listTokens(userId1);
+
+		expect(tokens.map(tokenInfo => tokenInfo.name)).toEqual(expect.arrayContaining(["default", "cli"]));
+		tokens.forEach(tokenInfo => expect(Object.keys(tokenInfo).sort())
+			.toEqual(["createdAt", "expiresAt", "id", "lastUsedAt", "name", "revoked"]));
+		expect(await store.listTokens("unknown")).toEqual([]);
+	});
+
+	test("touchToken records the last use of the token", async () => {
+		const lastUsedAt = "2022-01-10T12:00:00.000Z";
+		await store.touchToken(token1, lastUsedAt);
+
+		expect((await store.getTokenInfo(token1)).lastUsedAt).toEqual(lastUsedAt);
+	});
+
+	test("revokeToken revokes only the given token", async () => {
+		const created = await store.createToken(userId1, "to revoke", null);
+
+		expect(await store.revokeToken(userId1, created.id)).toMatchObject({ id: created.id, revoked: true });
+		expect((await store.getTokenInfo(created.token)).revoked).toEqual(true);
+		expect((await store.getTokenInfo(token1)).revoked).toEqual(false);
+	});
+
+	test("revokeToken throws NOT_FOUND for a token of another user", async () => {
+		const tokenId = (await store.listTokens(userId1))[0].id;
+
+		await expect(attempt(() => store.revokeToken("unknown", tokenId)))
+			.rejects.toEqual(errors.NOT_FOUND({ tokenId }));
+	});
+
+
+	test("revokeAllTokens revokes every token of the user", async () => {
+		await store.createNewUser("contract3", userName1, passwordHash1);
+		await store.createToken("contract3", "cli", null);
+
+		await store.revokeAllTokens("contract3");
+		expect((await store.listTokens("contract3")).map(tokenInfo => tokenInfo.revoked)).toEqual([true, true]);
+		expect((await store.getTokenInfo(token1)).revoked).toEqual(false);
+	});
+
+
+	test("deleteExpiredTokens deletes only the revoked and expired tokens with the given name", async () => {
+		await store.createNewUser("contract9", userName1, passwordHash1);
+		const defaultTokenId = (await store.listTokens("contract9"))[0].id;
+		const revoked = await store.createToken("contract9", "session", null);
+		await store.revokeToken("contract9", revoked.id);
+		await store.createToken("contract9", "session", "2020-01-01T00:00:00.000Z");
+		const valid = await store.createToken("contract9", "session", "2030-01-01T00:00:00.000Z");
+		const other = await store.createToken("contract9", "cli", "2020-01-01T00:00:00.000Z");
+
+		await store.deleteExpiredTokens("contract9", "session", "2022-01-10T12:00:00.000Z");
+		expect((await store.listTokens("contract9")).map(tokenInfo => tokenInfo.id).sort())
+			.toEqual([defaultTokenId, valid.id, other.id].sort());
+	});
+
+
+	// ----- Password reset -----
+
+	test("saveResetCode replaces the pending reset of the user", async () => {
+		const resetCode = { codeHash: "hash1", expiresAt: "2030-01-01T00:00:00.000Z", attempts: 0 };
+		await store.saveResetCode(userId1, resetCode);
+		await store.saveResetCode(userId1, { ...resetCode, attempts: 1 });
+
+		expect(await store.getResetCode(userId1)).toEqual({ ...resetCode, attempts: 1 });
+	});
+
+	test("saveResetCode throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.saveResetCode("unknown", { codeHash: "hash1", expiresAt: null, attempts: 0 })))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("deleteResetCode discards the pending reset", async () => {
+		await store.deleteResetCode(userId1);
+		await store.deleteResetCode(userId1);
+
+		expect(await store.getResetCode(userId1)).toBeFalsy();
+	});
+
+
+	// ----- Groups -----
+
+	test("createGroup returns the group information", async () => {
+		expect(await store.createGroup(userId1, groupId1, groupName1, groupDescription1))
+			.toEqual({ id: groupId1, name: groupName1, description: groupDescription1 });
+	});
+
+	test("createGroup throws ALREADY_EXISTS for an existing group", async () => {
+		await expect(attempt(() => store.createGroup(userId1, groupId1, "Other", "")))
+			.rejects.toEqual(errors.ALREADY_EXISTS({ groupId: groupId1 }));
+	});
+
+	test("createGroup throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.createGroup("unknown", groupId1, groupName1, groupDescription1)))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("editGroup changes only the given properties", async () => {
+		expect(await store.editGroup(userId1, groupId1, "Edited", undefined))
+			.toEqual({ id: groupId1, name: "Edited", description: groupDescription1 });
+		expect(await store.editGroup(userId1, groupId1, groupName1, undefined))
+			.toEqual({ id: groupId1, name: groupName1, description: groupDescription1 });
+	});
+
+	test("editGroup throws NOT_FOUND for an unknown group", async () => {
+		await expect(attempt(() => store.editGroup(userId1, "unknown", "Edited", "")))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+	});
+
+	test("listUserGroups lists the groups by pages sorted by name and id", async () => {
+		await store.createGroup(userId1, "G3", "A group", "");
+		await store.createGroup(userId1, "G2", "A group", "");
+
+		const all = await store.listUserGroups(userId1);
+		expect(all.groups.map(group => group.id)).toEqual(["G2", "G3", groupId1]);
+		expect(all.groups[2]).toEqual({ id: groupId1, name: groupName1, description: groupDescription1 });
+		expect(all.next).toEqual(null);
+
+		const page1 = await store.listUserGroups(userId1, 2);
+		expect(page1.groups.map(group => group.id)).toEqual(["G2", "G3"]);
+
+		const page2 = await store.listUserGroups(userId1, 2, page1.next);
+		expect(page2.groups.map(group => group.id)).toEqual([groupId1]);
+		expect(page2.next).toEqual(null);
+
+		const skipped = await store.listUserGroups(userId1, 1, undefined, 1);
+		expect(skipped.groups.map(group => group.id)).toEqual(["G3"]);
+
+		await store.deleteGroup(userId1, "G2");
+		await store.deleteGroup(userId1, "G3");
+	});
+
+	test("listUserGroups returns no groups for a user without groups", async () => {
+		await store.createNewUser("contract2", userName1, passwordHash1);
+
+		expect(await store.listUserGroups("contract2")).toEqual({ groups: [], next: null });
+	});
+
+	test("getGroupDetails throws NOT_FOUND for an unknown group", async () => {
+		await expect(attempt(() => store.getGroupDetails(userId1, "unknown")))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+	});
+
+	test("the groups of a user aren't visible to other users", async () => {
+		await expect(attempt(() => store.getGroupDetails("contract2", groupId1)))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: groupId1 }));
+	});
+
+	test("the groups of a user aren't visible to a user whose id is a prefix of its id", async () => {
+		await store.createNewUser("contract10", userName1, passwordHash1);
+		await store.createNewUser("contract10_x", userName1, passwordHash1);
+		await store.createGroup("contract10_x", groupId1, groupName1, groupDescription1);
+		await store.addGameToGroup("contract10_x", groupId1, game1);
+
+		await expect(attempt(() => store.getGroupDetails("contract10", `x_${groupId1}`)))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: `x_${groupId1}` }));
+		await expect(attempt(() => store.getGroupGame("contract10", `x_${groupId1}`, game1.id)))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: `x_${groupId1}` }));
+
+		await store.createGroup("contract10", `x_${groupId1}`, "Other", "");
+		expect((await store.getGroupDetails("contract10", `x_${groupId1}`)).games).toEqual({});
+		expect(await store.getGroupDetails("contract10_x", groupId1))
+			.toEqual({ id: groupId1, name: groupName1, description: groupDescription1, games: { [game1.id]: game1.name } });
+	});
+
+
+	// ----- Games -----
+
+	test("addGameToGroup adds the game to the group details", async () => {
+		expect(await store.addGameToGroup(userId1, groupId1, game1)).toEqual(game1);
+
+		expect(await store.getGroupDetails(userId1, groupId1)).toEqual({
+			id: groupId1,
+			name: groupName1,
+			description: groupDescription1,
+			games: { [game1.id]: game1.name }
+		});
+		expect((await store.getGroupDetails(userId1, groupId1, true)).games).toEqual({ [game1.id]: game1 });
+	});
+
+	test("addGameToGroup throws NOT_FOUND for an unknown group", async () => {
+		await expect(attempt(() => store.addGameToGroup(userId1, "unknown", game1)))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+	});
+
+	test("removeGameFromGroup returns the removed game", async () => {
+		expect(await store.removeGameFromGroup(userId1, groupId1, game1.id)).toEqual(game1);
+		expect((await store.getGroupDetails(userId1, groupId1)).games).toEqual({});
+	});
+
+	test("removeGameFromGroup throws NOT_FOUND for a game that isn't in the group", async () => {
+		await expect(attempt(() => store.removeGameFromGroup(userId1, groupId1, game1.id)))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: game1.id }));
+	});
+
+	test("deleteGroup returns the group information and removes its games", async () => {
+		await store.addGameToGroup(userId1, groupId1, game1);
+
+		expect(await store.deleteGroup(userId1, groupId1))
+			.toEqual({ id: groupId1, name: groupName1, description: groupDescription1 });
+		await expect(attempt(() => store.getGroupDetails(userId1, groupId1)))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: groupId1 }));
+
+		await store.createGroup(userId1, groupId1, groupName1, groupDescription1);
+		expect((await store.getGroupDetails(userId1, groupId1)).games).toEqual({});
+	});
+
+	test("deleteGroup throws NOT_FOUND for an unknown group", async () => {
+		await expect(attempt(() => store.deleteGroup(userId1, "unknown")))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+	});
+
+
+	// ----- Group games -----
+
+	const play1 = { id: "play1", date: "2022-01-08", players: ["Ana", "Rui"], winner: "Ana", duration: 90 };
+	const play2 = { id: "play2", date: "2022-01-15", players: [], winner: null, duration: null };
+
+	test("addGameToGroup records the date the game was added", async () => {
+		await store.addGameToGroup(userId1, groupId1, game1);
+
+		expect(await store.getGroupGame(userId1, groupId1, game1.id)).toEqual({
+			gameId: game1.id,
+			name: game1.name,
+			rating: null,
+			notes: "",
+			dateAdded: expect.any(String),
+			plays: []
+		});
+	});
+
+	test("updateGroupGame changes only the given fields", async () => {
+		expect((await store.updateGroupGame(userId1, groupId1, game1.id, { rating: 8 })).rating).toEqual(8);
+
+		const groupGame = await store.updateGroupGame(userId1, groupId1, game1.id, { notes: "Always ends in a trade war" });
+		expect(groupGame).toMatchObject({ rating: 8, notes: "Always ends in a trade war" });
+		expect(await store.getGroupGame(userId1, groupId1, game1.id)).toEqual(groupGame);
+	});
+
+	test("addGamePlay appends the play to the log, kept when the game is added again", async () => {
+		expect(await store.addGamePlay(userId1, groupId1, game1.id, play1)).toEqual(play1);
+		await store.addGamePlay(userId1, groupId1, game1.id, play2);
+		const dateAdded = (await store.getGroupGame(userId1, groupId1, game1.id)).dateAdded;
+
+		await store.addGameToGroup(userId1, groupId1, game1);
+		expect(await store.listGroupGames(userId1, groupId1)).toEqual([{
+			gameId: game1.id,
+			name: game1.name,
+			rating: 8,
+			notes: "Always ends in a trade war",
+			dateAdded,
+			plays: [play1, play2]
+		}]);
+	});
+
+	test("group games throw NOT_FOUND for a game that isn't in the group", async () => {
+		await expect(attempt(() => store.getGroupGame(userId1, groupId1, "unknown")))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: "unknown" }));
+		await expect(attempt(() => store.updateGroupGame(userId1, groupId1, "unknown", { rating: 1 })))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: "unknown" }));
+		await expect(attempt(() => store.addGamePlay(userId1, "unknown", game1.id, play1)))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+	});
+
+	test("removeGameFromGroup discards the rating, notes and plays of the game", async () => {
+		await store.removeGameFromGroup(userId1, groupId1, game1.id);
+		await store.addGameToGroup(userId1, groupId1, game1);
+
+		expect(await store.getGroupGame(userId1, groupId1, game1.id)).toMatchObject({ rating: null, notes: "", plays: [] });
+		await store.removeGameFromGroup(userId1, groupId1, game1.id);
+		expect(await store.listGroupGames(userId1, groupId1)).toEqual([]);
+	});
+
+
+	// ----- Group members -----
+
+	test("setGroupMember adds a member and changes its role", async () => {
+		const memberId = "contract6";
+		await store.createNewUser(memberId, userName1, passwordHash1);
+		await store.createGroup(userId1, "shared", groupName1, groupDescription1);
+
+		expect(await store.setGroupMember(userId1, "shared", memberId, "viewer")).toEqual({ userId: memberId, role: "viewer" });
+		expect(await store.getGroupMemberRole(userId1, "shared", memberId)).toEqual("viewer");
+
+		await store.setGroupMember(userId1, "shared", memberId, "editor");
+		expect(await store.listGroupMembers(userId1, "shared")).toEqual([{ userId: memberId, role: "editor" }]);
+		expect(await store.listSharedGroups(memberId)).toEqual([
+			{ owner: userId1, id: "shared", name: groupName1, description: groupDescription1, role: "editor" }
+		]);
+	});
+
+	test("setGroupMember throws NOT_FOUND for an unknown group or user", async () => {
+		await expect(attempt(() => store.setGroupMember(userId1, "unknown", "contract6", "viewer")))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+		await expect(attempt(() => store.setGroupMember(userId1, "shared", "unknown", "viewer")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("getGroupMemberRole returns nothing for users that aren't members", async () => {
+		expect(await store.getGroupMemberRole(userId1, "shared", "unknown")).toBeFalsy();
+		expect(await store.getGroupMemberRole(userId1, "unknown", "contract6")).toBeFalsy();
+	});
+
+	test("removeGroupMember removes the member from the group", async () => {
+		expect(await store.removeGroupMember(userId1, "shared", "contract6")).toEqual({ userId: "contract6", role: "editor" });
+		expect(await store.listGroupMembers(userId1, "shared")).toEqual([]);
+		expect(await store.listSharedGroups("contract6")).toEqual([]);
+
+		await expect(attempt(() => store.removeGroupMember(userId1, "shared", "contract6")))
+			.rejects.toEqual(errors.NOT_FOUND({ memberId: "contract6" }));
+	});
+
+	test("deleteGroup removes its members", async () => {
+		await store.setGroupMember(userId1, "shared", "contract6", "viewer");
+		await store.deleteGroup(userId1, "shared");
+
+		expect(await store.getGroupMemberRole(userId1, "shared", "contract6")).toBeFalsy();
+		expect(await store.listSharedGroups("contract6")).toEqual([]);
+	});
+
+	test("deleteUser removes the memberships of the user", async () => {
+		const memberId = "contract7";
+		await store.createNewUser(memberId, userName1, passwordHash1);
+		await store.createGroup(userId1, "shared2", groupName1, groupDescription1);
+		await store.setGroupMember(userId1, "shared2", memberId, "viewer");
+
+		await store.deleteUser(memberId);
+		expect(await store.listGroupMembers(userId1, "shared2")).toEqual([]);
+
+		await store.deleteGroup(userId1, "shared2");
+	});
+
+
+	// ----- Share links -----
+
+	test("createShareLink shares the group, replacing its previous link", async () => {
+		await store.createGroup(userId1, "public", groupName1, groupDescription1);
+
+		const first = await store.createShareLink(userId1, "public", "slug1");
+		expect(first).toEqual({ slug: "slug1", createdAt: expect.any(String) });
+		expect(await store.getShareLink("slug1")).toEqual({ owner: userId1, groupId: "public", createdAt: first.createdAt });
+
+		await store.createShareLink(userId1, "public", "slug2");
+		expect(await store.getShareLink("slug1")).toBeFalsy();
+		expect((await store.getGroupShareLink(userId1, "public")).slug).toEqual("slug2");
+	});
+
+	test("createShareLink throws NOT_FOUND for an unknown group", async () => {
+		await expect(attempt(() => store.createShareLink(userId1, "unknown", "slug3")))
+			.rejects.toEqual(errors.NOT_FOUND({ groupId: "unknown" }));
+	});
+
+	test("deleteShareLink revokes the link of the group", async () => {
+		expect((await store.deleteShareLink(userId1, "public")).slug).toEqual("slug2");
+		expect(await store.getShareLink("slug2")).toBeFalsy();
+		expect(await store.getGroupShareLink(userId1, "public")).toBeFalsy();
+		expect(await store.deleteShareLink(userId1, "public")).toBeFalsy();
+	});
+
+	test("deleteGroup revokes its share link", async () => {
+		await store.createShareLink(userId1, "public", "slug4");
+		await store.deleteGroup(userId1, "public");
+
+		expect(await store.getShareLink("slug4")).toBeFalsy();
+	});
+
+
+	// ----- Collection -----
+
+	const game2 = { ...game1, id: "TAAifFP590", name: "Root" };
+
+	test("setCollectionGame adds the game to the collection and changes its status", async () => {
+		expect(await store.setCollectionGame(userId1, game1, "wishlist")).toEqual({
+			gameId: game1.id,
+			name: game1.name,
+			status: "wishlist",
+			updatedAt: expect.any(String)
+		});
+
+		const collectionGame = await store.setCollectionGame(userId1, game1, "owned");
+		expect(await store.getCollectionGame(userId1, game1.id)).toEqual(collectionGame);
+		expect(collectionGame.status).toEqual("owned");
+	});
+
+	test("setCollectionGame throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.setCollectionGame("unknown", game1, "owned")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("listCollection lists the games sorted by name, optionally with a status", async () => {
+		await store.setCollectionGame(userId1, game2, "want-to-play");
+
+		expect((await store.listCollection(userId1)).map(collectionGame => collectionGame.name)).toEqual(["Catan", "Root"]);
+		expect((await store.listCollection(userId1, "want-to-play")).map(collectionGame => collectionGame.gameId))
+			.toEqual([game2.id]);
+		expect(await store.listCollection(userId1, "previously-owned")).toEqual([]);
+	});
+
+	test("removeCollectionGame removes the game from the collection", async () => {
+		expect((await store.removeCollectionGame(userId1, game2.id)).status).toEqual("want-to-play");
+
+		await expect(attempt(() => store.getCollectionGame(userId1, game2.id)))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: game2.id }));
+		await expect(attempt(() => store.removeCollectionGame(userId1, game2.id)))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: game2.id }));
+		expect((await store.listCollection(userId1)).length).toEqual(1);
+	});
+
+
+	// ----- Stats -----
+
+	test("getUserStats counts the games of the groups of the user once", async () => {
+		const userId = "contract8";
+		const game3 = {
+			...game1, id: "TAAifFP590", name: "Root", price: "45.50", publisher: "Leder Games",
+			mechanics: ["Area Control", "Trading"], categories: ["Wargame"]
+		};
+		await store.createNewUser(userId, userName1, passwordHash1);
+		await store.createGroup(userId, "G1", "Favorites", "");
+		await store.createGroup(userId, "G2", "Club", "");
+		await store.createGroup(userId, "G3", "Empty", "");
+		await store.addGameToGroup(userId, "G1", game1);
+		await store.addGameToGroup(userId, "G1", game3);
+		await store.addGameToGroup(userId, "G2", game1);
+
+		expect(await store.getUserStats(userId, 1)).toEqual({
+			count: 2,
+			totalValue: 67.5,
+			mechanics: [{ name: "Trading", count: 2 }],
+			categories: [{ name: "Negotiation", count: 1 }],
+			publishers: [{ name: "KOSMOS", count: 1, value: 22 }],
+			groups: [
+				{ id: "G2", name: "Club", count: 1 },
+				{ id: "G3", name: "Empty", count: 0 },
+				{ id: "G1", name: "Favorites", count: 2 }
+			]
+		});
+	});
+
+	test("listUserGameIds lists the games of the groups of the user once", async () => {
+		expect(await store.listUserGameIds("contract8")).toEqual([game1.id, "TAAifFP590"].sort());
+		expect(await store.listUserGameIds("contract3")).toEqual([]);
+
+		await expect(attempt(() => store.listUserGameIds("unknown")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("getUserStats of a user without groups", async () => {
+		expect(await store.getUserStats("contract3", 10))
+			.toEqual({ count: 0, totalValue: 0, mechanics: [], categories: [], publishers: [], groups: [] });
+	});
+
+	test("getUserStats throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.getUserStats("unknown", 10)))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+
+	// ----- User profile -----
+
+	test("updateUserName changes the name of the user", async () => {
+		expect(await store.updateUserName(userId1, "Renamed")).toEqual({ userId: userId1, userName: "Renamed" });
+		expect((await store.getUser(userId1)).userName).toEqual("Renamed");
+
+		await expect(attempt(() => store.updateUserName("unknown", "Renamed")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+	test("deleteUser deletes the user with its groups, games, collection, tokens and reset code", async () => {
+		const userId = "contract4";
+		const token = (await store.createNewUser(userId, userName1, passwordHash1)).token;
+		await store.createGroup(userId, groupId1, groupName1, groupDescription1);
+		await store.addGameToGroup(userId, groupId1, game1);
+		await store.setCollectionGame(userId, game1, "owned");
+		await store.saveResetCode(userId, { codeHash: "hash1", expiresAt: "2030-01-01T00:00:00.000Z", attempts: 0 });
+
+		expect(await store.deleteUser(userId)).toEqual({ userId, userName: userName1 });
+
+		await expect(attempt(() => store.getUser(userId)))
+			.rejects.toEqual(errors.NOT_FOUND({ userId }));
+		expect(await store.getTokenInfo(token)).toBeFalsy();
+		expect(await store.listTokens(userId)).toEqual([]);
+		expect(await store.getResetCode(userId)).toBeFalsy();
+
+		await store.createNewUser(userId, userName1, passwordHash1);
+		expect((await store.listUserGroups(userId)).groups).toEqual([]);
+		expect(await store.listCollection(userId)).toEqual([]);
+		await store.createGroup(userId, groupId1, groupName1, groupDescription1);
+		expect((await store.getGroupDetails(userId, groupId1)).games).toEqual({});
+
+		expect((await store.getGroupDetails(userId1, groupId1)).id).toEqual(groupId1);
+	});
+
+	test("deleteUser throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.deleteUser("unknown")))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+
+
+	// ----- Users administration -----
+
+	test("createNewUser creates an enabled user with the user role", async () => {
+		expect(await store.getUser(userId1)).toMatchObject({ role: "user", disabled: false });
+	});
+
+	test("listUsers lists the users by pages sorted by userId", async () => {
+		await store.createNewUser("contract0", userName1, passwordHash1);
+
+		const all = await store.listUsers(100, 0);
+		const userIds = all.users.map(user => user.userId);
+
+		expect(all.count).toEqual(all.users.length);
+		expect(userIds).toEqual([...userIds].sort());
+		expect(userIds.indexOf("contract0")).toBeLessThan(userIds.indexOf(userId1));
+		expect(all.users).toContainEqual({ userId: "contract0", userName: userName1, role: "user", disabled: false });
+
+		expect(await store.listUsers(2, 1)).toEqual({ count: all.count, users: all.users.slice(1, 3) });
+	});
+
+	test("updateUser changes only the given fields", async () => {
+		const userId = "contract5";
+		await store.createNewUser(userId, userName1, passwordHash1);
+
+		expect(await store.updateUser(userId, { role: "admin" }))
+			.toEqual({ userId, userName: userName1, role: "admin", disabled: false });
+		expect(await store.updateUser(userId, { disabled: true }))
+			.toEqual({ userId, userName: userName1, role: "admin", disabled: true });
+		expect(await store.getUser(userId)).toMatchObject({ role: "admin", disabled: true, passwordHash: passwordHash1 });
+	});
+
+	test("updateUser throws NOT_FOUND for an unknown user", async () => {
+		await expect(attempt(() => store.updateUser("unknown", { disabled: true })))
+			.rejects.toEqual(errors.NOT_FOUND({ userId: "unknown" }));
+	});
+});
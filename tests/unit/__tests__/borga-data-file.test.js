@@ -0,0 +1,139 @@
+'use strict';
+
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../../../borga-config');
+const errors = require('../../../borga-errors.js');
+const dataFileBuilder = require('../../../borga-data-file.js');
+const stores = require('../../../borga-data-stores.js');
+
+const test_user = config.guest;
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const userId1 = "a48309";
+const userName1 = "André Santos";
+const passwordHash1 = "03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4";
+const groupId1 = "PG";
+const groupName1 = "Paulão Games";
+const groupDescription1 = "This is a description";
+const game1 = {
+	id: "I9azM1kA6l",
+	name: "Monopoly Skyrim"
+};
+
+const dataDir = path.join(os.tmpdir(), `borga-data-file-${process.pid}`);
+const dataPath = path.join(dataDir, 'borga-data.json');
+
+
+/**
+ * Builds a file store with a new file, and creates the user of the tests in it.
+ */
+const buildDataFile = () => {
+	const dataFile = dataFileBuilder(test_user, dataPath);
+	dataFile.createNewUser(userId1, userName1, passwordHash1);
+	return dataFile;
+};
+
+
+describe("File data store tests", () => {
+	beforeEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+	afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+	test("the file is created with only the guest user", () => {
+		dataFileBuilder(test_user, dataPath);
+
+		const state = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+		expect(Object.keys(state.users)).toEqual([test_user.id]);
+		expect(Object.keys(state.tokens)).toEqual([test_user.token]);
+	});
+
+	test("the changes are kept by a new store using the same file", () => {
+		const dataFile = buildDataFile();
+		dataFile.createGroup(userId1, groupId1, groupName1, groupDescription1);
+		dataFile.addGameToGroup(userId1, groupId1, game1);
+
+		const reloaded = dataFileBuilder(test_user, dataPath);
+		expect(reloaded.getGroupDetails(userId1, groupId1, true))
+			.toEqual({
+				id: groupId1,
+				name: groupName1,
+				description: groupDescription1,
+				games: { [game1.id]: game1 }
+			});
+	});
+
+	test("a failed operation doesn't change the file", () => {
+		const dataFile = buildDataFile();
+		dataFile.createGroup(userId1, groupId1, groupName1, groupDescription1);
+		const content = fs.readFileSync(dataPath, 'utf8');
+
+		expect(() => dataFile.createGroup(userId1, groupId1, "Other name", ""))
+			.toThrow(errors.ALREADY_EXISTS({ groupId: groupId1 }));
+		expect(fs.readFileSync(dataPath, 'utf8')).toEqual(content);
+	});
+
+	test("the data is rolled back if the file can't be written", () => {
+		const dataFile = buildDataFile();
+		fs.mkdirSync(`${dataPath}.tmp`);
+
+		expect(() => dataFile.createGroup(userId1, groupId1, groupName1, groupDescription1)).toThrow();
+		expect(() => dataFile.getGroupFromUser(userId1, groupId1))
+			.toThrow(errors.NOT_FOUND({ groupId: groupId1 }));
+	});
+
+	test("the last use of a token is saved with the next change", () => {
+		const dataFile = buildDataFile();
+		const { token } = dataFile.createToken(userId1, "cli", null);
+		const content = fs.readFileSync(dataPath, 'utf8');
+		const lastUsedAt = "2022-01-10T12:00:00.000Z";
+
+		dataFile.touchToken(token, lastUsedAt);
+		expect(fs.readFileSync(dataPath, 'utf8')).toEqual(content);
+
+		dataFile.createGroup(userId1, groupId1, groupName1, groupDescription1);
+		expect(dataFileBuilder(test_user, dataPath).getTokenInfo(token).lastUsedAt).toEqual(lastUsedAt);
+	});
+
+	test("loading an invalid file throws FAIL", () => {
+		fs.mkdirSync(dataDir, { recursive: true });
+		fs.writeFileSync(dataPath, "{ invalid");
+
+		try {
+			dataFileBuilder(test_user, dataPath);
+		}
+		catch (err) {
+			expect(err.name).toEqual('FAIL');
+			return;
+		}
+		throw new Error("shouldn't load an invalid file");
+	});
+
+	test("tokens saved in the old format are loaded as tokens that don't expire", () => {
+		const state = dataFileBuilder(test_user, dataPath).exportState();
+		fs.writeFileSync(dataPath, JSON.stringify({ ...state, tokens: { "old-token": userId1 } }));
+
+		const dataFile = dataFileBuilder(test_user, dataPath);
+		expect(dataFile.getTokenInfo("old-token"))
+			.toMatchObject({ userId: userId1, name: "default", expiresAt: null, revoked: false });
+	});
+});
+
+
+describe("Store selection tests", () => {
+	test("buildStore builds the file store", () => {
+		const dataFile = stores.buildStore({ store: 'file', file: dataPath }, undefined, test_user);
+
+		expect(dataFile.getUser(test_user.id)).toBeDefined();
+		fs.rmSync(dataDir, { recursive: true, force: true });
+	});
+
+	test("buildStore throws FAIL for an unknown store", () => {
+		expect(() => stores.buildStore({ store: 'unknown' }))
+			.toThrow(errors.FAIL({ store: 'unknown', available: ['mem', 'db', 'file'] }));
+	});
+});
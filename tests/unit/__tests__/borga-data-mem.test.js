@@ -32,7 +32,9 @@ const groupId1 = "PG";
 const groupObj1 = {
 	name: groupName1,
 	description: groupDescription1,
-	games: {}
+	games: {},
+	gameData: {},
+	members: {}
 };
 
 /**
@@ -93,7 +95,10 @@ describe("User tests", () => {
 			.toEqual({
 				userName: userName1,
 				passwordHash: defaultHashedPassword,
-				groups: {}
+				role: "user",
+				disabled: false,
+				groups: {},
+				collection: {}
 			});
 	});
 
@@ -158,20 +163,42 @@ describe("Group tests", () => {
 			.toEqual({
 				name: newGroupName,
 				description: newGroupDescription,
-				games: {}
+				games: {},
+				gameData: {},
+				members: {}
 			});
 	});
 
 	test("listUserGroups returns an array containing all group objects", () => {
 		expect(dataMem.listUserGroups(userId1))
 			.toEqual({
-				[groupId1]: {
+				groups: [{
+					id: groupId1,
 					name: groupObj1.name,
 					description: groupObj1.description
-				}
+				}],
+				next: null
 			});
 	});
 
+	test("listUserGroups returns the groups by pages sorted by name and id", () => {
+		dataMem.createGroup(userId1, "b", "A group", "");
+		dataMem.createGroup(userId1, "a", "A group", "");
+
+		const page1 = dataMem.listUserGroups(userId1, 2);
+		expect(page1.groups.map(group => group.id)).toEqual(["a", "b"]);
+		expect(page1.next).toEqual(["A group", "b"]);
+
+		const page2 = dataMem.listUserGroups(userId1, 2, page1.next);
+		expect(page2.groups.map(group => group.id)).toEqual([groupId1]);
+		expect(page2.next).toEqual(null);
+
+		expect(dataMem.listUserGroups(userId1, 1, undefined, 1).groups.map(group => group.id)).toEqual(["b"]);
+
+		dataMem.deleteGroup(userId1, "a");
+		dataMem.deleteGroup(userId1, "b");
+	});
+
 	test("deleteGroup deletes a group, returning name of the group", () => {
 		expect(dataMem.deleteGroup(userId1, groupId1))
 			.toEqual({
@@ -202,6 +229,15 @@ describe("Game tests", () => {
 			.toEqual(game1);
 	});
 
+	test("getGroupDetails returns game names, or the game objects when expanded", () => {
+		dataMem.addGameToGroup(userId1, groupId1, game1);
+
+		expect(dataMem.getGroupDetails(userId1, groupId1).games)
+			.toEqual({ [gameId1]: gameName1 });
+		expect(dataMem.getGroupDetails(userId1, groupId1, true).games)
+			.toEqual({ [gameId1]: game1 });
+	});
+
 	test("removeGameFromGroup removes game, returning name of the removed game", () => {
 		dataMem.addGameToGroup(userId1, groupId1, game1)
 
@@ -228,7 +264,10 @@ describe('Utils tests', () => {
 			.toEqual({
 				userName: userName1,
 				passwordHash: defaultHashedPassword,
-				groups: { [groupId1]: groupObj1 }
+				role: "user",
+				disabled: false,
+				groups: { [groupId1]: groupObj1 },
+				collection: {}
 			});
 	});
 
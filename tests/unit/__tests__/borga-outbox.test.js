@@ -0,0 +1,37 @@
+'use strict';
+
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxBuilder = require('../../../borga-outbox.js');
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const outboxDir = path.join(os.tmpdir(), `borga-outbox-${process.pid}`);
+const outboxPath = path.join(outboxDir, 'outbox.jsonl');
+
+
+describe("Outbox tests", () => {
+	afterAll(() => fs.rmSync(outboxDir, { recursive: true, force: true }));
+
+	test("send appends each message to the outbox file as a JSON line", () => {
+		const outbox = outboxBuilder(outboxPath);
+		outbox.send("a48309", "Subject 1", "Text 1");
+		outbox.send("a48280", "Subject 2", "Text 2");
+
+		const messages = fs.readFileSync(outboxPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+		expect(messages.map(message => [message.to, message.subject, message.text]))
+			.toEqual([["a48309", "Subject 1", "Text 1"], ["a48280", "Subject 2", "Text 2"]]);
+	});
+
+	test("send logs the message without an outbox file", () => {
+		jest.spyOn(console, 'log').mockImplementation(() => { });
+
+		const message = outboxBuilder().send("a48309", "Subject", "Text");
+		expect(console.log).toHaveBeenCalledWith('OUTBOX', message);
+
+		console.log.mockRestore();
+	});
+});
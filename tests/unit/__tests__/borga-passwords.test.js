@@ -0,0 +1,46 @@
+'use strict';
+
+
+const passwords = require('../../../borga-passwords.js');
+
+
+// ----------------------------- Constants used in tests -----------------------------
+const password1 = "1234";
+const legacyHash1 = "03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4";
+const weakHash1 = "scrypt$1024$8$1$c2FsdA==$ZZZ";
+
+
+describe("Password hashing tests", () => {
+	test("hashPassword encodes the algorithm, parameters, salt and key", async () => {
+		const hash = await passwords.hashPassword(password1);
+
+		expect(hash).toMatch(/^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+	});
+
+	test("hashPassword uses a different salt for each hash", async () => {
+		expect(await passwords.hashPassword(password1)).not.toEqual(await passwords.hashPassword(password1));
+	});
+
+	test("verifyPassword accepts only the hashed password", async () => {
+		const hash = await passwords.hashPassword(password1);
+
+		expect(await passwords.verifyPassword(password1, hash)).toEqual(true);
+		expect(await passwords.verifyPassword("12345", hash)).toEqual(false);
+	});
+
+	test("verifyPassword accepts legacy SHA-256 hashes", async () => {
+		expect(await passwords.verifyPassword(password1, legacyHash1)).toEqual(true);
+		expect(await passwords.verifyPassword("12345", legacyHash1)).toEqual(false);
+	});
+
+	test("verifyPassword rejects unknown hash formats", async () => {
+		expect(await passwords.verifyPassword(password1, "md5$abc")).toEqual(false);
+		expect(await passwords.verifyPassword(password1, undefined)).toEqual(false);
+	});
+
+	test("needsUpgrade is true only for hashes that aren't scrypt with the current parameters", async () => {
+		expect(passwords.needsUpgrade(await passwords.hashPassword(password1))).toEqual(false);
+		expect(passwords.needsUpgrade(legacyHash1)).toEqual(true);
+		expect(passwords.needsUpgrade(weakHash1)).toEqual(true);
+	});
+});
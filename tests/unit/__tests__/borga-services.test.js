@@ -76,10 +76,82 @@ describe("Search tests", () => {
 	});
 
 
+	test('Search games with a filter of the wrong type', async () => {
+		try {
+			await defaultServices.searchGamesByName(gameName1, undefined, undefined, undefined, { players: "two" });
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			expect(err.info).toEqual({ players: "wrong type. expected number" });
+			return;
+		}
+		throw new Error("shouldn't return from searchGamesByName with a filter of the wrong type");
+	});
+
+	test('Search games with an unknown filter', async () => {
+		try {
+			await defaultServices.searchGamesByName(gameName1, undefined, undefined, undefined, { color: "red" });
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			return;
+		}
+		throw new Error("shouldn't return from searchGamesByName with an unknown filter");
+	});
+
 	test('Search for existing game', async () => {
-		const games = await defaultServices.searchGamesByName(gameName1);
-		expect(games).toBeDefined();
-		expect(games[0]).toEqual(mockDataExt.games[gameId1]);
+		const res = await defaultServices.searchGamesByName(gameName1);
+		expect(res.count).toEqual(1);
+		expect(res.games[0]).toEqual(mockDataExt.games[gameId1]);
+	});
+
+	test('Search games by page', async () => {
+		const res = await defaultServices.searchGamesByName(gameName1, 1, undefined, undefined, {}, undefined, 2);
+		expect(res.count).toEqual(1);
+		expect(res.limit).toEqual(1);
+		expect(res.skip).toEqual(1);
+		expect(res.games).toEqual([]);
+	});
+
+	test('Search games with blank pagination params', async () => {
+		const res = await defaultServices.searchGamesByName(gameName1, '', undefined, undefined, {}, '', '');
+		expect(res.count).toEqual(1);
+		expect(res.limit).toEqual(30);
+		expect(res.skip).toEqual(0);
+		expect(res.games).toEqual([mockDataExt.games[gameId1]]);
+	});
+
+	test('Search games with invalid pagination params', async () => {
+		try {
+			await defaultServices.searchGamesByName(gameName1, 500, undefined, undefined, {}, -1, 0);
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			expect(Object.keys(err.info)).toEqual(["limit", "skip", "page"]);
+			return;
+		}
+		throw new Error("shouldn't return from searchGamesByName with invalid pagination params");
+	});
+});
+
+
+//-- Games by ids tests --
+describe("Games by ids tests", () => {
+	test('Get games by ids returns found games and not found ids', async () => {
+		const res = await defaultServices.getGamesByIds([gameId1, "OIXt3DmJU0", "undefined", gameId1]);
+		expect(res.games).toEqual([mockDataExt.games[gameId1], mockDataExt.games["OIXt3DmJU0"]]);
+		expect(res.notFound).toEqual(["undefined"]);
+	});
+
+	test('Get games by ids without ids', async () => {
+		try {
+			await defaultServices.getGamesByIds([]);
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			return;
+		}
+		throw new Error("shouldn't return from getGamesByIds without ids");
 	});
 });
 
@@ -151,6 +223,23 @@ describe("User tests", () => {
 		expect(res).toBeDefined();
 		expect(res.userId).toEqual("profid");
 		expect(res.userName).toEqual("Paulão");
+		expect(dataMem.getUser("profid").passwordHash).toMatch(/^scrypt\$/);
+	});
+
+	test('Check credentials with a wrong password', async () => {
+		await expect(defaultServices.checkCredentials(userId1, "4321"))
+			.rejects.toEqual(errors.UNAUTHENTICATED({ userId: userId1 }));
+	});
+
+	test('Check credentials upgrades a legacy password hash', async () => {
+		dataMem.createNewUser("legacyid", "Legacy", "03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4");
+
+		await defaultServices.checkCredentials("legacyid", "1234");
+		const passwordHash = dataMem.getUser("legacyid").passwordHash;
+		expect(passwordHash).toMatch(/^scrypt\$/);
+
+		await defaultServices.checkCredentials("legacyid", "1234");
+		expect(dataMem.getUser("legacyid").passwordHash).toEqual(passwordHash);
 	});
 });
 
@@ -215,10 +304,39 @@ describe("User groups operations tests", () => {
 	test('List groups with valid parameters', async () => {
 		const res = await defaultServices.listUserGroups(token1, userId1);
 		expect(res).toBeDefined();
-		expect(res[groupId1]).toEqual({
+		expect(res.groups).toEqual([{
+			id: groupId1,
 			name: groupObj1.name,
 			description: groupObj1.description
-		});
+		}]);
+		expect(res.sort).toEqual(["name", "id"]);
+		expect(res.next).toEqual(null);
+	});
+
+	test('List groups by pages with the next cursor', async () => {
+		await dataMem.createGroup(userId1, "AaG", "A group", "");
+
+		const page1 = await defaultServices.listUserGroups(token1, userId1, 1);
+		expect(page1.groups.map(group => group.id)).toEqual(["AaG"]);
+		expect(page1.next).toBeTruthy();
+
+		const page2 = await defaultServices.listUserGroups(token1, userId1, 1, page1.next);
+		expect(page2.groups.map(group => group.id)).toEqual([groupId1]);
+		expect(page2.next).toEqual(null);
+
+		await dataMem.deleteGroup(userId1, "AaG");
+	});
+
+	test('List groups with an invalid cursor', async () => {
+		try {
+			await defaultServices.listUserGroups(token1, userId1, 1, "invalid");
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			expect(err.info).toEqual({ cursor: "Invalid cursor" });
+			return;
+		}
+		throw new Error("shouldn't return from listUserGroups with an invalid cursor");
 	});
 
 	test('Delete group with valid parameters', async () => {
@@ -242,6 +360,23 @@ describe("User groups operations tests", () => {
 		});
 	});
 
+	test('Get group details with expanded games', async () => {
+		await defaultServices.addGameToGroup(token1, userId1, groupId1, gameId1);
+		const res = await defaultServices.getGroupDetails(token1, userId1, groupId1, 'games');
+		expect(res.games).toEqual({ [gameId1]: mockDataExt.games[gameId1] });
+	});
+
+	test('Get group details with an unknown expand value', async () => {
+		try {
+			await defaultServices.getGroupDetails(token1, userId1, groupId1, 'users');
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			return;
+		}
+		throw new Error("shouldn't return from getGroupDetails with an unknown expand value");
+	});
+
 	test('Add game to group with valid parameters', async () => {
 		const res = await defaultServices.addGameToGroup(token1, userId1, groupId1, gameId1);
 		expect(res).toBeDefined();
@@ -255,3 +390,795 @@ describe("User groups operations tests", () => {
 		expect(res).toEqual(mockDataExt.games[gameId1]);
 	});
 });
+
+
+//-- Tokens tests --
+describe("Tokens tests", () => {
+	test('Login creates a session token that expires', async () => {
+		const user = await defaultServices.login(userId1, "1234");
+		expect(user.userId).toEqual(userId1);
+
+		const tokenInfo = await dataMem.getTokenInfo(user.token);
+		expect(tokenInfo.id).toEqual(user.tokenId);
+		expect(tokenInfo.name).toEqual("web session");
+		expect(new Date(tokenInfo.expiresAt) > new Date()).toEqual(true);
+	});
+
+	test('Login deletes the revoked and expired session tokens', async () => {
+		const loggedOut = await defaultServices.login(userId1, "1234");
+		await defaultServices.revokeToken(loggedOut.token, userId1, loggedOut.tokenId);
+		const expired = await dataMem.createToken(userId1, "web session", "2020-01-01T00:00:00.000Z");
+		const other = await dataMem.createToken(userId1, "expired cli", "2020-01-01T00:00:00.000Z");
+
+		const user = await defaultServices.login(userId1, "1234");
+
+		const tokenIds = (await dataMem.listTokens(userId1)).map(tokenInfo => tokenInfo.id);
+		expect(tokenIds).toEqual(expect.arrayContaining([user.tokenId, other.id]));
+		expect(tokenIds).not.toContain(loggedOut.tokenId);
+		expect(tokenIds).not.toContain(expired.id);
+	});
+
+	test('Create token with an invalid lifetime', async () => {
+		try {
+			await defaultServices.createToken(token1, userId1, "cli", 0.5);
+		}
+		catch (err) {
+			expect(err.name).toEqual('BAD_REQUEST');
+			return;
+		}
+		throw new Error("shouldn't return from createToken with an invalid lifetime");
+	});
+
+	test('Created token authenticates the user and records its last use', async () => {
+		const created = await defaultServices.createToken(token1, userId1, "cli", 30);
+		expect(created.name).toEqual("cli");
+
+		const res = await defaultServices.listTokens(created.token, userId1);
+		const listed = res.tokens.find(tokenInfo => tokenInfo.id == created.id);
+		expect(listed.lastUsedAt).toBeTruthy();
+		expect(listed.token).toBeUndefined();
+	});
+
+	test('Revoked token is rejected', async () => {
+		const created = await defaultServices.createToken(token1, userId1, "to revoke");
+		await defaultServices.revokeToken(token1, userId1, created.id);
+
+		await expect(defaultServices.listTokens(created.token, userId1))
+			.rejects.toEqual(errors.UNAUTHENTICATED('The user token was revoked'));
+	});
+
+	test('Expired token is rejected', async () => {
+		const created = await dataMem.createToken(userId1, "expired", "2020-01-01T00:00:00.000Z");
+
+		await expect(defaultServices.listTokens(created.token, userId1))
+			.rejects.toEqual(errors.UNAUTHENTICATED('The user token has expired'));
+	});
+
+	test('Rotate token replaces it by a new one with the same name and lifetime', async () => {
+		const created = await defaultServices.createToken(token1, userId1, "ci", 10);
+		const rotated = await defaultServices.rotateToken(token1, userId1, created.id);
+
+		expect(rotated.token).not.toEqual(created.token);
+		expect(rotated.name).toEqual("ci");
+		expect(new Date(rotated.expiresAt) - new Date(rotated.createdAt)).toBeCloseTo(10 * 24 * 60 * 60 * 1000, -3);
+		expect((await dataMem.getTokenInfo(created.token)).revoked).toEqual(true);
+
+		await expect(defaultServices.rotateToken(token1, userId1, created.id))
+			.rejects.toEqual(errors.BAD_REQUEST({ tokenId: "The token was revoked" }));
+	});
+
+	test('Tokens of other users can\'t be managed', async () => {
+		await expect(defaultServices.listTokens(token1, "a48280"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+});
+
+
+//-- Password tests --
+describe("Password tests", () => {
+	const userId2 = "pwduser";
+	const sentMessages = [];
+	const outbox = { send: (userId, subject, text) => sentMessages.push({ to: userId, subject, text }) };
+	const services = servicesBuilder(mockDataExt, dataMem, outbox);
+
+	/**
+	 * Gets the code of the last reset message sent to the user.
+	 */
+	const getSentCode = () => sentMessages[sentMessages.length - 1].text.match(/\d{8}/)[0];
+
+	let userToken;
+	beforeAll(async () => {
+		userToken = (await services.createNewUser(userId2, "Password", "1234")).token;
+	});
+
+	test('Change password with a wrong old password', async () => {
+		const error = await services.changePassword(userToken, userId2, "4321", "abcd").catch(err => err);
+
+		expect(error).toEqual(errors.UNAUTHENTICATED({ userId: userId2 }));
+		expect(JSON.stringify(error)).not.toContain("4321");
+	});
+
+	test('Change password to a password with other characters besides 4 to 20 alphanumeric ones', async () => {
+		for (const newPassword of ["abcd efgh!", "abcdefghijklmnopqrstu"])
+			await expect(services.changePassword(userToken, userId2, "1234", newPassword))
+				.rejects.toEqual(errors.BAD_REQUEST({ newPassword: "Only alphanumeric characters. Length: [4, 20] characters" }));
+	});
+
+	test('Change password revokes all the tokens and returns a new one', async () => {
+		const res = await services.changePassword(userToken, userId2, "1234", "abcd");
+
+		await expect(services.checkCredentials(userId2, "abcd")).resolves.toBeDefined();
+		await expect(services.listTokens(userToken, userId2))
+			.rejects.toEqual(errors.UNAUTHENTICATED('The user token was revoked'));
+		expect((await services.listTokens(res.token, userId2)).tokens.filter(tokenInfo => !tokenInfo.revoked).length)
+			.toEqual(1);
+
+		userToken = res.token;
+	});
+
+	test('Request password reset for an unknown user sends nothing', async () => {
+		await services.requestPasswordReset("unknownuser");
+		expect(sentMessages.length).toEqual(0);
+	});
+
+	test('Reset password with the sent code, only once', async () => {
+		await services.requestPasswordReset(userId2);
+		const code = getSentCode();
+
+		const res = await services.resetPassword(userId2, code, "efgh");
+		expect(res.userId).toEqual(userId2);
+		await expect(services.checkCredentials(userId2, "efgh")).resolves.toBeDefined();
+
+		await expect(services.resetPassword(userId2, code, "ijkl"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Invalid or expired reset code'));
+	});
+
+	test('Reset code is discarded after too many wrong codes', async () => {
+		await services.requestPasswordReset(userId2);
+		const code = getSentCode();
+		const wrongCode = code == "00000000" ? "11111111" : "00000000";
+
+		for (let i = 0; i < 5; i++) {
+			await expect(services.resetPassword(userId2, wrongCode, "ijkl"))
+				.rejects.toEqual(errors.UNAUTHENTICATED('Invalid or expired reset code'));
+		}
+
+		await expect(services.resetPassword(userId2, code, "ijkl"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Invalid or expired reset code'));
+	});
+
+	test('Expired reset code is rejected', async () => {
+		await services.requestPasswordReset(userId2);
+		const code = getSentCode();
+		dataMem.saveResetCode(userId2, { ...dataMem.getResetCode(userId2), expiresAt: "2020-01-01T00:00:00.000Z" });
+
+		await expect(services.resetPassword(userId2, code, "ijkl"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Invalid or expired reset code'));
+	});
+});
+
+
+//-- Profile tests --
+describe("Profile tests", () => {
+	const userId3 = "profileuser";
+	let userToken;
+
+	beforeAll(async () => {
+		userToken = (await defaultServices.createNewUser(userId3, "Profile", "1234")).token;
+	});
+
+	test('Get profile of the user', async () => {
+		expect(await defaultServices.getProfile(userToken, userId3)).toEqual({ userId: userId3, userName: "Profile", role: "user" });
+	});
+
+	test('Update profile with an invalid user name', async () => {
+		for (const userName of ["ab", "<b>Profile</b>", "abcdefghijklmnopqrstu"])
+			await expect(defaultServices.updateProfile(userToken, userId3, userName))
+				.rejects.toEqual(errors.BAD_REQUEST({ userName: "Only alphanumeric characters. Length: [4, 20] characters" }));
+	});
+
+	test('Update profile changes the user name', async () => {
+		expect(await defaultServices.updateProfile(userToken, userId3, "Renamed"))
+			.toEqual({ userId: userId3, userName: "Renamed" });
+	});
+
+	test('Profile of another user can\'t be deleted', async () => {
+		await expect(defaultServices.deleteUser(token1, userId3))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('Delete user removes the account and its tokens', async () => {
+		await defaultServices.createGroup(userToken, userId3, groupName1, groupDescription1);
+
+		expect(await defaultServices.deleteUser(userToken, userId3)).toEqual({ userId: userId3, userName: "Renamed" });
+		await expect(defaultServices.getProfile(userToken, userId3))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+});
+
+
+//-- Group games tests --
+describe("Group games tests", () => {
+	const ownerId = "playowner";
+	const viewerId = "playviewer";
+	const tokens = {};
+	let groupId;
+
+	beforeAll(async () => {
+		for (const userId of [ownerId, viewerId])
+			tokens[userId] = (await defaultServices.createNewUser(userId, "Player", "1234")).token;
+
+		groupId = (await defaultServices.createGroup(tokens[ownerId], ownerId, "Game Nights", "What we play")).id;
+		await defaultServices.setGroupMember(tokens[ownerId], ownerId, groupId, viewerId, "viewer");
+		await defaultServices.addGameToGroup(tokens[ownerId], ownerId, groupId, gameId1);
+	});
+
+	test('Rate a game and write notes about it', async () => {
+		const groupGame = await defaultServices.updateGroupGame(tokens[ownerId], ownerId, groupId, gameId1, 7, "Too long");
+		expect(groupGame).toMatchObject({ gameId: gameId1, rating: 7, notes: "Too long", plays: [] });
+
+		expect((await defaultServices.updateGroupGame(tokens[ownerId], ownerId, groupId, gameId1, null)).rating).toEqual(null);
+		expect(await defaultServices.getGroupGame(tokens[viewerId], ownerId, groupId, gameId1))
+			.toMatchObject({ rating: null, notes: "Too long" });
+	});
+
+	test('Rate a game with invalid values', async () => {
+		await expect(defaultServices.updateGroupGame(tokens[ownerId], ownerId, groupId, gameId1))
+			.rejects.toEqual(errors.BAD_REQUEST('A rating and/or notes are required'));
+		await expect(defaultServices.updateGroupGame(tokens[ownerId], ownerId, groupId, gameId1, 11))
+			.rejects.toEqual(errors.BAD_REQUEST({ rating: "Must be an integer between 1 and 10, or null" }));
+		await expect(defaultServices.updateGroupGame(tokens[ownerId], ownerId, groupId, gameId1, "10"))
+			.rejects.toEqual(errors.BAD_REQUEST({ rating: "wrong type. expected number. instead got string" }));
+	});
+
+	test('Log plays of a game', async () => {
+		const play = await defaultServices.addGamePlay(tokens[ownerId], ownerId, groupId, gameId1,
+			"2022-01-08", [" Ana ", "Rui"], "Ana", 90);
+		expect(play).toEqual({ id: expect.any(String), date: "2022-01-08", players: ["Ana", "Rui"], winner: "Ana", duration: 90 });
+
+		await defaultServices.addGamePlay(tokens[ownerId], ownerId, groupId, gameId1, "2022-01-15");
+		expect((await defaultServices.listGroupGames(tokens[viewerId], ownerId, groupId)).games[0].plays).toEqual([
+			play,
+			{ id: expect.any(String), date: "2022-01-15", players: [], winner: null, duration: null }
+		]);
+	});
+
+	test('Log plays with invalid values', async () => {
+		await expect(defaultServices.addGamePlay(tokens[ownerId], ownerId, groupId, gameId1, "2022-02-30"))
+			.rejects.toEqual(errors.BAD_REQUEST({ date: "Must be a date in the format YYYY-MM-DD" }));
+		await expect(defaultServices.addGamePlay(tokens[ownerId], ownerId, groupId, gameId1, "2022-02-01", ["Ana", 7]))
+			.rejects.toEqual(errors.BAD_REQUEST({ players: "Must be a list of up to 20 player names" }));
+		await expect(defaultServices.addGamePlay(tokens[ownerId], ownerId, groupId, gameId1, "2022-02-01", ["Ana"], "Rui"))
+			.rejects.toEqual(errors.BAD_REQUEST({ winner: "Must be one of the players" }));
+		await expect(defaultServices.addGamePlay(tokens[ownerId], ownerId, groupId, gameId1, "2022-02-01", [], undefined, 0.5))
+			.rejects.toEqual(errors.BAD_REQUEST({ duration: "Must be a positive integer, in minutes" }));
+	});
+
+	test('Viewers can\'t rate games or log plays', async () => {
+		await expect(defaultServices.updateGroupGame(tokens[viewerId], ownerId, groupId, gameId1, 5))
+			.rejects.toEqual(errors.FORBIDDEN({ permission: "groups:games" }));
+		await expect(defaultServices.addGamePlay(tokens[viewerId], ownerId, groupId, gameId1, "2022-02-01"))
+			.rejects.toEqual(errors.FORBIDDEN({ permission: "groups:games" }));
+	});
+
+	test('Games that aren\'t in the group can\'t be rated', async () => {
+		await expect(defaultServices.updateGroupGame(tokens[ownerId], ownerId, groupId, "unknown", 5))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: "unknown" }));
+	});
+});
+
+
+//-- Groups import and export tests --
+describe("Groups import and export tests", () => {
+	const userId = "exporter";
+	const csvText = 'group,description,gameId,gameName\n' +
+		'Favorites,"What we play, mostly",I9azM1kA6l,Skyrim\n' +
+		'Favorites,"What we play, mostly",OIXt3DmJU0,Catan\n' +
+		'Empty,Nothing yet,,\n';
+	let token;
+
+	beforeAll(async () => {
+		token = (await defaultServices.createNewUser(userId, "Exporter", "1234")).token;
+	});
+
+	test('Import groups in dry-run mode', async () => {
+		const report = await defaultServices.importGroups(token, userId, "csv", csvText, true);
+
+		expect(report).toEqual({
+			dryRun: true,
+			groups: [
+				{
+					id: null, name: "Favorites", description: "What we play, mostly",
+					games: [{ id: gameId1, name: "Skyrim" }, { id: "OIXt3DmJU0", name: "Catan" }]
+				},
+				{ id: null, name: "Empty", description: "Nothing yet", games: [] }
+			],
+			errors: []
+		});
+		expect((await dataMem.listUserGroups(userId)).groups).toEqual([]);
+	});
+
+	test('Import groups and export them in CSV and JSON', async () => {
+		await defaultServices.importGroups(token, userId, "csv", csvText, false);
+
+		expect(await defaultServices.exportGroups(token, userId, "csv")).toEqual(
+			'group,description,gameId,gameName\n' +
+			'Empty,Nothing yet,,\n' +
+			'Favorites,"What we play, mostly",OIXt3DmJU0,Catan\n' +
+			'Favorites,"What we play, mostly",I9azM1kA6l,Skyrim\n'
+		);
+		expect(await defaultServices.exportGroups(token, userId, "json")).toEqual({
+			groups: [
+				{ name: "Empty", description: "Nothing yet", games: [] },
+				{
+					name: "Favorites", description: "What we play, mostly",
+					games: [{ id: "OIXt3DmJU0", name: "Catan" }, { id: gameId1, name: "Skyrim" }]
+				}
+			]
+		});
+	});
+
+	test('Import groups reporting the rows with errors', async () => {
+		const data = {
+			groups: [
+				{ name: "Imported", description: "From JSON", games: [{ id: "unknown" }, { id: gameId1 }] },
+				{ description: "Without name", games: [] }
+			]
+		};
+
+		const report = await defaultServices.importGroups(token, userId, "json", data, false);
+
+		expect(report.groups).toEqual([
+			{ id: expect.any(String), name: "Imported", description: "From JSON", games: [{ id: gameId1, name: "Skyrim" }] }
+		]);
+		expect(report.errors).toEqual([
+			{ row: 1, group: "Imported", gameId: "unknown", error: "Game not found" },
+			{ row: 3, group: null, gameId: "", error: "The group name is required" }
+		]);
+	});
+
+	test('Import groups looks up all the games at once', async () => {
+		const searchedIds = [];
+		const countingServices = servicesBuilder({
+			...mockDataExt,
+			searchGamesById: async () => { throw new Error("Games must be looked up at once"); },
+			searchGamesByIds: async (gameIds) => {
+				searchedIds.push(gameIds);
+				return mockDataExt.searchGamesByIds(gameIds);
+			}
+		}, dataMem);
+
+		const report = await countingServices.importGroups(token, userId, "csv", csvText, true);
+
+		expect(searchedIds).toEqual([[gameId1, "OIXt3DmJU0"]]);
+		expect(report.groups[0].games).toEqual([{ id: gameId1, name: "Skyrim" }, { id: "OIXt3DmJU0", name: "Catan" }]);
+	});
+
+	test('Import groups deletes the groups already created when one fails', async () => {
+		const failingUserId = "failedimporter";
+		const failingToken = (await defaultServices.createNewUser(failingUserId, "Failed Importer", "1234")).token;
+		const failingServices = servicesBuilder(mockDataExt, {
+			...dataMem,
+			addGameToGroup: async (userId, groupId, game) => {
+				if (game.id == "OIXt3DmJU0") throw errors.FAIL("Can't add the game");
+				return dataMem.addGameToGroup(userId, groupId, game);
+			}
+		});
+		const data = {
+			groups: [
+				{ name: "First", description: "Created", games: [{ id: gameId1 }] },
+				{ name: "Second", description: "Fails", games: [{ id: gameId1 }, { id: "OIXt3DmJU0" }] }
+			]
+		};
+
+		await expect(failingServices.importGroups(failingToken, failingUserId, "json", data, false))
+			.rejects.toEqual(errors.FAIL("Can't add the game"));
+		expect((await dataMem.listUserGroups(failingUserId)).groups).toEqual([]);
+	});
+
+	test('Import groups with data in the wrong format', async () => {
+		await expect(defaultServices.importGroups(token, userId, "csv", "name,id\nFavorites,1", true))
+			.rejects.toEqual(errors.BAD_REQUEST({ body: "Must be CSV text with the columns: group, description, gameId, gameName" }));
+		await expect(defaultServices.importGroups(token, userId, "json", {}, true))
+			.rejects.toEqual(errors.BAD_REQUEST({ groups: "Must be a list of groups, each with its name, description and list of games" }));
+		await expect(defaultServices.importGroups(token, userId, "xml", "", true))
+			.rejects.toEqual(errors.BAD_REQUEST({ format: "Must be one of: json, csv" }));
+	});
+
+	test('Export the groups of another user', async () => {
+		await expect(defaultServices.exportGroups(token1, userId, "json"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+});
+
+
+//-- BoardGameGeek import tests --
+describe("BoardGameGeek import tests", () => {
+	const userId = "bggimporter";
+	const xml = '<items totalitems="4">' +
+		'<item objectid="13"><name sortindex="1">Catan</name><yearpublished>1995</yearpublished></item>' +
+		'<item objectid="13"><name sortindex="1">catan</name></item>' +
+		'<item objectid="2"><name sortindex="1">Monopoly Skyrim</name></item>' +
+		'<item objectid="3"><name sortindex="1">Unknown Game</name><yearpublished>2001</yearpublished></item>' +
+		'</items>';
+	let token;
+
+	beforeAll(async () => {
+		token = (await defaultServices.createNewUser(userId, "Importer", "1234")).token;
+	});
+
+	test('Import a collection into a new group, with the titles to review', async () => {
+		const report = await defaultServices.importBggCollection(token, userId, xml, "From BGG");
+
+		expect(report).toEqual({
+			group: { id: expect.any(String), name: "From BGG", description: "Imported from BoardGameGeek" },
+			matched: [{ title: "Catan", game: { id: "OIXt3DmJU0", name: "Catan" } }],
+			review: [
+				{
+					title: "Monopoly Skyrim", year: null, bggId: "2", reason: "ambiguous",
+					candidates: [{ id: gameId1, name: "Skyrim" }]
+				},
+				{ title: "Unknown Game", year: 2001, bggId: "3", reason: "unmatched", candidates: [] }
+			]
+		});
+		expect((await dataMem.getGroupDetails(userId, report.group.id)).games).toEqual({ "OIXt3DmJU0": "Catan" });
+	});
+
+	test('Import a collection into a group with the default name', async () => {
+		const report = await defaultServices.importBggCollection(token, userId, xml);
+
+		expect(report.group.name).toEqual("BoardGameGeek collection");
+	});
+
+	test('Import a text that is not a collection', async () => {
+		await expect(defaultServices.importBggCollection(token, userId, "<groups></groups>"))
+			.rejects.toEqual(errors.BAD_REQUEST({ xml: "Must be a BoardGameGeek collection export, with at least one item" }));
+	});
+
+	test('Import a collection into the groups of another user', async () => {
+		await expect(defaultServices.importBggCollection(token1, userId, xml))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+});
+
+
+//-- Stats tests --
+describe("Stats tests", () => {
+	const userId = "statsuser";
+	let token;
+
+	beforeAll(async () => {
+		token = (await defaultServices.createNewUser(userId, "Stats", "1234")).token;
+		const groupId = (await defaultServices.createGroup(token, userId, "Favorites", "What we play")).id;
+		await defaultServices.addGameToGroup(token, userId, groupId, gameId1);
+	});
+
+	test('Stats of the games in the groups of the user', async () => {
+		const stats = await defaultServices.getUserStats(token, userId);
+
+		expect(stats.count).toEqual(1);
+		expect(stats.groups).toEqual([{ id: expect.any(String), name: "Favorites", count: 1 }]);
+		expect(stats.publishers.map(publisher => publisher.count)).toEqual([1]);
+	});
+
+	test('Stats of another user', async () => {
+		await expect(defaultServices.getUserStats(token1, userId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+});
+
+
+//-- Recommendations tests --
+describe("Recommendations tests", () => {
+	const userId = "recommended";
+	let token;
+
+	beforeAll(async () => {
+		token = (await defaultServices.createNewUser(userId, "Recommended", "1234")).token;
+	});
+
+	test('Recommendations of a user without games', async () => {
+		expect(await defaultServices.getRecommendations(token, userId)).toEqual({ games: [] });
+	});
+
+	test('Recommendations of games sharing mechanics and categories with the games of the user', async () => {
+		const groupId = (await defaultServices.createGroup(token, userId, "Favorites", "What we play")).id;
+		await defaultServices.addGameToGroup(token, userId, groupId, gameId1);
+
+		expect(await defaultServices.getRecommendations(token, userId)).toEqual({
+			games: [{ ...mockDataExt.games["OIXt3DmJU0"], score: 1, matches: ["Dice Rolling"] }]
+		});
+	});
+
+	test('Games of the collection are not recommended', async () => {
+		await defaultServices.setCollectionGame(token, userId, "OIXt3DmJU0", "wishlist");
+
+		expect(await defaultServices.getRecommendations(token, userId)).toEqual({ games: [] });
+	});
+
+	test('Recommendations of another user', async () => {
+		await expect(defaultServices.getRecommendations(token1, userId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+});
+
+
+//-- Collection tests --
+describe("Collection tests", () => {
+	const userId = "collector";
+	let token;
+
+	beforeAll(async () => {
+		token = (await defaultServices.createNewUser(userId, "Collector", "1234")).token;
+	});
+
+	test('Set the status of a game in the collection', async () => {
+		expect(await defaultServices.setCollectionGame(token, userId, gameId1, "wishlist"))
+			.toMatchObject({ gameId: gameId1, status: "wishlist" });
+
+		await defaultServices.setCollectionGame(token, userId, gameId1, "owned");
+		expect((await defaultServices.getCollectionGame(token, userId, gameId1)).status).toEqual("owned");
+	});
+
+	test('Set an unknown status', async () => {
+		await expect(defaultServices.setCollectionGame(token, userId, gameId1, "borrowed"))
+			.rejects.toEqual(errors.BAD_REQUEST({ status: "Must be one of: owned, wishlist, want-to-play, previously-owned" }));
+		await expect(defaultServices.listCollection(token, userId, "borrowed"))
+			.rejects.toEqual(errors.BAD_REQUEST({ status: "Must be one of: owned, wishlist, want-to-play, previously-owned" }));
+	});
+
+	test('Set the status of an unknown game', async () => {
+		await expect(defaultServices.setCollectionGame(token, userId, "unknown", "owned"))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: "unknown" }));
+	});
+
+	test('List the collection by status', async () => {
+		expect((await defaultServices.listCollection(token, userId)).games.map(game => game.gameId)).toEqual([gameId1]);
+		expect(await defaultServices.listCollection(token, userId, "wishlist")).toEqual({ games: [] });
+	});
+
+	test('The collection of a user isn\'t visible to other users', async () => {
+		await expect(defaultServices.listCollection(token1, userId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('Remove a game from the collection', async () => {
+		expect((await defaultServices.removeCollectionGame(token, userId, gameId1)).status).toEqual("owned");
+
+		await expect(defaultServices.getCollectionGame(token, userId, gameId1))
+			.rejects.toEqual(errors.NOT_FOUND({ gameId: gameId1 }));
+	});
+});
+
+
+//-- Shared groups tests --
+describe("Shared groups tests", () => {
+	const ownerId = "clubowner";
+	const editorId = "clubeditor";
+	const viewerId = "clubviewer";
+	const tokens = {};
+	let groupId;
+
+	beforeAll(async () => {
+		for (const userId of [ownerId, editorId, viewerId])
+			tokens[userId] = (await defaultServices.createNewUser(userId, "Club", "1234")).token;
+
+		groupId = (await defaultServices.createGroup(tokens[ownerId], ownerId, "Club Library", "Games of the club")).id;
+		await defaultServices.setGroupMember(tokens[ownerId], ownerId, groupId, editorId, "editor");
+		await defaultServices.setGroupMember(tokens[ownerId], ownerId, groupId, viewerId, "viewer");
+	});
+
+	test('Set member with an unknown role', async () => {
+		await expect(defaultServices.setGroupMember(tokens[ownerId], ownerId, groupId, viewerId, "owner"))
+			.rejects.toEqual(errors.BAD_REQUEST({ role: "Must be one of: viewer, editor" }));
+	});
+
+	test('Owner can\'t be a member of its own group', async () => {
+		await expect(defaultServices.setGroupMember(tokens[ownerId], ownerId, groupId, ownerId, "editor"))
+			.rejects.toEqual(errors.BAD_REQUEST({ memberId: "The owner can't be a member of its own group" }));
+	});
+
+	test('Members can see the group and its members', async () => {
+		for (const userId of [editorId, viewerId]) {
+			expect((await defaultServices.getGroupDetails(tokens[userId], ownerId, groupId)).name).toEqual("Club Library");
+			expect(await defaultServices.listGroupMembers(tokens[userId], ownerId, groupId)).toEqual({
+				members: [{ userId: editorId, role: "editor" }, { userId: viewerId, role: "viewer" }]
+			});
+		}
+	});
+
+	test('Groups shared with the user are listed with their owner and the user role', async () => {
+		expect(await defaultServices.listSharedGroups(tokens[viewerId], viewerId)).toEqual({
+			groups: [{ owner: ownerId, id: groupId, name: "Club Library", description: "Games of the club", role: "viewer" }]
+		});
+	});
+
+	test('Editors can add and remove games', async () => {
+		await defaultServices.addGameToGroup(tokens[editorId], ownerId, groupId, gameId1);
+		expect(Object.keys((await defaultServices.getGroupDetails(tokens[ownerId], ownerId, groupId)).games)).toEqual([gameId1]);
+
+		await defaultServices.removeGameFromGroup(tokens[editorId], ownerId, groupId, gameId1);
+		expect((await defaultServices.getGroupDetails(tokens[ownerId], ownerId, groupId)).games).toEqual({});
+	});
+
+	test('Viewers can\'t add games', async () => {
+		await expect(defaultServices.addGameToGroup(tokens[viewerId], ownerId, groupId, gameId1))
+			.rejects.toEqual(errors.FORBIDDEN({ permission: "groups:games" }));
+	});
+
+	test('Only the owner can rename or delete the group and manage its members', async () => {
+		await expect(defaultServices.editGroup(tokens[editorId], ownerId, groupId, "Renamed"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+		await expect(defaultServices.deleteGroup(tokens[editorId], ownerId, groupId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+		await expect(defaultServices.setGroupMember(tokens[editorId], ownerId, groupId, viewerId, "editor"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+		await expect(defaultServices.removeGroupMember(tokens[editorId], ownerId, groupId, viewerId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('Users that aren\'t members can\'t see the group', async () => {
+		await expect(defaultServices.getGroupDetails(token1, ownerId, groupId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('A member can leave the group', async () => {
+		expect(await defaultServices.removeGroupMember(tokens[viewerId], ownerId, groupId, viewerId))
+			.toEqual({ userId: viewerId, role: "viewer" });
+
+		await expect(defaultServices.getGroupDetails(tokens[viewerId], ownerId, groupId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+		expect((await defaultServices.listSharedGroups(tokens[viewerId], viewerId)).groups).toEqual([]);
+	});
+});
+
+//-- Share links tests --
+describe("Share links tests", () => {
+	let groupId;
+
+	beforeAll(async () => {
+		groupId = (await defaultServices.createGroup(token1, userId1, "Friday Night", groupDescription1)).id;
+		await defaultServices.addGameToGroup(token1, userId1, groupId, gameId1);
+	});
+
+	test('Group without a share link', async () => {
+		await expect(defaultServices.getShareLink(token1, userId1, groupId))
+			.rejects.toEqual(errors.NOT_FOUND('The group has no share link'));
+	});
+
+	test('Shared group can be seen without a token', async () => {
+		const shareLink = await defaultServices.createShareLink(token1, userId1, groupId);
+		expect(shareLink.slug).toMatch(/^[A-Za-z0-9_-]{22}$/);
+		expect(await defaultServices.getShareLink(token1, userId1, groupId)).toEqual(shareLink);
+
+		const group = await defaultServices.getSharedGroup(shareLink.slug);
+		expect(group).toEqual({ name: "Friday Night", description: groupDescription1, games: expect.any(Object) });
+		expect(Object.keys(group.games)).toEqual([gameId1]);
+		expect((await defaultServices.getSharedGroup(shareLink.slug, 'games')).games[gameId1].id).toEqual(gameId1);
+	});
+
+	test('New share link replaces the previous one', async () => {
+		const previous = await defaultServices.getShareLink(token1, userId1, groupId);
+		const shareLink = await defaultServices.createShareLink(token1, userId1, groupId);
+
+		expect(shareLink.slug).not.toEqual(previous.slug);
+		await expect(defaultServices.getSharedGroup(previous.slug))
+			.rejects.toEqual(errors.NOT_FOUND({ slug: previous.slug }));
+	});
+
+	test('Only the owner can share the group', async () => {
+		await expect(defaultServices.createShareLink('4869fdf7-0e62-46a2-872c-f0dc60fc2c81', userId1, groupId))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('Invalid slugs aren\'t found', async () => {
+		await expect(defaultServices.getSharedGroup("../groups"))
+			.rejects.toEqual(errors.NOT_FOUND({ slug: "../groups" }));
+	});
+
+	test('Revoked share link can\'t be used', async () => {
+		const shareLink = await defaultServices.revokeShareLink(token1, userId1, groupId);
+
+		await expect(defaultServices.getSharedGroup(shareLink.slug))
+			.rejects.toEqual(errors.NOT_FOUND({ slug: shareLink.slug }));
+		await expect(defaultServices.revokeShareLink(token1, userId1, groupId))
+			.rejects.toEqual(errors.NOT_FOUND('The group has no share link'));
+	});
+});
+
+//-- Admin tests --
+describe("Admin tests", () => {
+	const adminId = "admin";
+	const userId4 = "moderated";
+	let adminToken;
+	let userToken;
+
+	beforeAll(async () => {
+		adminToken = (await defaultServices.createNewUser(adminId, "Administrator", "1234")).token;
+		dataMem.updateUser(adminId, { role: "admin" });
+		userToken = (await defaultServices.createNewUser(userId4, "Moderated", "1234")).token;
+		await defaultServices.createGroup(userToken, userId4, groupName1, groupDescription1);
+	});
+
+	test('Regular user can\'t clear the games cache', async () => {
+		await expect(defaultServices.clearGamesCache(token1))
+			.rejects.toEqual(errors.FORBIDDEN({ permission: "games:cache:clear" }));
+	});
+
+	test('Regular user can\'t list the users', async () => {
+		await expect(defaultServices.listUsers(token1))
+			.rejects.toEqual(errors.FORBIDDEN({ permission: "users:read" }));
+	});
+
+	test('Admin lists the users by userId, without their password hashes', async () => {
+		const res = await defaultServices.listUsers(adminToken);
+
+		expect(res.count).toEqual(res.users.length);
+		expect(res.users.map(user => user.userId)).toEqual(res.users.map(user => user.userId).sort());
+		expect(res.users).toContainEqual({ userId: adminId, userName: "Administrator", role: "admin", disabled: false });
+		expect(res.users).toContainEqual({ userId: userId4, userName: "Moderated", role: "user", disabled: false });
+	});
+
+	test('Admin lists a page of the users', async () => {
+		const all = await defaultServices.listUsers(adminToken);
+		const page = await defaultServices.listUsers(adminToken, 2, 1);
+
+		expect(page).toEqual({ count: all.count, users: all.users.slice(1, 3) });
+	});
+
+	test('Admin inspects the groups of another user', async () => {
+		const res = await defaultServices.listUserGroups(adminToken, userId4);
+		expect(res.groups.map(group => group.name)).toEqual([groupName1]);
+	});
+
+	test('Regular user can\'t inspect the groups of another user', async () => {
+		await expect(defaultServices.listUserGroups(token1, userId4))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('Admin can\'t edit the groups of another user', async () => {
+		const groupId = (await defaultServices.listUserGroups(userToken, userId4)).groups[0].id;
+
+		await expect(defaultServices.editGroup(adminToken, userId4, groupId, "Renamed"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('Please insert a valid user token'));
+	});
+
+	test('Admin deletes a group of another user', async () => {
+		const groupId = (await defaultServices.listUserGroups(userToken, userId4)).groups[0].id;
+
+		await defaultServices.deleteGroup(adminToken, userId4, groupId);
+		expect((await defaultServices.listUserGroups(userToken, userId4)).groups).toEqual([]);
+	});
+
+	test('Update user with an unknown role', async () => {
+		await expect(defaultServices.updateUser(adminToken, userId4, undefined, "owner"))
+			.rejects.toEqual(errors.BAD_REQUEST({ role: "Must be one of: user, admin" }));
+	});
+
+	test('Admin can\'t change its own account', async () => {
+		await expect(defaultServices.updateUser(adminToken, adminId, true))
+			.rejects.toEqual(errors.BAD_REQUEST({ userId: "An admin can't change its own account" }));
+	});
+
+	test('Disabled user can\'t login nor use its tokens until enabled again', async () => {
+		expect(await defaultServices.updateUser(adminToken, userId4, true))
+			.toEqual({ userId: userId4, userName: "Moderated", role: "user", disabled: true });
+
+		await expect(defaultServices.checkCredentials(userId4, "1234"))
+			.rejects.toEqual(errors.UNAUTHENTICATED('The user account is disabled'));
+		await expect(defaultServices.listUserGroups(userToken, userId4))
+			.rejects.toEqual(errors.UNAUTHENTICATED('The user account is disabled'));
+
+		await defaultServices.updateUser(adminToken, userId4, false);
+		expect((await defaultServices.checkCredentials(userId4, "1234")).userName).toEqual("Moderated");
+	});
+
+	test('Promoted user gets the admin permissions', async () => {
+		await defaultServices.updateUser(adminToken, userId4, undefined, "admin");
+		expect((await defaultServices.listUsers(userToken)).count).toBeGreaterThan(0);
+
+		await defaultServices.updateUser(adminToken, userId4, undefined, "user");
+		await expect(defaultServices.listUsers(userToken))
+			.rejects.toEqual(errors.FORBIDDEN({ permission: "users:read" }));
+	});
+});
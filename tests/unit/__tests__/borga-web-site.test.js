@@ -0,0 +1,77 @@
+'use strict';
+
+
+const express = require('express');
+const request = require('supertest');
+
+const config = require('../../../borga-config');
+const server = require('../../../borga-server');
+const errors = require('../../../borga-errors.js');
+const webSite = require('../../../borga-web-site.js');
+
+
+const app = server({ url: config.es_url, prefix: 'test' }, config.guest, { store: 'mem' },
+	{ provider: 'local', catalog: './data/board-games-catalog.json' });
+
+// ----------------------------- Constants used in tests -----------------------------
+const userId1 = "a48309";
+const password1 = "1234";
+
+
+describe("BoardGameGeek import page tests", () => {
+	const agent = request.agent(app);
+
+	beforeAll(async () => {
+		await agent.post('/login').type('form').send({ userId: userId1, password: password1 });
+	});
+
+	test('Titles to review link to the search of the title, url encoded', async () => {
+		const xml = '<items><item objectid="1"><name sortindex="1">Catan &amp; Co #2</name></item></items>';
+
+		const response = await agent.post(`/user/${userId1}/groups/bgg`)
+			.type('form')
+			.send({ xml, groupName: "From BGG" })
+			.expect(200);
+
+		expect(response.text).toContain('Catan &amp; Co #2');
+		expect(response.text).toContain('href="/games?gameName&#x3D;Catan%20%26%20Co%20%232"');
+	});
+});
+
+
+describe("Search page tests", () => {
+	test('Search page without the filters when the games provider fails', async () => {
+		const failingServices = {
+			getMechanics: async () => { throw errors.EXT_SVC_FAIL("Board Game Atlas is down"); },
+			getCategories: async () => []
+		};
+		const siteApp = express();
+		siteApp.set('view engine', 'hbs');
+		siteApp.use('/', webSite(failingServices));
+
+		const response = await request(siteApp).get('/search').expect(200);
+
+		expect(response.text).toContain('name="gameName"');
+	});
+});
+
+
+describe("Home page tests", () => {
+	test('Home page without the recommendations when the games provider fails', async () => {
+		const failingServices = {
+			getRecommendations: async () => { throw errors.EXT_SVC_FAIL("Board Game Atlas is down"); }
+		};
+		const siteApp = express();
+		siteApp.set('view engine', 'hbs');
+		siteApp.use((req, res, next) => {
+			req.user = { userId: userId1, token: "token" };
+			next();
+		});
+		siteApp.use('/', webSite(failingServices));
+
+		const response = await request(siteApp).get('/').expect(200);
+
+		expect(response.text).toContain('Get recommendations of games');
+		expect(response.text).not.toContain('You might like');
+	});
+});